@@ -0,0 +1,284 @@
+// =====================================================================
+// =========================== ФОНОВЫЕ ЗАДАЧИ ===========================
+// =====================================================================
+// Задачи по расписанию внутри процесса сервера:
+//   scheduler.define({ name, schedule, run, retries, backoffMs, description })
+//   schedule — cron из 5 полей (минута час день месяц день-недели) по UTC
+//   или @hourly | @daily | @weekly | @monthly.
+// Когда запускать, хранит job_state (общая для всех инстансов), каждый запуск
+// пишется в job_runs. Одну задачу одновременно выполняет только один инстанс:
+// pg_try_advisory_lock(JOBS_LOCK_NS, hashtext(name)), занято — пропускаем.
+// Упала — повтор через backoffMs * 2^(попытка-1), после retries повторов ждём
+// следующего срока по расписанию.
+//
+// run({ pool, attempt, trigger, log }) -> результат (JSON) — сохраняется в job_runs.result.
+
+// произвольная, но постоянная константа — первая половина ключа advisory lock
+const JOBS_LOCK_NS = 727_073_002;
+const JOB_NAME_RE = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const CRON_SEARCH_YEARS = 5;
+
+// ----- cron -----
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "weekday", min: 0, max: 7 }, // 0 и 7 — воскресенье
+];
+
+const CRON_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// "*", "5", "1-5", "*/15", "10-50/10", "1,3,5" -> Set чисел
+function parseCronField(src, { name, min, max }) {
+  const out = new Set();
+  for (const item of src.split(",")) {
+    const m = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`cron ${name}: bad value "${item}"`);
+    const step = m[4] ? Number(m[4]) : 1;
+    let from = min;
+    let to = max;
+    if (m[1] !== "*") {
+      from = Number(m[2]);
+      to = m[3] != null ? Number(m[3]) : m[4] ? max : from;
+    }
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`cron ${name}: "${item}" is out of ${min}..${max}`);
+    }
+    for (let v = from; v <= to; v += step) out.add(v);
+  }
+  return out;
+}
+
+export function parseCron(expr) {
+  const source = String(expr || "").trim();
+  const fields = (CRON_ALIASES[source] || source).split(/\s+/);
+  if (fields.length !== 5) throw new Error(`cron "${source}": expected 5 fields`);
+  const [minute, hour, day, month, weekday] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  if (weekday.delete(7)) weekday.add(0);
+  // как в cron: если заданы и день месяца, и день недели — подходит любой из них
+  return { source, minute, hour, day, month, weekday, dayAny: fields[2] === "*", weekdayAny: fields[4] === "*" };
+}
+
+function cronDayMatches(cron, d) {
+  const dom = cron.day.has(d.getUTCDate());
+  const dow = cron.weekday.has(d.getUTCDay());
+  if (cron.dayAny && cron.weekdayAny) return true;
+  if (cron.dayAny) return dow;
+  if (cron.weekdayAny) return dom;
+  return dom || dow;
+}
+
+// ближайшая минута строго после `after`, подходящая под cron -> Date | null
+export function nextCronTime(cron, after = new Date()) {
+  const d = new Date(after.getTime());
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+  const limit = after.getTime() + CRON_SEARCH_YEARS * 366 * 86400_000;
+
+  while (d.getTime() <= limit) {
+    if (!cron.month.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1);
+      d.setUTCHours(0, 0);
+    } else if (!cronDayMatches(cron, d)) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      d.setUTCHours(0, 0);
+    } else if (!cron.hour.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0);
+    } else if (!cron.minute.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1);
+    } else {
+      return d;
+    }
+  }
+  return null; // например, "0 0 31 2 *"
+}
+
+// ----- планировщик -----
+function runToJson(r) {
+  return {
+    id: String(r.id),
+    job: r.job,
+    trigger: r.trigger,
+    attempt: r.attempt,
+    status: r.status,
+    startedAt: r.started_at,
+    finishedAt: r.finished_at,
+    durationMs: r.finished_at ? new Date(r.finished_at) - new Date(r.started_at) : null,
+    result: r.result,
+    error: r.error,
+  };
+}
+
+export function createJobScheduler(pool, { tickMs = 30_000, log = console } = {}) {
+  const jobs = new Map();
+  let timer = null;
+  let ticking = false;
+
+  function define({ name, schedule, run, retries = 0, backoffMs = 60_000, description = "" }) {
+    if (!JOB_NAME_RE.test(name)) throw new Error(`job name "${name}" must match ${JOB_NAME_RE}`);
+    if (jobs.has(name)) throw new Error(`job "${name}" is already defined`);
+    if (typeof run !== "function") throw new Error(`job "${name}": run must be a function`);
+    jobs.set(name, { name, schedule, cron: parseCron(schedule), run, retries, backoffMs, description });
+  }
+
+  // новые задачи и сменившееся расписание -> ближайший срок по cron
+  async function syncState() {
+    for (const job of jobs.values()) {
+      await pool.query(
+        `insert into job_state (name, schedule, next_run_at) values ($1, $2, $3)
+         on conflict (name) do update
+           set schedule = excluded.schedule, next_run_at = excluded.next_run_at, attempt = 0
+         where job_state.schedule is distinct from excluded.schedule`,
+        [job.name, job.schedule, nextCronTime(job.cron)]
+      );
+    }
+  }
+
+  // -> { run } | { skipped: true } | { error: "unknown_job" | "busy" }
+  async function runJob(name, { trigger = "manual" } = {}) {
+    const job = jobs.get(name);
+    if (!job) return { error: "unknown_job" };
+
+    const client = await pool.connect();
+    let locked = false;
+    try {
+      const { rows: lock } = await client.query(`select pg_try_advisory_lock($1, hashtext($2)) as ok`, [
+        JOBS_LOCK_NS,
+        name,
+      ]);
+      if (!lock[0].ok) return { error: "busy" };
+      locked = true;
+
+      // замок наш — значит «running» остался от упавшего процесса
+      await client.query(
+        `update job_runs set status = 'failed', finished_at = now(), error = 'interrupted'
+          where job = $1 and status = 'running'`,
+        [name]
+      );
+      const { rows: st } = await client.query(`select * from job_state where name = $1`, [name]);
+      const state = st[0] || { attempt: 0, next_run_at: null };
+      // пока ждали замок, другой инстанс мог уже отработать этот срок
+      if (trigger === "schedule" && !(state.next_run_at && new Date(state.next_run_at) <= new Date())) {
+        return { skipped: true };
+      }
+
+      const attempt = trigger === "schedule" ? state.attempt + 1 : 1;
+      const { rows: started } = await client.query(
+        `insert into job_runs (job, trigger, attempt) values ($1, $2, $3) returning id`,
+        [name, trigger, attempt]
+      );
+
+      let status = "ok";
+      let result = null;
+      let error = null;
+      try {
+        result = (await job.run({ pool, attempt, trigger, log })) ?? null;
+      } catch (e) {
+        status = "failed";
+        error = String(e?.message || e).slice(0, 2000);
+        log.error(`job ${name} failed (attempt ${attempt}):`, e);
+      }
+
+      const { rows: finished } = await client.query(
+        `update job_runs set status = $2, result = $3, error = $4, finished_at = now()
+          where id = $1 returning *`,
+        [started[0].id, status, result == null ? null : JSON.stringify(result), error]
+      );
+
+      // следующий срок: повтор с backoff или обычный по расписанию;
+      // ручной запуск расписание не сдвигает, но удачный снимает ожидающий повтор
+      let next = { at: state.next_run_at, attempt: state.attempt };
+      if (trigger === "schedule" && status === "failed" && attempt <= job.retries) {
+        next = { at: new Date(Date.now() + job.backoffMs * 2 ** (attempt - 1)), attempt };
+      } else if (trigger === "schedule" || (status === "ok" && state.attempt > 0)) {
+        next = { at: nextCronTime(job.cron), attempt: 0 };
+      }
+      await client.query(
+        `update job_state
+            set next_run_at = $2, attempt = $3, last_run_at = now(), last_status = $4
+          where name = $1`,
+        [name, next.at, next.attempt, status]
+      );
+      return { run: runToJson(finished[0]) };
+    } finally {
+      if (locked) {
+        await client
+          .query(`select pg_advisory_unlock($1, hashtext($2))`, [JOBS_LOCK_NS, name])
+          .catch(() => {});
+      }
+      client.release();
+    }
+  }
+
+  // всё, чей срок подошёл, по очереди; следующий тик не начнётся, пока идёт этот
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const { rows } = await pool.query(
+        `select name from job_state where next_run_at <= now() and name = any($1) order by next_run_at`,
+        [[...jobs.keys()]]
+      );
+      for (const { name } of rows) {
+        await runJob(name, { trigger: "schedule" }).catch((e) => log.error(`job ${name} error:`, e));
+      }
+    } catch (e) {
+      log.error("job scheduler tick failed:", e);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  async function start() {
+    await syncState();
+    timer = setInterval(tick, tickMs);
+    timer.unref?.();
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // -> [{ name, schedule, description, retries, nextRunAt, lastRunAt, lastStatus, attempt, lastRun }]
+  async function list() {
+    const names = [...jobs.keys()];
+    const { rows: states } = await pool.query(`select * from job_state where name = any($1)`, [names]);
+    const { rows: last } = await pool.query(
+      `select distinct on (job) * from job_runs where job = any($1) order by job, started_at desc, id desc`,
+      [names]
+    );
+    return [...jobs.values()].map((job) => {
+      const st = states.find((s) => s.name === job.name);
+      const run = last.find((r) => r.job === job.name);
+      return {
+        name: job.name,
+        schedule: job.schedule,
+        description: job.description,
+        retries: job.retries,
+        nextRunAt: st?.next_run_at ?? null,
+        lastRunAt: st?.last_run_at ?? null,
+        lastStatus: st?.last_status ?? null,
+        attempt: st?.attempt ?? 0,
+        lastRun: run ? runToJson(run) : null,
+      };
+    });
+  }
+
+  async function history(name, { limit = 20 } = {}) {
+    const { rows } = await pool.query(
+      `select * from job_runs where job = $1 order by started_at desc, id desc limit $2`,
+      [name, limit]
+    );
+    return rows.map(runToJson);
+  }
+
+  return { define, start, stop, tick, runJob, list, history, has: (name) => jobs.has(name) };
+}
@@ -0,0 +1,162 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// =====================================================================
+// ============================== МЕДИА =================================
+// =====================================================================
+// Картинки (обложки, фото шагов) храним отдельно от data рецепта.
+// В рецепте ссылка вида "media:<id>", отдаётся по GET /media/<id>.
+//
+// Бэкенд хранения выбирается MEDIA_STORAGE:
+//   pg (по умолчанию) — large objects в той же базе (диск на Render эфемерный)
+//   fs                — файлы в MEDIA_DIR (по умолчанию ./media)
+// Любой бэкенд: put(db, key, buffer) -> ref, get(db, ref) -> Buffer|null, remove(db, ref).
+// db нужен pg-бэкенду, чтобы работать в той же транзакции, что и запись в media.
+
+export const MEDIA_REF_PREFIX = "media:";
+export const MEDIA_ID_RE = /^[A-Za-z0-9_-]{16,64}$/;
+
+export function createFsStorage(dir) {
+  const fileFor = (key) => path.join(dir, key.slice(0, 2), key);
+  return {
+    name: "fs",
+    async put(_db, key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return key;
+    },
+    async get(_db, ref) {
+      try {
+        return await fs.readFile(fileFor(ref));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async remove(_db, ref) {
+      await fs.unlink(fileFor(ref)).catch((e) => {
+        if (e.code !== "ENOENT") throw e;
+      });
+    },
+  };
+}
+
+export function createPgLargeObjectStorage() {
+  return {
+    name: "pg",
+    async put(db, _key, buffer) {
+      const { rows } = await db.query(`select lo_from_bytea(0, $1) as oid`, [buffer]);
+      return String(rows[0].oid);
+    },
+    async get(db, ref) {
+      const { rows } = await db.query(
+        `select lo_get($1::oid) as data
+          where exists (select 1 from pg_largeobject_metadata where oid = $1::oid)`,
+        [ref]
+      );
+      return rows[0]?.data ?? null;
+    },
+    async remove(db, ref) {
+      await db.query(
+        `select lo_unlink($1::oid)
+          where exists (select 1 from pg_largeobject_metadata where oid = $1::oid)`,
+        [ref]
+      );
+    },
+  };
+}
+
+const storages = new Map();
+
+export function getMediaStorage(name = process.env.MEDIA_STORAGE || "pg") {
+  if (!storages.has(name)) {
+    if (name === "pg") storages.set(name, createPgLargeObjectStorage());
+    else if (name === "fs") storages.set(name, createFsStorage(path.resolve(process.env.MEDIA_DIR || "media")));
+    else throw new Error(`unknown MEDIA_STORAGE "${name}" (use: pg | fs)`);
+  }
+  return storages.get(name);
+}
+
+// тип по сигнатуре файла, а не по заголовку клиента
+export function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  const head6 = buf.subarray(0, 6).toString("latin1");
+  if (head6 === "GIF87a" || head6 === "GIF89a") return "image/gif";
+  if (buf.subarray(0, 4).toString("latin1") === "RIFF" && buf.subarray(8, 12).toString("latin1") === "WEBP") {
+    return "image/webp";
+  }
+  if (buf.subarray(4, 12).toString("latin1") === "ftypavif") return "image/avif";
+  return null;
+}
+
+export function parseMediaRef(value) {
+  if (typeof value !== "string" || !value.startsWith(MEDIA_REF_PREFIX)) return null;
+  const id = value.slice(MEDIA_REF_PREFIX.length);
+  return MEDIA_ID_RE.test(id) ? id : null;
+}
+
+// "data:image/png;base64,...." -> Buffer | null
+export function dataUrlToBuffer(value) {
+  const m = typeof value === "string" && value.match(/^data:image\/[a-z0-9.+-]+;base64,(.*)$/is);
+  if (!m) return null;
+  try {
+    return Buffer.from(m[1].replace(/\s+/g, ""), "base64");
+  } catch {
+    return null;
+  }
+}
+
+// Сохранить картинку владельца. Одинаковый файл того же владельца не дублируется.
+// maxNewBytes — сколько ещё места у владельца: новый файл больше — не пишем вовсе
+// (проверка до storage.put, иначе fs-бэкенд оставил бы файл после rollback).
+// written — массив, куда складываются записанные в хранилище файлы: если транзакция
+// потом откатится, вызывающий убирает их через discardWrittenMedia.
+// -> { id, mime, size, sha256, existed } | { error: "unsupported_type" | "quota_exceeded" }
+export async function storeMedia(db, { owner, buffer, maxNewBytes = Infinity, storage = getMediaStorage(), written }) {
+  const mime = sniffImageType(buffer);
+  if (!mime) return { error: "unsupported_type" };
+
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+  const { rows: same } = await db.query(
+    `select id, mime, size from media where owner=$1 and sha256=$2 limit 1`,
+    [owner, sha256]
+  );
+  if (same.length) return { ...same[0], sha256, existed: true };
+  if (buffer.length > maxNewBytes) return { error: "quota_exceeded" };
+
+  const id = crypto.randomBytes(16).toString("base64url");
+  const ref = await storage.put(db, id, buffer);
+  written?.push({ storage, ref });
+  await db.query(
+    `insert into media (id, owner, mime, size, sha256, storage, storage_ref)
+     values ($1,$2,$3,$4,$5,$6,$7)`,
+    [id, owner, mime, buffer.length, sha256, storage.name, ref]
+  );
+  return { id, mime, size: buffer.length, sha256, existed: false };
+}
+
+// после rollback: строк media уже нет, а файлы fs-бэкенда остались на диске.
+// Вызывать вне откаченной транзакции; ошибки только логируем — ответ клиенту уже решён.
+export async function discardWrittenMedia(db, written) {
+  for (const { storage, ref } of written.splice(0)) {
+    await storage.remove(db, ref).catch((e) => console.error("discard media error:", e));
+  }
+}
+
+// -> { row, buffer } | null
+export async function loadMedia(db, id) {
+  if (!MEDIA_ID_RE.test(String(id))) return null;
+  const { rows } = await db.query(`select * from media where id=$1`, [id]);
+  if (!rows.length) return null;
+  const buffer = await getMediaStorage(rows[0].storage).get(db, rows[0].storage_ref);
+  return buffer ? { row: rows[0], buffer } : null;
+}
+
+export async function deleteMedia(db, row) {
+  await getMediaStorage(row.storage).remove(db, row.storage_ref);
+  await db.query(`delete from media where id=$1`, [row.id]);
+}
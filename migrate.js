@@ -0,0 +1,186 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import dns from "dns";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { Pool } from "pg";
+
+// =====================================================================
+// ============================ МИГРАЦИИ ================================
+// =====================================================================
+// Файлы migrations/NNN_name.sql | NNN_name.js применяются по порядку номеров,
+// каждый в своей транзакции; применённые записываются в schema_migrations.
+// Несколько инстансов не мешают друг другу: всё под pg_advisory_lock.
+//
+//   npm run migrate          — применить новые
+//   npm run migrate:status   — что применено / что ждёт
+//
+// .js-миграция экспортирует `async function up(client)` (client — в транзакции).
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+const MIGRATION_FILE_RE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// произвольная, но постоянная константа для pg_advisory_lock
+const MIGRATIONS_LOCK_KEY = 727_073_001;
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter((f) => MIGRATION_FILE_RE.test(f));
+  const migrations = [];
+  for (const file of files) {
+    const [, num, name, kind] = file.match(MIGRATION_FILE_RE);
+    const fullPath = path.join(dir, file);
+    const source = await fs.readFile(fullPath, "utf8");
+    migrations.push({
+      version: Number(num),
+      name,
+      kind,
+      file,
+      fullPath,
+      source,
+      checksum: crypto.createHash("sha256").update(source).digest("hex"),
+    });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(
+        `duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`
+      );
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    create table if not exists schema_migrations (
+      version    int primary key,
+      name       text not null,
+      checksum   text not null,
+      applied_at timestamptz not null default now()
+    );
+  `);
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query(
+    `select version, name, checksum, applied_at from schema_migrations order by version`
+  );
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+async function applyMigration(client, m) {
+  await client.query("begin");
+  try {
+    if (m.kind === "sql") {
+      await client.query(m.source);
+    } else {
+      const mod = await import(pathToFileURL(m.fullPath).href);
+      if (typeof mod.up !== "function") throw new Error(`${m.file}: no exported up(client)`);
+      await mod.up(client);
+    }
+    await client.query(
+      `insert into schema_migrations (version, name, checksum) values ($1,$2,$3)`,
+      [m.version, m.name, m.checksum]
+    );
+    await client.query("commit");
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    e.message = `migration ${m.file} failed: ${e.message}`;
+    throw e;
+  }
+}
+
+// применить все новые миграции; -> [{ version, name }] применённых сейчас
+export async function runMigrations(pool, { log = console.log } = {}) {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+  let locked = false;
+  try {
+    await client.query("select pg_advisory_lock($1)", [MIGRATIONS_LOCK_KEY]);
+    locked = true;
+    await ensureMigrationsTable(client);
+    const applied = await appliedMigrations(client);
+
+    const done = [];
+    for (const m of migrations) {
+      const prev = applied.get(m.version);
+      if (prev) {
+        if (prev.checksum !== m.checksum) {
+          log(`migrate: ${m.file} changed after it was applied (checksum mismatch) — skipping`);
+        }
+        continue;
+      }
+      const started = Date.now();
+      await applyMigration(client, m);
+      log(`migrate: applied ${m.file} (${Date.now() - started} ms)`);
+      done.push({ version: m.version, name: m.name });
+    }
+    if (!done.length) log("migrate: schema is up to date");
+    return done;
+  } finally {
+    if (locked) {
+      await client.query("select pg_advisory_unlock($1)", [MIGRATIONS_LOCK_KEY]).catch(() => {});
+    }
+    client.release();
+  }
+}
+
+// -> [{ version, name, state: applied|pending|changed|missing, appliedAt }]
+export async function migrationStatus(pool) {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await appliedMigrations(client);
+    const out = migrations.map((m) => {
+      const prev = applied.get(m.version);
+      let state = "pending";
+      if (prev) state = prev.checksum === m.checksum ? "applied" : "changed";
+      return { version: m.version, name: m.name, state, appliedAt: prev?.applied_at ?? null };
+    });
+    // применены в базе, но файла уже нет
+    for (const [version, prev] of applied) {
+      if (!migrations.some((m) => m.version === version)) {
+        out.push({ version, name: prev.name, state: "missing", appliedAt: prev.applied_at });
+      }
+    }
+    return out.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+// ---------- CLI: node migrate.js [up|status] ----------
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
+
+if (isMain) {
+  dns.setDefaultResultOrder("ipv4first");
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+  const cmd = process.argv[2] || "up";
+
+  const run = async () => {
+    if (cmd === "up") {
+      await runMigrations(pool);
+    } else if (cmd === "status") {
+      for (const m of await migrationStatus(pool)) {
+        const when = m.appliedAt ? new Date(m.appliedAt).toISOString() : "";
+        console.log(`${String(m.version).padStart(3, "0")}  ${m.state.padEnd(8)} ${m.name}  ${when}`);
+      }
+    } else {
+      throw new Error(`unknown command "${cmd}" (use: up | status)`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(async (e) => {
+      console.error(e.message || e);
+      await pool.end().catch(() => {});
+      process.exit(1);
+    });
+}
@@ -0,0 +1,49 @@
+-- Пользователи Telegram (+ чистка наследия старых схем)
+CREATE TABLE IF NOT EXISTS public.users (
+  tg_id      text PRIMARY KEY,
+  username   text,
+  first_name text,
+  last_name  text,
+  photo_url  text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_login timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS tg_id      text;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS username   text;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS first_name text;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS last_name  text;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS photo_url  text;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT now();
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS last_login timestamptz NOT NULL DEFAULT now();
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS bot_enabled boolean NOT NULL DEFAULT true;
+
+-- старый логин по паролю: password_hash больше не обязателен
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema='public' AND table_name='users'
+      AND column_name='password_hash' AND is_nullable='NO'
+  ) THEN
+    EXECUTE 'ALTER TABLE public.users ALTER COLUMN password_hash DROP NOT NULL';
+  END IF;
+END$$;
+
+-- убрать пустые tg_id и дубликаты
+DELETE FROM public.users WHERE tg_id IS NULL OR tg_id = '';
+DELETE FROM public.users u
+USING public.users d
+WHERE u.tg_id = d.tg_id AND u.ctid > d.ctid;
+
+-- гарантируем уникальность tg_id (достаточно для ON CONFLICT)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid='public.users'::regclass
+      AND conname='users_tg_id_key'
+  ) THEN
+    ALTER TABLE public.users ADD CONSTRAINT users_tg_id_key UNIQUE (tg_id);
+  END IF;
+END$$;
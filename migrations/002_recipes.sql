@@ -0,0 +1,37 @@
+-- Глобальные (опубликованные) рецепты
+create table if not exists recipes (
+  id         text primary key,
+  data       jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Личные рецепты (по владельцу owner = telegram id)
+create table if not exists local_recipes (
+  owner      text not null,
+  id         text not null,
+  data       jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (owner, id)
+);
+
+-- updated_at триггер
+create or replace function touch_updated_at() returns trigger as $$
+begin
+  new.updated_at = now();
+  return new;
+end $$ language plpgsql;
+
+drop trigger if exists tr_touch_updated_at_recipes on recipes;
+create trigger tr_touch_updated_at_recipes
+  before update on recipes
+  for each row execute procedure touch_updated_at();
+
+drop trigger if exists tr_touch_updated_at_local_recipes on local_recipes;
+create trigger tr_touch_updated_at_local_recipes
+  before update on local_recipes
+  for each row execute procedure touch_updated_at();
+
+create index if not exists idx_recipes_updated_at on recipes (updated_at desc);
+create index if not exists idx_local_recipes_updated_at on local_recipes (updated_at desc);
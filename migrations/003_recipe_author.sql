@@ -0,0 +1,3 @@
+-- автор глобального рецепта (tg:<id>), null — старые записи до авторства
+alter table recipes add column if not exists author text;
+create index if not exists idx_recipes_author on recipes (author);
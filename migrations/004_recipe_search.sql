@@ -0,0 +1,19 @@
+-- текст для полнотекстового поиска: название, описание, ингредиенты (и из parts)
+create or replace function recipe_search_text(d jsonb) returns text
+language sql immutable as $fn$
+  select concat_ws(' ',
+    d->>'title',
+    d->>'description',
+    (select string_agg(v #>> '{}', ' ') from jsonb_path_query(d, '$.ingredients[*]') v),
+    (select string_agg(v #>> '{}', ' ') from jsonb_path_query(d, '$.parts[*].ingredients[*]') v)
+  )
+$fn$;
+
+create index if not exists idx_recipes_fts
+  on recipes using gin (to_tsvector('simple', recipe_search_text(data)));
+create index if not exists idx_local_recipes_fts
+  on local_recipes using gin (to_tsvector('simple', recipe_search_text(data)));
+create index if not exists idx_recipes_categories
+  on recipes using gin ((data->'categories'));
+create index if not exists idx_local_recipes_categories
+  on local_recipes using gin ((data->'categories'));
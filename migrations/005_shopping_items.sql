@@ -0,0 +1,16 @@
+-- Список покупок (одна позиция = один продукт, одинаковые складываются)
+create table if not exists shopping_items (
+  id         bigserial primary key,
+  owner      text not null,
+  name       text not null,
+  qty        double precision,
+  unit       text,
+  note       text,
+  checked    boolean not null default false,
+  manual     boolean not null default false,
+  recipe_ids text[] not null default '{}',
+  position   int not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists idx_shopping_items_owner on shopping_items (owner, checked, position);
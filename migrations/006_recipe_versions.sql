@@ -0,0 +1,48 @@
+-- История версий рецептов: пишется триггером на любой insert/update data
+create table if not exists recipe_versions (
+  id         bigserial primary key,
+  scope      text not null,            -- 'local' | 'global'
+  owner      text not null default '', -- для global — ''
+  recipe_id  text not null,
+  version    int not null,
+  data       jsonb not null,
+  created_at timestamptz not null default now(),
+  unique (scope, owner, recipe_id, version)
+);
+
+create or replace function record_recipe_version() returns trigger as $$
+declare
+  v_scope text := tg_argv[0];
+  v_owner text := coalesce(to_jsonb(new)->>'owner', '');
+begin
+  if tg_op = 'UPDATE' and new.data is not distinct from old.data then
+    return new;
+  end if;
+  insert into recipe_versions (scope, owner, recipe_id, version, data)
+  select v_scope, v_owner, new.id, coalesce(max(version), 0) + 1, new.data
+    from recipe_versions
+   where scope = v_scope and owner = v_owner and recipe_id = new.id;
+  return new;
+end $$ language plpgsql;
+
+drop trigger if exists tr_recipe_versions_recipes on recipes;
+create trigger tr_recipe_versions_recipes
+  after insert or update on recipes
+  for each row execute procedure record_recipe_version('global');
+
+drop trigger if exists tr_recipe_versions_local_recipes on local_recipes;
+create trigger tr_recipe_versions_local_recipes
+  after insert or update on local_recipes
+  for each row execute procedure record_recipe_version('local');
+
+-- рецепты, созданные до истории, получают версию 1 с текущими данными
+insert into recipe_versions (scope, owner, recipe_id, version, data, created_at)
+select 'global', '', r.id, 1, r.data, r.updated_at
+  from recipes r
+ where not exists (select 1 from recipe_versions v
+                    where v.scope='global' and v.owner='' and v.recipe_id=r.id);
+insert into recipe_versions (scope, owner, recipe_id, version, data, created_at)
+select 'local', lr.owner, lr.id, 1, lr.data, lr.updated_at
+  from local_recipes lr
+ where not exists (select 1 from recipe_versions v
+                    where v.scope='local' and v.owner=lr.owner and v.recipe_id=lr.id);
@@ -0,0 +1,58 @@
+-- Инкрементальная синхронизация: версия записи, глобальный счётчик изменений
+-- и надгробия для удалённых (см. POST /local/recipes/sync)
+create sequence if not exists local_recipes_change_seq;
+alter table local_recipes add column if not exists version int not null default 1;
+alter table local_recipes
+  add column if not exists change_seq bigint not null default nextval('local_recipes_change_seq');
+create index if not exists idx_local_recipes_owner_seq on local_recipes (owner, change_seq);
+
+create table if not exists local_recipe_tombstones (
+  owner      text not null,
+  id         text not null,
+  version    int not null,
+  change_seq bigint not null,
+  deleted_at timestamptz not null default now(),
+  primary key (owner, id)
+);
+create index if not exists idx_local_recipe_tombstones_owner_seq
+  on local_recipe_tombstones (owner, change_seq);
+
+create or replace function local_recipes_track_change() returns trigger as $$
+declare
+  v_tomb int;
+begin
+  perform pg_advisory_xact_lock(hashtext('local_recipes:' || new.owner));
+  if tg_op = 'INSERT' then
+    -- воскрешённый после удаления рецепт продолжает нумерацию версий
+    delete from local_recipe_tombstones
+     where owner = new.owner and id = new.id
+    returning version into v_tomb;
+    new.version := coalesce(v_tomb, 0) + 1;
+  elsif new.data is distinct from old.data then
+    new.version := old.version + 1;
+  else
+    return new;
+  end if;
+  new.change_seq := nextval('local_recipes_change_seq');
+  return new;
+end $$ language plpgsql;
+
+create or replace function local_recipes_track_delete() returns trigger as $$
+begin
+  perform pg_advisory_xact_lock(hashtext('local_recipes:' || old.owner));
+  insert into local_recipe_tombstones (owner, id, version, change_seq)
+  values (old.owner, old.id, old.version + 1, nextval('local_recipes_change_seq'))
+  on conflict (owner, id) do update
+    set version = excluded.version, change_seq = excluded.change_seq, deleted_at = now();
+  return old;
+end $$ language plpgsql;
+
+drop trigger if exists tr_local_recipes_track_change on local_recipes;
+create trigger tr_local_recipes_track_change
+  before insert or update on local_recipes
+  for each row execute procedure local_recipes_track_change();
+
+drop trigger if exists tr_local_recipes_track_delete on local_recipes;
+create trigger tr_local_recipes_track_delete
+  after delete on local_recipes
+  for each row execute procedure local_recipes_track_delete();
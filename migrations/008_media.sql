@@ -0,0 +1,13 @@
+-- Загруженные картинки (обложки, фото шагов); сами байты — в бэкенде хранения (media.js)
+create table if not exists media (
+  id          text primary key,
+  owner       text not null,
+  mime        text not null,
+  size        int not null,
+  sha256      text not null,
+  storage     text not null,  -- 'pg' | 'fs'
+  storage_ref text not null,  -- oid large object / ключ файла
+  created_at  timestamptz not null default now()
+);
+create index if not exists idx_media_owner on media (owner);
+create index if not exists idx_media_owner_sha on media (owner, sha256);
@@ -0,0 +1,37 @@
+import { dataUrlToBuffer, storeMedia } from "../media.js";
+
+// Обложки в виде data:image/...;base64 переносим из data рецептов в media,
+// в рецепте остаётся ссылка "media:<id>". Картинки неизвестного формата не трогаем.
+async function extractCovers(client, rows, { ownerOf, save }) {
+  let moved = 0;
+  for (const r of rows) {
+    const buffer = dataUrlToBuffer(r.data?.cover);
+    if (!buffer) continue;
+    const stored = await storeMedia(client, { owner: ownerOf(r), buffer });
+    if (stored.error) continue;
+    await save(r, { ...r.data, cover: `media:${stored.id}` });
+    moved++;
+  }
+  return moved;
+}
+
+export async function up(client) {
+  const { rows: localRows } = await client.query(
+    `select owner, id, data from local_recipes where data->>'cover' like 'data:image/%'`
+  );
+  const local = await extractCovers(client, localRows, {
+    ownerOf: (r) => r.owner,
+    save: (r, data) =>
+      client.query(`update local_recipes set data=$3 where owner=$1 and id=$2`, [r.owner, r.id, data]),
+  });
+
+  const { rows: globalRows } = await client.query(
+    `select author, id, data from recipes where data->>'cover' like 'data:image/%'`
+  );
+  const global = await extractCovers(client, globalRows, {
+    ownerOf: (r) => r.author || "global",
+    save: (r, data) => client.query(`update recipes set data=$2 where id=$1`, [r.id, data]),
+  });
+
+  console.log(`migrate: inline covers moved to media — local: ${local}, global: ${global}`);
+}
@@ -0,0 +1,32 @@
+-- Заказы с сайта и их статусы
+create table if not exists orders (
+  id               bigserial primary key,
+  customer         text,        -- владелец (tg:<id> или анонимный id)
+  tg_id            text,        -- куда слать уведомления (только из проверенного JWT)
+  recipe_id        text,
+  recipe_scope     text,        -- 'global' | 'local'
+  title            text not null,
+  comment          text,
+  status           text not null default 'new'
+                   check (status in ('new', 'accepted', 'cooking', 'ready', 'done', 'cancelled')),
+  admin_chat_id    text,
+  admin_message_id bigint,
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now()
+);
+create index if not exists idx_orders_customer on orders (customer, created_at desc);
+
+drop trigger if exists tr_touch_updated_at_orders on orders;
+create trigger tr_touch_updated_at_orders
+  before update on orders
+  for each row execute procedure touch_updated_at();
+
+-- история смены статусов
+create table if not exists order_events (
+  id         bigserial primary key,
+  order_id   bigint not null references orders(id) on delete cascade,
+  status     text not null,
+  actor      text,
+  created_at timestamptz not null default now()
+);
+create index if not exists idx_order_events_order on order_events (order_id, id);
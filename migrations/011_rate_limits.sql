@@ -0,0 +1,7 @@
+-- Счётчики лимитов частоты (RATE_LIMIT_STORE=pg). Данные одноразовые — журнал не нужен.
+create unlogged table if not exists rate_limits (
+  key      text primary key,
+  count    int not null,
+  reset_at timestamptz not null
+);
+create index if not exists idx_rate_limits_reset on rate_limits (reset_at);
@@ -0,0 +1,18 @@
+-- Сессии входа: короткий access JWT (с sid) + ротируемый refresh-токен
+create table if not exists sessions (
+  id             text primary key,
+  tg_id          text not null references users(tg_id) on delete cascade,
+  kind           text not null default 'web',   -- 'web' (виджет) | 'bot' (Mini App из бота)
+  user_agent     text,
+  ip             text,
+  refresh_gen    int not null default 0,        -- номер актуального refresh-токена
+  created_at     timestamptz not null default now(),
+  last_seen_at   timestamptz not null default now(),
+  expires_at     timestamptz not null,
+  revoked_at     timestamptz,
+  revoked_reason text
+);
+create index if not exists idx_sessions_tg_active on sessions (tg_id) where revoked_at is null;
+
+-- старые 90-дневные JWT без sid: "выйти везде" отсекает всё, что выдано раньше
+alter table users add column if not exists tokens_valid_after timestamptz;
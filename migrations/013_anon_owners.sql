@@ -0,0 +1,7 @@
+-- Анонимные владельцы (устройства без входа): выдаются сервером, подписаны (см. ownerToken)
+create table if not exists anon_owners (
+  id           text primary key,        -- "anon:<random>" или старый id, закреплённый через claim
+  legacy       boolean not null default false,
+  created_at   timestamptz not null default now(),
+  last_seen_at timestamptz not null default now()
+);
@@ -0,0 +1,7 @@
+-- Незаконченные диалоги бота (мастер /new, правка поля): одно состояние на пользователя
+create table if not exists bot_dialogs (
+  tg_id      text primary key,
+  kind       text not null,
+  state      jsonb not null default '{}'::jsonb,
+  expires_at timestamptz not null
+);
@@ -0,0 +1,6 @@
+-- Фильтр списка рецептов в боте (поиск, категория, флаги, сортировка): короткая сессия на пользователя
+create table if not exists bot_list_filters (
+  tg_id      text primary key,
+  filter     jsonb not null default '{}'::jsonb,
+  expires_at timestamptz not null
+);
@@ -0,0 +1,32 @@
+-- Лайки глобальных рецептов (по tg-пользователю) и счётчики для сортировки.
+-- tg_id без ссылки на users: лайкают и из бота, где входа на сайт могло не быть.
+create table if not exists recipe_likes (
+  recipe_id  text not null references recipes(id) on delete cascade,
+  tg_id      text not null,
+  created_at timestamptz not null default now(),
+  primary key (recipe_id, tg_id)
+);
+create index if not exists idx_recipe_likes_tg on recipe_likes (tg_id, created_at desc);
+
+-- счётчики отдельно от recipes, чтобы лайк не трогал updated_at и историю версий
+create table if not exists recipe_stats (
+  recipe_id text primary key references recipes(id) on delete cascade,
+  likes     int not null default 0
+);
+create index if not exists idx_recipe_stats_likes on recipe_stats (likes desc, recipe_id desc);
+
+create or replace function recipe_likes_count() returns trigger as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into recipe_stats (recipe_id, likes) values (new.recipe_id, 1)
+    on conflict (recipe_id) do update set likes = recipe_stats.likes + 1;
+    return new;
+  end if;
+  update recipe_stats set likes = greatest(likes - 1, 0) where recipe_id = old.recipe_id;
+  return old;
+end $$ language plpgsql;
+
+drop trigger if exists tr_recipe_likes_count on recipe_likes;
+create trigger tr_recipe_likes_count
+  after insert or delete on recipe_likes
+  for each row execute procedure recipe_likes_count();
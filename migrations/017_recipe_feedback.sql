@@ -0,0 +1,73 @@
+-- Комментарии (с ответами), жалобы на них и оценки 1–5 для глобальных рецептов
+create table if not exists recipe_comments (
+  id         bigserial primary key,
+  recipe_id  text not null references recipes(id) on delete cascade,
+  parent_id  bigint references recipe_comments(id) on delete cascade,
+  tg_id      text not null,
+  body       text,                 -- null после удаления автором (ветка ответов остаётся)
+  hidden_at  timestamptz,
+  hidden_by  text,                 -- 'author' (автор рецепта) | 'admin' | 'reports'
+  deleted_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists idx_recipe_comments_recipe on recipe_comments (recipe_id, created_at);
+create index if not exists idx_recipe_comments_parent on recipe_comments (parent_id);
+
+drop trigger if exists tr_touch_updated_at_recipe_comments on recipe_comments;
+create trigger tr_touch_updated_at_recipe_comments
+  before update on recipe_comments
+  for each row execute procedure touch_updated_at();
+
+create table if not exists recipe_comment_reports (
+  comment_id  bigint not null references recipe_comments(id) on delete cascade,
+  tg_id       text not null,
+  reason      text,
+  created_at  timestamptz not null default now(),
+  resolved_at timestamptz,
+  primary key (comment_id, tg_id)
+);
+create index if not exists idx_recipe_comment_reports_open
+  on recipe_comment_reports (created_at) where resolved_at is null;
+
+create table if not exists recipe_ratings (
+  recipe_id  text not null references recipes(id) on delete cascade,
+  tg_id      text not null,
+  stars      smallint not null check (stars between 1 and 5),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (recipe_id, tg_id)
+);
+
+alter table recipe_stats add column if not exists rating_sum   int not null default 0;
+alter table recipe_stats add column if not exists rating_count int not null default 0;
+
+create or replace function recipe_ratings_count() returns trigger as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    update recipe_stats
+       set rating_sum = greatest(rating_sum - old.stars, 0),
+           rating_count = greatest(rating_count - 1, 0)
+     where recipe_id = old.recipe_id;
+  end if;
+  if tg_op in ('INSERT', 'UPDATE') then
+    insert into recipe_stats (recipe_id, rating_sum, rating_count) values (new.recipe_id, new.stars, 1)
+    on conflict (recipe_id) do update
+      set rating_sum = recipe_stats.rating_sum + new.stars,
+          rating_count = recipe_stats.rating_count + 1;
+    return new;
+  end if;
+  return old;
+end $$ language plpgsql;
+
+drop trigger if exists tr_recipe_ratings_count on recipe_ratings;
+create trigger tr_recipe_ratings_count
+  after insert or update or delete on recipe_ratings
+  for each row execute procedure recipe_ratings_count();
+
+-- настройки пользователя (и для тех, кто знаком только с ботом — поэтому без ссылки на users)
+create table if not exists user_settings (
+  tg_id           text primary key,
+  notify_comments boolean not null default true,
+  updated_at      timestamptz not null default now()
+);
@@ -0,0 +1,31 @@
+-- Коллекции (кулинарные книги) из локальных рецептов владельца
+create table if not exists collections (
+  id          text primary key,
+  owner       text not null,
+  title       text not null,
+  description text not null default '',
+  cover       text,                              -- "media:<id>" или http(s)-адрес
+  position    int not null default 0,            -- порядок в списке коллекций владельца
+  is_public   boolean not null default false,    -- доступна всем по GET /public/collections/:id
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now()
+);
+create index if not exists idx_collections_owner on collections (owner, position);
+
+drop trigger if exists tr_touch_updated_at_collections on collections;
+create trigger tr_touch_updated_at_collections
+  before update on collections
+  for each row execute procedure touch_updated_at();
+
+-- рецепт может быть в нескольких коллекциях; удалён рецепт — пропадает и отсюда
+create table if not exists collection_items (
+  collection_id text not null references collections(id) on delete cascade,
+  owner         text not null,
+  recipe_id     text not null,
+  position      int not null default 0,
+  added_at      timestamptz not null default now(),
+  primary key (collection_id, recipe_id),
+  foreign key (owner, recipe_id) references local_recipes (owner, id) on delete cascade
+);
+create index if not exists idx_collection_items_recipe on collection_items (owner, recipe_id);
+create index if not exists idx_collection_items_order on collection_items (collection_id, position);
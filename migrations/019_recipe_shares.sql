@@ -0,0 +1,26 @@
+-- Доступ к локальному рецепту без публикации в глобал:
+-- выдача конкретному tg-пользователю (чтение или правка) и ссылки по секретному токену
+create table if not exists recipe_grants (
+  id         bigserial primary key,
+  owner      text not null,
+  recipe_id  text not null,
+  tg_id      text not null,                       -- кому выдан доступ
+  access     text not null default 'read' check (access in ('read', 'edit')),
+  created_at timestamptz not null default now(),
+  unique (owner, recipe_id, tg_id),
+  foreign key (owner, recipe_id) references local_recipes (owner, id) on delete cascade
+);
+create index if not exists idx_recipe_grants_tg on recipe_grants (tg_id, created_at desc);
+
+create table if not exists recipe_share_links (
+  id           bigserial primary key,
+  owner        text not null,
+  recipe_id    text not null,
+  token        text not null unique,
+  created_at   timestamptz not null default now(),
+  expires_at   timestamptz,
+  revoked_at   timestamptz,
+  last_used_at timestamptz,
+  foreign key (owner, recipe_id) references local_recipes (owner, id) on delete cascade
+);
+create index if not exists idx_recipe_share_links_recipe on recipe_share_links (owner, recipe_id);
@@ -0,0 +1,20 @@
+-- План питания: рецепт (локальный или глобальный) на дату и приём пищи.
+-- Без ссылки на рецепт: источник двоякий, а удалённый рецепт в плане просто помечается.
+create table if not exists meal_plan_entries (
+  id         bigserial primary key,
+  owner      text not null,
+  day        date not null,
+  slot       text not null check (slot in ('breakfast', 'lunch', 'dinner')),
+  source     text not null default 'local' check (source in ('local', 'global')),
+  recipe_id  text not null,
+  servings   smallint check (servings between 1 and 100),
+  position   int not null default 0,               -- порядок внутри приёма пищи
+  created_at timestamptz not null default now()
+);
+create index if not exists idx_meal_plan_owner_day on meal_plan_entries (owner, day, slot, position);
+create index if not exists idx_meal_plan_day on meal_plan_entries (day);
+
+-- часовой пояс (null — по умолчанию сервера) и утреннее сообщение с планом в боте
+alter table user_settings add column if not exists timezone text;
+alter table user_settings add column if not exists notify_meal_plan boolean not null default true;
+alter table user_settings add column if not exists meal_plan_sent_on date;   -- чтобы не слать дважды за день
@@ -0,0 +1,47 @@
+-- Фоновые задачи (jobs.js): когда запускать — общее для всех инстансов, плюс история запусков
+create table if not exists job_state (
+  name        text primary key,
+  schedule    text not null,
+  next_run_at timestamptz,
+  attempt     int not null default 0,     -- сколько подряд неудачных попыток ждут повтора
+  last_run_at timestamptz,
+  last_status text
+);
+
+create table if not exists job_runs (
+  id          bigserial primary key,
+  job         text not null,
+  trigger     text not null check (trigger in ('schedule', 'manual')),
+  attempt     int not null default 1,
+  status      text not null default 'running' check (status in ('running', 'ok', 'failed')),
+  started_at  timestamptz not null default now(),
+  finished_at timestamptz,
+  result      jsonb,
+  error       text
+);
+create index if not exists idx_job_runs_job on job_runs (job, started_at desc);
+create index if not exists idx_job_runs_started on job_runs (started_at);
+
+-- для чистки брошенных анонимов
+create index if not exists idx_anon_owners_last_seen on anon_owners (last_seen_at);
+
+-- старые id закреплялись строкой в anon_owners; теперь строка есть у каждого владельца
+-- (для чистки), а закреплённость — отдельно
+alter table anon_owners add column if not exists claimed_at timestamptz;
+update anon_owners set claimed_at = created_at where legacy and claimed_at is null;
+
+-- владельцы, у которых данные есть, а строки в anon_owners нет (ходили без подписи
+-- или не заходили с тех пор, как она появилась): last_seen_at — последнее изменение данных
+-- (у media есть только created_at)
+insert into anon_owners (id, legacy, created_at, last_seen_at)
+select owner, owner not like 'anon:%', min(first_at), max(last_at)
+  from (
+    select owner, min(created_at) as first_at, max(updated_at) as last_at from local_recipes group by owner
+    union all
+    select owner, min(created_at), max(updated_at) from shopping_items group by owner
+    union all
+    select owner, min(created_at), max(created_at) from media group by owner
+  ) t
+ where owner not like 'tg:%'
+ group by owner
+on conflict (id) do nothing;
@@ -0,0 +1,14 @@
+-- Автор для старых глобальных рецептов без автора: владелец локальной копии, которая
+-- была раньше публикации (локальную запись с любым id может завести кто угодно — поздние не в счёт).
+-- Однозначный кандидат — автор; остальные записи без автора правит только админ.
+update recipes r
+   set author = c.owner
+  from (
+    select r2.id, min(lr.owner) as owner
+      from recipes r2
+      join local_recipes lr on lr.id = r2.id and lr.owner like 'tg:%' and lr.created_at <= r2.created_at
+     where r2.author is null
+     group by r2.id
+    having count(distinct lr.owner) = 1
+  ) c
+ where r.id = c.id and r.author is null;
@@ -0,0 +1,3 @@
+-- когда refresh последний раз ротировали: предыдущий токен ещё REFRESH_GRACE_SEC
+-- принимается (параллельные вкладки обновляются одновременно)
+alter table sessions add column if not exists refreshed_at timestamptz;
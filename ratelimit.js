@@ -0,0 +1,110 @@
+// =====================================================================
+// ========================== ОГРАНИЧЕНИЕ ЧАСТОТЫ =======================
+// =====================================================================
+// Фиксированное окно: на ключ (ip:..., owner:..., tg:...) не больше `limit`
+// запросов за `windowMs`. Счётчики живут в хранилище, выбирается RATE_LIMIT_STORE:
+//   memory (по умолчанию) — в процессе; на нескольких инстансах у каждого свой счёт
+//   pg                    — таблица rate_limits, общий счёт для всех инстансов
+// Хранилище: hit(key, windowMs) -> { count, resetAt(ms) }.
+
+export function createMemoryStore({ sweepMs = 60_000 } = {}) {
+  const buckets = new Map();
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, b] of buckets) if (b.resetAt <= now) buckets.delete(key);
+  }, sweepMs);
+  timer.unref?.();
+
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let b = buckets.get(key);
+      if (!b || b.resetAt <= now) {
+        b = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, b);
+      }
+      b.count++;
+      return { count: b.count, resetAt: b.resetAt };
+    },
+  };
+}
+
+export function createPgStore(pool, { sweepMs = 60_000 } = {}) {
+  let lastSweep = 0;
+  return {
+    name: "pg",
+    async hit(key, windowMs) {
+      const { rows } = await pool.query(
+        `insert into rate_limits (key, count, reset_at)
+         values ($1, 1, now() + make_interval(secs => $2::float8 / 1000))
+         on conflict (key) do update set
+           count    = case when rate_limits.reset_at <= now() then 1 else rate_limits.count + 1 end,
+           reset_at = case when rate_limits.reset_at <= now() then excluded.reset_at else rate_limits.reset_at end
+         returning count, reset_at`,
+        [key, windowMs]
+      );
+      // просроченные окна чистим изредка и не дожидаясь
+      if (Date.now() - lastSweep > sweepMs) {
+        lastSweep = Date.now();
+        pool
+          .query(`delete from rate_limits where reset_at < now()`)
+          .catch((e) => console.warn("rate_limits sweep failed:", e.message));
+      }
+      return { count: rows[0].count, resetAt: new Date(rows[0].reset_at).getTime() };
+    },
+  };
+}
+
+export function createRateLimitStore(pool, name = process.env.RATE_LIMIT_STORE || "memory") {
+  if (name === "memory") return createMemoryStore();
+  if (name === "pg") return createPgStore(pool);
+  throw new Error(`unknown RATE_LIMIT_STORE "${name}" (use: memory | pg)`);
+}
+
+// Политика: { name, limit, windowMs }. -> check(key) -> { allowed, limit, remaining, count, resetAt, retryAfter }
+// Если хранилище недоступно — пропускаем (лучше без лимита, чем лежать вместе с базой).
+export function createLimiter(store, { name, limit, windowMs }) {
+  return {
+    name,
+    limit,
+    windowMs,
+    async check(key) {
+      let hit;
+      try {
+        hit = await store.hit(`${name}:${key}`, windowMs);
+      } catch (e) {
+        console.warn(`rate limit "${name}" store failed:`, e.message);
+        return { allowed: true, limit, remaining: limit, count: 0, resetAt: Date.now() + windowMs, retryAfter: 0 };
+      }
+      const retryAfter = Math.max(1, Math.ceil((hit.resetAt - Date.now()) / 1000));
+      return {
+        allowed: hit.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - hit.count),
+        count: hit.count,
+        resetAt: hit.resetAt,
+        retryAfter,
+      };
+    },
+  };
+}
+
+// Express-middleware. keyFn(req) -> строка ключа (null — запрос не считаем).
+// Заголовки — RateLimit-* по draft-ietf-httpapi-ratelimit-headers, при отказе ещё Retry-After.
+export function rateLimitMiddleware(limiter, keyFn) {
+  return async (req, res, next) => {
+    const key = keyFn(req);
+    if (!key) return next();
+    const r = await limiter.check(key);
+    res.setHeader("RateLimit-Policy", `${limiter.limit};w=${Math.round(limiter.windowMs / 1000)}`);
+    res.setHeader("RateLimit-Limit", String(r.limit));
+    res.setHeader("RateLimit-Remaining", String(r.remaining));
+    res.setHeader("RateLimit-Reset", String(r.retryAfter));
+    if (!r.allowed) {
+      res.setHeader("Retry-After", String(r.retryAfter));
+      return res.status(429).json({ error: "rate_limited", retryAfter: r.retryAfter });
+    }
+    next();
+  };
+}
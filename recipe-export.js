@@ -0,0 +1,150 @@
+import { parseMediaRef } from "./media.js";
+
+// =====================================================================
+// =========================== ЭКСПОРТ РЕЦЕПТОВ =========================
+// =====================================================================
+// Форматы книги рецептов (рецепты — уже проверенные validateRecipe, с id):
+//   json     — резервная копия { format, version, exportedAt, recipes }, её же принимает restore
+//   jsonld   — schema.org Recipe (@graph), для других сервисов
+//   markdown — для чтения и печати
+// Ссылки "media:<id>" в jsonld/markdown превращает в адрес opts.mediaUrl(id);
+// без него картинки пропускаются.
+
+export const BACKUP_FORMAT = "recipepad-backup";
+export const BACKUP_VERSION = 1;
+
+// все картинки рецепта: обложка и фото шагов -> [mediaId]
+export function recipeMediaIds(r) {
+  const ids = [parseMediaRef(r.cover), ...(r.stepPhotos || []).map((p) => parseMediaRef(p.media))];
+  return [...new Set(ids.filter(Boolean))];
+}
+
+export function makeBackup(recipes, { exportedAt = new Date() } = {}) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    count: recipes.length,
+    recipes,
+  };
+}
+
+// проверка обёртки резервной копии (сами рецепты проверяет validateRecipe)
+// -> { recipes, version } | { error: "bad_backup" | "unsupported_version", message }
+export function checkBackup(backup) {
+  if (!backup || typeof backup !== "object" || Array.isArray(backup) || backup.format !== BACKUP_FORMAT) {
+    return { error: "bad_backup", message: `expected an object with format "${BACKUP_FORMAT}"` };
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return { error: "bad_backup", message: "version must be a positive integer" };
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return {
+      error: "unsupported_version",
+      message: `backup version ${backup.version} is newer than supported ${BACKUP_VERSION}`,
+    };
+  }
+  if (!Array.isArray(backup.recipes)) {
+    return { error: "bad_backup", message: "recipes must be an array" };
+  }
+  return { recipes: backup.recipes, version: backup.version };
+}
+
+function imageUrl(ref, mediaUrl) {
+  if (!ref) return null;
+  const id = parseMediaRef(ref);
+  if (id) return mediaUrl ? mediaUrl(id) : null;
+  return /^https?:\/\//i.test(ref) ? ref : null; // data: URL в экспорт не тащим
+}
+
+function recipeParts(r) {
+  if (Array.isArray(r.parts) && r.parts.length) return r.parts;
+  return [{ title: "", ingredients: r.ingredients || [], steps: r.steps || [] }];
+}
+
+function isoDate(v) {
+  if (v == null) return undefined;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+// ----- schema.org -----
+export function recipeToJsonLd(r, { mediaUrl } = {}) {
+  const parts = recipeParts(r);
+  const howTo = (steps) => steps.map((text) => ({ "@type": "HowToStep", text }));
+  const named = parts.filter((p) => p.steps.length);
+
+  const node = {
+    "@type": "Recipe",
+    identifier: r.id,
+    name: r.title,
+    description: r.description || undefined,
+    image: imageUrl(r.cover, mediaUrl) || undefined,
+    recipeYield: r.servings ? String(r.servings) : undefined,
+    recipeCategory: r.categories?.length ? r.categories : undefined,
+    recipeIngredient: parts.flatMap((p) => p.ingredients),
+    recipeInstructions:
+      named.length > 1 || named[0]?.title
+        ? named.map((p) => ({ "@type": "HowToSection", name: p.title || "", itemListElement: howTo(p.steps) }))
+        : howTo(named[0]?.steps || []),
+    dateCreated: isoDate(r.createdAt),
+    dateModified: isoDate(r.updatedAt),
+  };
+  return JSON.parse(JSON.stringify(node)); // убрать undefined
+}
+
+export function recipesToJsonLd(recipes, opts) {
+  return { "@context": "https://schema.org", "@graph": recipes.map((r) => recipeToJsonLd(r, opts)) };
+}
+
+// ----- markdown -----
+// экранируем только то, что ломает разметку в начале строки и внутри текста
+function md(s) {
+  return String(s).replace(/([\\`*_[\]<>#|])/g, "\\$1").replace(/^(\d+)\./, "$1\\.");
+}
+
+export function recipeToMarkdown(r, { mediaUrl } = {}) {
+  const out = [`## ${md(r.title)}`, ""];
+  const cover = imageUrl(r.cover, mediaUrl);
+  if (cover) out.push(`![${md(r.title)}](${cover})`, "");
+  if (r.description) out.push(md(r.description), "");
+
+  const meta = [];
+  if (r.servings) meta.push(`Порций: ${r.servings}`);
+  if (r.categories?.length) meta.push(`Категории: ${r.categories.map(md).join(", ")}`);
+  if (meta.length) out.push(meta.join(" · "), "");
+
+  const parts = recipeParts(r);
+  const multi = parts.length > 1 || Boolean(parts[0].title);
+
+  if (parts.some((p) => p.ingredients.length)) {
+    out.push("### Ингредиенты", "");
+    for (const p of parts) {
+      if (!p.ingredients.length) continue;
+      if (multi && p.title) out.push(`**${md(p.title)}**`, "");
+      out.push(...p.ingredients.map((i) => `- ${md(i)}`), "");
+    }
+  }
+
+  if (parts.some((p) => p.steps.length)) {
+    out.push("### Приготовление", "");
+    parts.forEach((p, partIndex) => {
+      if (!p.steps.length) return;
+      if (multi && p.title) out.push(`**${md(p.title)}**`, "");
+      p.steps.forEach((s, i) => {
+        out.push(`${i + 1}. ${md(s).replace(/\n/g, "\n   ")}`);
+        for (const ph of r.stepPhotos || []) {
+          const url = ph.part === partIndex && ph.step === i ? imageUrl(ph.media, mediaUrl) : null;
+          if (url) out.push(`   ![](${url})`);
+        }
+      });
+      out.push("");
+    });
+  }
+  return out.join("\n").trimEnd() + "\n";
+}
+
+export function recipesToMarkdown(recipes, opts) {
+  const head = `# Мои рецепты\n\nРецептов: ${recipes.length}\n`;
+  return [head, ...recipes.map((r) => recipeToMarkdown(r, opts))].join("\n---\n\n");
+}
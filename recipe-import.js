@@ -0,0 +1,470 @@
+// =====================================================================
+// =========================== ИМПОРТ РЕЦЕПТОВ ==========================
+// =====================================================================
+// Разбор того, что пользователь принёс с кулинарного сайта (сами страницы не качаем):
+//   1) schema.org Recipe в <script type="application/ld+json">
+//   2) schema.org Recipe в микроразметке (itemscope / itemprop)
+//   3) обычный текст с разделами «Ингредиенты» / «Шаги»
+// importRecipe(input) -> { source, draft, warnings } | null
+//   draft — рецепт в форме сайта (title, description, cover, servings, categories,
+//   parts | ingredients + steps); проверка (validateRecipe) и сохранение — в server.js.
+
+const MAX_HTML_LENGTH = 3_000_000;
+// сколько тегов разбор микроразметки/JSON-LD может просмотреть на весь документ (с повторами);
+// дальше — как будто разметки нет, разбираем текст
+const MAX_TAG_VISITS = 300_000;
+const MAX_TAG_LENGTH = 8000; // атрибуты длиннее не читаем
+
+function clean(s) {
+  return String(s ?? "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\uFFFE\uFFFF]/g, "")
+    .replace(/[ \t\u00A0]+/g, " ")
+    .trim();
+}
+
+// ----- части рецепта из текста -----
+// По пункту в строке. Строка "Тесто:" или "# Тесто" начинает часть (parts на сайте).
+const SECTION_RE = /^(?:#+\s*(.+?)|([^:]{1,60}):)\s*$/;
+const BULLET_RE = /^\s*(?:[-•*–—▪●]|\d{1,3}[.)])\s+/;
+
+// -> [{ title: string|null, items: [] }]
+export function parseSections(text) {
+  const sections = [{ title: null, items: [] }];
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    const m = line.match(SECTION_RE);
+    if (m) {
+      sections.push({ title: clean(m[1] || m[2]), items: [] });
+      continue;
+    }
+    const item = clean(line.replace(BULLET_RE, ""));
+    if (item) sections[sections.length - 1].items.push(item);
+  }
+  return sections.filter((s, i) => i > 0 || s.items.length);
+}
+
+// обратно в форму сайта: без заголовков — плоские списки, иначе parts (по названию части)
+export function sectionsToRecipeBody(ingredients, steps) {
+  const all = [...ingredients, ...steps];
+  if (all.every((s) => !s.title)) {
+    return {
+      parts: [],
+      ingredients: ingredients.flatMap((s) => s.items),
+      steps: steps.flatMap((s) => s.items),
+    };
+  }
+  const parts = [];
+  const byTitle = new Map();
+  const partFor = (title) => {
+    const key = title || "Основное";
+    if (!byTitle.has(key)) {
+      const p = { title: key, ingredients: [], steps: [] };
+      byTitle.set(key, p);
+      parts.push(p);
+    }
+    return byTitle.get(key);
+  };
+  for (const s of ingredients) partFor(s.title).ingredients.push(...s.items);
+  for (const s of steps) partFor(s.title).steps.push(...s.items);
+  return { parts, ingredients: [], steps: [] };
+}
+
+// ----- HTML без парсера: нам нужен только текст и пара атрибутов -----
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  laquo: "«", raquo: "»", mdash: "—", ndash: "–", hellip: "…", deg: "°",
+  frac12: "½", frac14: "¼", frac34: "¾", times: "×", rsquo: "’", lsquo: "‘",
+  rdquo: "”", ldquo: "“", bull: "•", middot: "·",
+};
+
+export function decodeEntities(s) {
+  return String(s ?? "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+\d*);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// Теги ищем только через indexOf, без регулярок по всему документу: на мусоре вроде
+// "<a <a <a ..." без ">" регулярки с [^>]* откатываются квадратично.
+const TAG_HEAD_RE = /^<(\/?)([a-z][\w-]*)/i;
+
+class TooComplexError extends Error {}
+
+// теги по порядку, начиная с from: { index, end, name, closing, attrs }
+// budget — { left }: общий на разбор счётчик просмотренных тегов
+function* scanTags(html, from = 0, budget = null) {
+  let i = from;
+  let gt = -1;
+  for (;;) {
+    const lt = html.indexOf("<", i);
+    if (lt < 0) return;
+    if (gt <= lt) gt = html.indexOf(">", lt + 1);
+    if (gt < 0) return; // дальше ни одного закрытого тега
+    const m = TAG_HEAD_RE.exec(html.slice(lt, Math.min(gt, lt + 100)));
+    if (!m) {
+      i = lt + 1;
+      continue;
+    }
+    if (budget && --budget.left < 0) throw new TooComplexError("markup is too complex");
+    i = gt + 1;
+    yield {
+      index: lt,
+      end: gt + 1,
+      name: m[2].toLowerCase(),
+      closing: m[1] === "/",
+      attrs: html.slice(lt + m[0].length, Math.min(gt, lt + MAX_TAG_LENGTH)),
+    };
+  }
+}
+
+function looksLikeHtml(s) {
+  const m = /<\/?[a-z]/i.exec(s);
+  return Boolean(m) && s.indexOf(">", m.index) > 0;
+}
+
+const BLOCK_TAGS = new Set([
+  "br", "p", "div", "li", "ul", "ol", "h1", "h2", "h3", "h4", "h5", "h6", "tr", "td", "section", "article",
+  "header", "footer", "blockquote", "pre", "table", "dt", "dd", "figure",
+]);
+const RAW_TEXT_TAGS = new Set(["script", "style", "noscript", "template", "svg"]);
+
+// блочные теги -> переводы строк, остальное вырезаем (комментарии и script/style — с содержимым)
+export function htmlToText(html) {
+  const src = String(html ?? "");
+  const parts = [];
+  const unclosed = new Set(); // у этих тегов дальше нет закрывающего — не ищем снова
+  let i = 0;
+  while (i < src.length) {
+    const lt = src.indexOf("<", i);
+    if (lt < 0) break;
+    parts.push(src.slice(i, lt));
+    if (src.startsWith("<!--", lt)) {
+      const close = src.indexOf("-->", lt + 4);
+      i = close < 0 ? src.length : close + 3;
+      continue;
+    }
+    const gt = src.indexOf(">", lt + 1);
+    if (gt < 0) {
+      i = lt;
+      break;
+    }
+    i = gt + 1;
+    const m = TAG_HEAD_RE.exec(src.slice(lt, Math.min(gt, lt + 100)));
+    if (!m) continue;
+    const name = m[2].toLowerCase();
+    if (!m[1] && RAW_TEXT_TAGS.has(name) && !unclosed.has(name)) {
+      const re = new RegExp(`</${name}\\s*>`, "gi");
+      re.lastIndex = i;
+      if (re.exec(src)) i = re.lastIndex;
+      else unclosed.add(name);
+    } else if (BLOCK_TAGS.has(name)) {
+      parts.push("\n");
+    }
+  }
+  parts.push(src.slice(i));
+  return decodeEntities(parts.join(""))
+    .split(/\r?\n/)
+    .map(clean)
+    .filter(Boolean)
+    .join("\n");
+}
+
+function attrValue(attrs, name) {
+  const m = String(attrs).match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, "i"));
+  return m ? decodeEntities(m[1] ?? m[2] ?? m[3]) : null;
+}
+
+const VOID_TAGS = new Set(["img", "meta", "link", "br", "hr", "input", "source"]);
+
+// элемент по открывающему тегу open (из scanTags): -> { tag, attrs, inner, end }
+function extractElement(html, open, budget) {
+  const { name: tag, attrs, end: innerStart } = open;
+  if (VOID_TAGS.has(tag) || attrs.trim().endsWith("/")) {
+    return { tag, attrs, inner: "", end: innerStart };
+  }
+  let depth = 1;
+  for (const t of scanTags(html, innerStart, budget)) {
+    if (t.name !== tag) continue;
+    if (t.closing) depth--;
+    else if (!t.attrs.trim().endsWith("/")) depth++;
+    if (depth === 0) return { tag, attrs, inner: html.slice(innerStart, t.index), end: t.end };
+  }
+  return { tag, attrs, inner: html.slice(innerStart), end: html.length };
+}
+
+// ----- schema.org -----
+function isRecipeType(node) {
+  const types = [].concat(node?.["@type"] ?? []);
+  return types.some((t) => typeof t === "string" && /(^|[/:])Recipe$/i.test(t));
+}
+
+function findRecipeNode(node, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 6) return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findRecipeNode(item, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (isRecipeType(node)) return node;
+  for (const key of ["@graph", "mainEntity", "mainEntityOfPage", "itemListElement", "item"]) {
+    const found = findRecipeNode(node[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+function toList(v) {
+  if (v == null) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+function textOf(v) {
+  if (v == null) return "";
+  if (typeof v === "string" || typeof v === "number") return htmlToText(String(v));
+  if (typeof v === "object") return textOf(v.text ?? v.name ?? v["@value"] ?? "");
+  return "";
+}
+
+function imageUrl(v) {
+  for (const img of toList(v)) {
+    const url = typeof img === "string" ? img : img?.url ?? img?.contentUrl;
+    if (typeof url === "string" && /^https?:\/\//i.test(url.trim())) return url.trim();
+  }
+  return null;
+}
+
+// "4 порции", ["6", "6 servings"], 4 -> 4
+function parseServings(v) {
+  for (const item of toList(v)) {
+    const m = String(item).match(/\d+/);
+    const n = m ? Number(m[0]) : NaN;
+    if (Number.isInteger(n) && n >= 1 && n <= 100) return n;
+  }
+  return undefined;
+}
+
+// recipeInstructions: строка | [строка] | [HowToStep] | [HowToSection { name, itemListElement }]
+function instructionSections(v) {
+  const sections = [{ title: null, items: [] }];
+  const addText = (s) => {
+    for (const line of textOf(s).split("\n")) {
+      const item = clean(line.replace(BULLET_RE, ""));
+      if (item) sections[sections.length - 1].items.push(item);
+    }
+  };
+  const walk = (node) => {
+    if (node == null) return;
+    if (typeof node === "string") return addText(node);
+    if (Array.isArray(node)) return node.forEach(walk);
+    const types = [].concat(node["@type"] ?? []);
+    if (types.includes("HowToSection")) {
+      sections.push({ title: clean(textOf(node.name)) || null, items: [] });
+      walk(node.itemListElement);
+      return;
+    }
+    if (node.itemListElement && !node.text) return walk(node.itemListElement);
+    addText(node.text ?? node.name ?? "");
+  };
+  walk(v);
+  return sections.filter((s, i) => i > 0 || s.items.length);
+}
+
+function schemaRecipeToDraft(node) {
+  const warnings = [];
+  const ingredients = toList(node.recipeIngredient ?? node.ingredients)
+    .flatMap((x) => textOf(x).split("\n"))
+    .map(clean)
+    .filter(Boolean);
+  const steps = instructionSections(node.recipeInstructions);
+
+  const cover = imageUrl(node.image);
+  if (!cover && node.image) warnings.push("cover_skipped");
+  if (!ingredients.length) warnings.push("no_ingredients");
+  if (!steps.length) warnings.push("no_steps");
+
+  const categories = [
+    ...new Set(
+      toList(node.recipeCategory)
+        .flatMap((c) => textOf(c).split(","))
+        .map(clean)
+        .filter(Boolean)
+    ),
+  ];
+
+  // у schema.org ингредиенты не делятся по частям — кладём их в первую часть
+  const firstTitle = steps[0]?.title ?? null;
+  return {
+    draft: {
+      title: clean(textOf(node.name)),
+      description: textOf(node.description),
+      ...(cover ? { cover } : {}),
+      servings: parseServings(node.recipeYield),
+      categories,
+      ...sectionsToRecipeBody(ingredients.length ? [{ title: firstTitle, items: ingredients }] : [], steps),
+    },
+    warnings,
+  };
+}
+
+function fromJsonLd(html, budget) {
+  const close = /<\/script\s*>/gi;
+  for (const tag of scanTags(html, 0, budget)) {
+    if (tag.name !== "script" || tag.closing) continue;
+    if (!/\btype\s*=\s*["']?application\/ld\+json\b/i.test(tag.attrs)) continue;
+    close.lastIndex = tag.end;
+    const m = close.exec(html);
+    if (!m) return null;
+    const raw = html.slice(tag.end, m.index).trim().replace(/^<!\[CDATA\[|\]\]>$/g, "");
+    let data = null;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      try {
+        data = JSON.parse(decodeEntities(raw));
+      } catch {
+        continue;
+      }
+    }
+    const node = findRecipeNode(data);
+    if (node) return node;
+  }
+  return null;
+}
+
+// itemprop внутри itemscope рецепта; вложенные itemscope (автор, шаг) читаем целиком текстом
+function fromMicrodata(html, budget) {
+  let scope = null;
+  for (const tag of scanTags(html, 0, budget)) {
+    if (!tag.closing && /\bitemtype\s*=\s*["'][^"']*schema\.org\/Recipe["']/i.test(tag.attrs)) {
+      scope = tag;
+      break;
+    }
+  }
+  if (!scope) return null;
+  const root = extractElement(html, scope, budget);
+
+  const props = {};
+  const add = (name, value) => (props[name] ||= []).push(value);
+  let skipTo = 0;
+  for (const tag of scanTags(root.inner, 0, budget)) {
+    if (tag.closing || tag.index < skipTo) continue;
+    const prop = tag.attrs.match(/\bitemprop\s*=\s*["']([^"']+)["']/i);
+    if (!prop) continue;
+    const el = extractElement(root.inner, tag, budget);
+    const attr =
+      attrValue(el.attrs, "content") ??
+      (el.tag === "img" || el.tag === "source" ? attrValue(el.attrs, "src") : null) ??
+      (el.tag === "link" || el.tag === "a" ? attrValue(el.attrs, "href") : null);
+    for (const name of prop[1].trim().split(/\s+/)) add(name, attr ?? htmlToText(el.inner));
+    // вложенный itemscope и элемент, взятый текстом целиком, внутрь не разбираем — каждый кусок один раз
+    if (attr == null || /\bitemscope\b/i.test(el.attrs)) skipTo = el.end;
+  }
+  if (!props.name && !props.recipeIngredient && !props.ingredients) return null;
+
+  // a/link с itemprop=image дают href — годится только как картинка-ссылка
+  return {
+    name: props.name?.[0],
+    description: props.description?.[0],
+    image: props.image,
+    recipeYield: props.recipeYield,
+    recipeCategory: props.recipeCategory,
+    recipeIngredient: props.recipeIngredient ?? props.ingredients,
+    recipeInstructions: props.recipeInstructions,
+  };
+}
+
+// ----- обычный текст -----
+const INGREDIENTS_HEADER_RE =
+  /^(?:ингредиенты|інгредієнти|состав|продукты|нам понадобится|вам понадобится|ingredients)(?!\p{L})[^:]{0,40}:?$/iu;
+const STEPS_HEADER_RE =
+  /^(?:шаги|приготовление|способ приготовления|как приготовить|пошаговый рецепт|приготування|інструкція|steps|instructions|directions|method|preparation)(?!\p{L})[^:]{0,40}:?$/iu;
+const SERVINGS_RE = /(?:порци[йия]|servings?|serves|yield)\s*[:\-–]?\s*(\d{1,3})|(\d{1,3})\s*(?:порци[йия]|servings?|persons?)/i;
+
+// "## **Ингредиенты:** " -> "Ингредиенты:"; хвост — циклом, у /[*_\s]+$/ квадратичный откат
+function trimMarks(line) {
+  let end = line.length;
+  while (end > 0 && /[*_\s]/.test(line[end - 1])) end--;
+  return line.slice(0, end).replace(/^[#*_\s]+/, "");
+}
+
+export function parseTextRecipe(text) {
+  const lines = String(text ?? "").split(/\r?\n/).map(clean);
+  const head = [];
+  const ing = [];
+  const steps = [];
+  let mode = "head";
+  let servings;
+
+  for (const line of lines) {
+    const bare = trimMarks(line);
+    if (bare.length <= 60 && INGREDIENTS_HEADER_RE.test(bare)) {
+      mode = "ing";
+    } else if (bare.length <= 60 && STEPS_HEADER_RE.test(bare)) {
+      mode = "steps";
+    } else {
+      (mode === "head" ? head : mode === "ing" ? ing : steps).push(line);
+      if (mode !== "head") continue;
+    }
+    const s = bare.match(SERVINGS_RE);
+    if (s && servings === undefined) servings = parseServings(s[1] ?? s[2]);
+  }
+  if (mode === "head" || !ing.some(Boolean)) return null;
+
+  const headLines = head.filter(Boolean);
+  const title = clean((headLines.shift() || "").replace(/^#+\s*/, ""));
+  const description = headLines.filter((l) => !SERVINGS_RE.test(l)).join("\n");
+
+  const ingSections = parseSections(ing.join("\n"));
+  const stepSections = parseSections(steps.join("\n"));
+  const warnings = [];
+  if (!title) warnings.push("no_title");
+  if (!stepSections.length) warnings.push("no_steps");
+
+  return {
+    draft: {
+      title,
+      description,
+      servings,
+      categories: [],
+      ...sectionsToRecipeBody(ingSections, stepSections),
+    },
+    warnings,
+  };
+}
+
+// ----- вход -----
+export function importRecipe(input) {
+  const raw = String(input ?? "").slice(0, MAX_HTML_LENGTH);
+  if (!raw.trim()) return null;
+
+  // голый JSON-LD, вставленный как есть
+  if (/^\s*[[{]/.test(raw)) {
+    try {
+      const node = findRecipeNode(JSON.parse(raw));
+      if (node) return { source: "jsonld", ...schemaRecipeToDraft(node) };
+    } catch {}
+  }
+
+  if (looksLikeHtml(raw)) {
+    const budget = { left: MAX_TAG_VISITS };
+    try {
+      const ld = fromJsonLd(raw, budget);
+      if (ld) return { source: "jsonld", ...schemaRecipeToDraft(ld) };
+      const micro = fromMicrodata(raw, budget);
+      if (micro) return { source: "microdata", ...schemaRecipeToDraft(micro) };
+    } catch (e) {
+      if (!(e instanceof TooComplexError)) throw e;
+    }
+    const fromHtmlText = parseTextRecipe(htmlToText(raw));
+    return fromHtmlText ? { source: "text", ...fromHtmlText } : null;
+  }
+
+  const fromText = parseTextRecipe(raw);
+  return fromText ? { source: "text", ...fromText } : null;
+}
@@ -7,12 +7,36 @@ import crypto from "node:crypto";
 import jwt from "jsonwebtoken";
 import { Telegraf, Markup } from "telegraf";
 import cookieParser from "cookie-parser";
+import { runMigrations } from "./migrate.js";
+import {
+  MEDIA_REF_PREFIX,
+  parseMediaRef,
+  sniffImageType,
+  storeMedia,
+  discardWrittenMedia,
+  loadMedia,
+  deleteMedia,
+} from "./media.js";
+import { createRateLimitStore, createLimiter, rateLimitMiddleware } from "./ratelimit.js";
+import { importRecipe, parseSections, sectionsToRecipeBody } from "./recipe-import.js";
+import {
+  makeBackup,
+  checkBackup,
+  recipeMediaIds,
+  recipesToJsonLd,
+  recipesToMarkdown,
+} from "./recipe-export.js";
+import { createZip, readZip, ZipError } from "./zip.js";
+import { createJobScheduler } from "./jobs.js";
 
 // чтобы на Render/Neon не было проблем с IPv6
 dns.setDefaultResultOrder("ipv4first");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// за прокси (Render — TRUST_PROXY=1): req.ip берём из X-Forwarded-For (число доверенных хопов).
+// По умолчанию заголовку не верим: без прокси его подделает любой клиент и обойдёт лимиты по IP.
+app.set("trust proxy", Number(process.env.TRUST_PROXY) || false);
 
 const ALLOWED_ORIGINS = [
   "https://sergeyfdf.github.io",
@@ -33,11 +57,21 @@ app.use(
       "Content-Type",
       "Authorization",
       "X-Owner-Id",
+      "X-Owner-Token",
       "Cache-Control",
       "If-None-Match",
       "If-Modified-Since",
     ],
-    exposedHeaders: ["ETag", "Last-Modified"],
+    exposedHeaders: [
+      "ETag",
+      "Last-Modified",
+      "Content-Disposition",
+      "Retry-After",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+    ],
     maxAge: 600,
     credentials: true, // куки и auth-заголовки
   })
@@ -47,7 +81,12 @@ app.use(
 app.options("*", cors());
 
 app.use(cookieParser());
-app.use(express.json({ limit: "10mb" }));
+// картинки теперь грузятся через POST /media, в JSON им делать нечего;
+// но рецепты старые клиенты ещё шлют с обложками data URL (до RECIPE_LIMITS.cover),
+// bulk/sync — пачкой, поэтому на маршрутах записи рецептов прежний лимит.
+// Тело, разобранное первым парсером, второй не трогает.
+app.use(["/local/recipes", "/recipes", "/me/shared"], express.json({ limit: process.env.RECIPE_JSON_BODY_LIMIT || "10mb" }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "2mb" }));
 
 // ---------- БАЗА ДАННЫХ ----------
 const pool = new Pool({
@@ -57,12 +96,6 @@ const pool = new Pool({
 
 
 
-function signJwtForTelegram(tg_id) {
-  const jwtSecret = process.env.JWT_SECRET || "dev-secret";
-  return jwt.sign({ sub: `tg:${tg_id}`, tg_id }, jwtSecret, { expiresIn: "90d" });
-}
-
-
 function requireAuthFlex(req, res, next) {
   try {
     const jwtSecret = process.env.JWT_SECRET || "dev-secret";
@@ -119,129 +152,7 @@ async function upsertUserRow({ tg_id, username, first_name, last_name, photo_url
 
 
 // ========================= SCHEMA =========================
-async function ensureUsersSchema() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS public.users (
-      tg_id      text PRIMARY KEY,
-      username   text,
-      first_name text,
-      last_name  text,
-      photo_url  text,
-      created_at timestamptz NOT NULL DEFAULT now(),
-      last_login timestamptz NOT NULL DEFAULT now()
-    );
-  `);
-
-  await pool.query(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS tg_id      text;`);
-  await pool.query(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS username   text;`);
-  await pool.query(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS first_name text;`);
-  await pool.query(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS last_name  text;`);
-  await pool.query(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS photo_url  text;`);
-  await pool.query(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT now();`);
-  await pool.query(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS last_login timestamptz NOT NULL DEFAULT now();`);
-  await pool.query(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS bot_enabled boolean NOT NULL DEFAULT true;`);
-  await pool.query(`
-    DO $$
-    BEGIN
-      IF EXISTS (
-        SELECT 1 FROM information_schema.columns
-        WHERE table_schema='public' AND table_name='users'
-          AND column_name='password_hash' AND is_nullable='NO'
-      ) THEN
-        EXECUTE 'ALTER TABLE public.users ALTER COLUMN password_hash DROP NOT NULL';
-      END IF;
-    END$$;
-  `);
-
-  // убрать пустые tg_id и дубликаты
-  await pool.query(`DELETE FROM public.users WHERE tg_id IS NULL OR tg_id = ''`);
-  await pool.query(`
-    DELETE FROM public.users u
-    USING public.users d
-    WHERE u.tg_id = d.tg_id AND u.ctid > d.ctid;
-  `);
-
-  // гарантируем уникальность tg_id (достаточно для ON CONFLICT)
-  await pool.query(`
-    DO $$
-    BEGIN
-      IF NOT EXISTS (
-        SELECT 1 FROM pg_constraint
-        WHERE conrelid='public.users'::regclass
-          AND conname='users_tg_id_key'
-      ) THEN
-        ALTER TABLE public.users ADD CONSTRAINT users_tg_id_key UNIQUE (tg_id);
-      END IF;
-    END$$;
-  `);
-}
-
-// вызов в инициализации:
-ensureUsersSchema().catch(err => {
-  console.error("ensureUsersSchema error:", err);
-});
-
-
-
-
-
-
-
-async function ensureSchema() {
-  await pool.query(`
-    -- Глобальные (опубликованные) рецепты
-    create table if not exists recipes (
-      id         text primary key,
-      data       jsonb not null,
-      created_at timestamptz not null default now(),
-      updated_at timestamptz not null default now()
-    );
-
-    -- Личные рецепты (по владельцу owner = telegram id)
-    create table if not exists local_recipes (
-      owner      text not null,
-      id         text not null,
-      data       jsonb not null,
-      created_at timestamptz not null default now(),
-      updated_at timestamptz not null default now(),
-      primary key (owner, id)
-    );
-
-    -- Пользователи Telegram
-    create table if not exists users (
-      tg_id      text primary key,
-      username   text,
-      first_name text,
-      last_name  text,
-      photo_url  text,
-      created_at timestamptz not null default now(),
-      last_login timestamptz not null default now()
-    );
-
-    -- updated_at триггер
-    create or replace function touch_updated_at() returns trigger as $$
-    begin
-      new.updated_at = now();
-      return new;
-    end $$ language plpgsql;
-
-    drop trigger if exists tr_touch_updated_at_recipes on recipes;
-    create trigger tr_touch_updated_at_recipes
-      before update on recipes
-      for each row execute procedure touch_updated_at();
-
-    drop trigger if exists tr_touch_updated_at_local_recipes on local_recipes;
-    create trigger tr_touch_updated_at_local_recipes
-      before update on local_recipes
-      for each row execute procedure touch_updated_at();
-
-    create index if not exists idx_recipes_updated_at on recipes (updated_at desc);
-    create index if not exists idx_local_recipes_updated_at on local_recipes (updated_at desc);
-  `);
-}
-ensureSchema().catch((err) => {
-  console.error("ensureSchema error:", err);
-});
+// Схема БД — в migrations/ (см. migrate.js), применяется при старте до app.listen.
 
 
 // ========================= UTILS =========================
@@ -251,13 +162,119 @@ function normStr(x) {
   return cleaned.length ? cleaned : null;
 }
 
+// ----- часовые пояса -----
+// DEFAULT_TIMEZONE — для заказов и тех, кто не выбрал свой пояс в /me/settings
+const DEFAULT_TIMEZONE = isValidTimeZone(process.env.DEFAULT_TIMEZONE) ? process.env.DEFAULT_TIMEZONE : "Europe/Kyiv";
+
+function isValidTimeZone(tz) {
+  if (typeof tz !== "string" || !tz || tz.length > 64) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// момент -> { date: "YYYY-MM-DD", hour } по часам пояса tz
+function zonedDateParts(at, tz) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: tz,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(at)
+      .map((p) => [p.type, p.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+}
+
+// ----- владелец данных -----
+// tg:<id>  — только по JWT этого пользователя
+// anon:... — только с подписанным X-Owner-Token (выдаёт POST /auth/anon)
+// Старые произвольные id без подписи пускаем, лишь пока UNSIGNED_LEGACY_OWNERS=1
+// (переходный период, пока клиенты не закрепят их через POST /auth/anon { claim });
+// после него старый id закрепляет только админ (POST /admin/anon-owners/claim).
+const ANON_OWNER_PREFIX = "anon:";
+const LEGACY_OWNER_RE = /^[A-Za-z0-9_:-]{8,100}$/;
+const ALLOW_UNSIGNED_LEGACY_OWNERS = process.env.UNSIGNED_LEGACY_OWNERS === "1";
+
+function ownerSignature(ownerId) {
+  const jwtSecret = process.env.JWT_SECRET || "dev-secret";
+  return crypto.createHmac("sha256", jwtSecret).update(`owner:${ownerId}`).digest("base64url");
+}
+
+function makeOwnerToken(ownerId) {
+  return `${ownerId}.${ownerSignature(ownerId)}`;
+}
+
+// "<ownerId>.<hmac>" -> ownerId | null
+function verifyOwnerToken(token) {
+  const t = String(token || "").trim();
+  const dot = t.lastIndexOf(".");
+  if (dot <= 0) return null;
+  const ownerId = t.slice(0, dot);
+  if (ownerId.startsWith("tg:")) return null;
+  const expected = Buffer.from(ownerSignature(ownerId));
+  const got = Buffer.from(t.slice(dot + 1));
+  if (got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) return null;
+  return ownerId;
+}
+
+// last_seen анонимов (для чистки брошенных), не чаще раза в час на id
+const anonSeenAt = new Map();
+function touchAnonOwner(ownerId) {
+  const now = Date.now();
+  if (now - (anonSeenAt.get(ownerId) || 0) < 3600_000) return;
+  anonSeenAt.set(ownerId, now);
+  pool
+    .query(
+      `insert into anon_owners (id, legacy) values ($1, $2)
+       on conflict (id) do update set last_seen_at = now()`,
+      [ownerId, !ownerId.startsWith(ANON_OWNER_PREFIX)]
+    )
+    .catch((e) => console.warn("anon owner touch failed:", e.message));
+}
+
+// -> { owner } | { error: "owner_forbidden" }; owner === "" — владельца нет
+function resolveOwner(req) {
+  const requested = String(req.header("X-Owner-Id") || req.query.owner || "").trim();
+  const signed = verifyOwnerToken(req.header("X-Owner-Token") || req.query.owner_token);
+  const fromJwt = req.user?.tg_id ? `tg:${req.user.tg_id}` : "";
+
+  if (signed) touchAnonOwner(signed);
+  if (!requested) return { owner: signed || fromJwt };
+  if (requested === fromJwt || requested === signed) return { owner: requested };
+  if (
+    ALLOW_UNSIGNED_LEGACY_OWNERS &&
+    !requested.startsWith("tg:") &&
+    !requested.startsWith(ANON_OWNER_PREFIX)
+  ) {
+    touchAnonOwner(requested);
+    return { owner: requested };
+  }
+  return { error: "owner_forbidden" };
+}
+
+// вызывается после optionalAuth/requireAuth (они же отбивают чужой X-Owner-Id)
 function getOwner(req) {
-  // 1) явный заголовок из фронта
-  const headerOwner = String(req.header("X-Owner-Id") || req.query.owner || "").trim();
-  if (headerOwner) return headerOwner;
-  // 2) если есть аутентификация — owner = tg:<id> из токена
-  if (req.user?.tg_id) return `tg:${req.user.tg_id}`;
-  return "";
+  if (req.owner === undefined) req.owner = resolveOwner(req).owner || "";
+  return req.owner;
+}
+
+// проверка владельца в гардах: чужой id -> 403
+function checkOwner(req, res) {
+  const r = resolveOwner(req);
+  if (r.error) {
+    res.status(403).json({ error: r.error });
+    return false;
+  }
+  req.owner = r.owner;
+  return true;
 }
 
 function getTokenFromReq(req) {
@@ -273,33 +290,535 @@ function decodeJwt(token) {
   return jwt.verify(token, jwtSecret);
 }
 
-// строгий гард как был, но читает и cookie
-function requireAuth(req, res, next) {
+// строгий гард как был, но читает и cookie; отозванная сессия = 401
+async function requireAuth(req, res, next) {
+  let payload;
   try {
     const token = getTokenFromReq(req);
     if (!token) return res.status(401).json({ error: "no_token" });
-    const payload = decodeJwt(token);
-    req.user = payload; // { sub: "tg:<id>", tg_id: "<id>" }
-    next();
+    payload = decodeJwt(token);
   } catch (e) {
     return res.status(401).json({ error: "bad_token" });
   }
+  try {
+    if (!(await isTokenActive(payload))) return res.status(401).json({ error: "session_revoked" });
+  } catch (e) {
+    console.error("session check failed:", e);
+    return res.status(500).json({ error: "internal" });
+  }
+  req.user = payload; // { sub: "tg:<id>", tg_id: "<id>", sid }
+  if (!checkOwner(req, res)) return;
+  next();
+}
+
+// админы из env: ADMIN_TG_IDS="123,456"
+const ADMIN_TG_IDS = new Set(
+  String(process.env.ADMIN_TG_IDS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+
+function isAdminTgId(tgId) {
+  return ADMIN_TG_IDS.has(String(tgId || ""));
+}
+
+// после requireAuth: только для ADMIN_TG_IDS
+function requireAdmin(req, res, next) {
+  if (!isAdminTgId(req.user?.tg_id)) return res.status(403).json({ error: "forbidden" });
+  next();
 }
 
 // НЕобязательная авторизация: если токен есть — распарсим, если нет — просто идём дальше
-function optionalAuth(req, _res, next) {
+async function optionalAuth(req, res, next) {
+  let payload = null;
   try {
     const token = getTokenFromReq(req);
-    if (token) {
-      const payload = decodeJwt(token);
-      req.user = payload;
-    }
+    if (token) payload = decodeJwt(token);
   } catch (e) {
     // молча игнорируем, это опционально
   }
+  if (payload) {
+    try {
+      if (await isTokenActive(payload)) req.user = payload; // отозванный — как без токена
+    } catch (e) {
+      console.error("session check failed:", e);
+      return res.status(500).json({ error: "internal" });
+    }
+  }
+  if (!checkOwner(req, res)) return;
   next();
 }
 
+// ========================= ЛИМИТЫ ЧАСТОТЫ =========================
+// Политики по маршрутам (см. ratelimit.js). Переопределяются env:
+// RATE_LIMIT_ORDERS="5/600" — 5 запросов за 600 секунд; "off" — выключить.
+const rateLimitStore = createRateLimitStore(pool);
+
+function rateLimitPolicy(name, limit, windowSec) {
+  const env = String(process.env[`RATE_LIMIT_${name.toUpperCase()}`] || "").trim();
+  if (env === "off") return null;
+  const m = env.match(/^(\d+)\/(\d+)$/);
+  if (m) [limit, windowSec] = [Number(m[1]), Number(m[2])];
+  return createLimiter(rateLimitStore, { name, limit, windowMs: windowSec * 1000 });
+}
+
+const rateKeyIp = (req) => `ip:${req.ip}`;
+// анонимный id бесплатен (POST /auth/anon) — для лимита такой владелец = его IP
+const rateKeyOwner = (req) => (getOwner(req).startsWith("tg:") ? `owner:${getOwner(req)}` : rateKeyIp(req));
+const rateKeyTg = (req) => (req.user?.tg_id ? `tg:${req.user.tg_id}` : rateKeyIp(req));
+
+function rateLimit(name, limit, windowSec, keyFn) {
+  const limiter = rateLimitPolicy(name, limit, windowSec);
+  return limiter ? rateLimitMiddleware(limiter, keyFn) : (_req, _res, next) => next();
+}
+
+// owner/tg-ключи — после optionalAuth/requireAuth, иначе req.user ещё пуст
+const limits = {
+  auth: rateLimit("auth", 20, 10 * 60, rateKeyIp),
+  anonClaim: rateLimit("anon_claim", 5, 60 * 60, rateKeyIp),
+  orders: rateLimit("orders", 5, 10 * 60, rateKeyIp),
+  recipesWrite: rateLimit("recipes_write", 60, 10 * 60, rateKeyTg),
+  localBulk: rateLimit("local_bulk", 10, 10 * 60, rateKeyOwner),
+  localSync: rateLimit("local_sync", 120, 60, rateKeyOwner),
+  mediaUpload: rateLimit("media_upload", 30, 10 * 60, rateKeyOwner),
+  importRecipes: rateLimit("import", 30, 10 * 60, rateKeyOwner),
+  likes: rateLimit("likes", 120, 10 * 60, rateKeyTg),
+  comments: rateLimit("comments", 20, 10 * 60, rateKeyTg),
+  shareGrants: rateLimit("share_grants", 30, 10 * 60, rateKeyTg),
+};
+
+// бот: команды и кнопки одного tg-пользователя
+const botRateLimiter = rateLimitPolicy("bot", 30, 60);
+
+
+// ========================= СХЕМА РЕЦЕПТА =========================
+// Единая проверка рецепта для всех путей записи (HTTP, bulk, sync, бот).
+// validateRecipe(input) -> { value, errors }
+//   value  — нормализованный рецепт (лишние поля выброшены, строки подрезаны)
+//   errors — [{ path: "parts[0].steps[2]", code: "too_long", message }]
+const RECIPE_LIMITS = {
+  id: 100,
+  title: 200,
+  description: 5000,
+  cover: 1_500_000, // старые клиенты ещё шлют data URL; новые — "media:<id>"
+  stepPhotos: 100,
+  categories: 30,
+  category: 60,
+  parts: 20,
+  partTitle: 200,
+  ingredients: 200,
+  ingredient: 500,
+  steps: 100,
+  step: 5000,
+  servings: 100,
+};
+
+// как normStr, но переносы строк и табы в тексте шагов сохраняем
+function cleanText(x) {
+  return x.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\uFFFE\uFFFF]/g, "").trim();
+}
+
+function validateRecipe(input) {
+  const errors = [];
+  const fail = (path, code, message) => errors.push({ path, code, message });
+
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    fail("", "type", "recipe must be an object");
+    return { value: null, errors };
+  }
+
+  function str(path, v, max, { required = false } = {}) {
+    if (v == null || v === "") {
+      if (required) fail(path, "required", `${path} is required`);
+      return undefined;
+    }
+    if (typeof v !== "string") {
+      fail(path, "type", `${path} must be a string`);
+      return undefined;
+    }
+    const s = cleanText(v);
+    if (!s) {
+      if (required) fail(path, "required", `${path} is required`);
+      return undefined;
+    }
+    if (s.length > max) fail(path, "too_long", `${path} is longer than ${max}`);
+    return s;
+  }
+
+  function strList(path, v, maxItems, maxLen) {
+    if (v == null) return [];
+    if (!Array.isArray(v)) {
+      fail(path, "type", `${path} must be an array`);
+      return [];
+    }
+    if (v.length > maxItems) fail(path, "too_many", `${path} has more than ${maxItems} items`);
+    const out = [];
+    v.forEach((item, i) => {
+      const s = str(`${path}[${i}]`, item, maxLen);
+      if (s !== undefined) out.push(s);
+    });
+    return out;
+  }
+
+  function bool(path, v) {
+    if (v == null) return false;
+    if (typeof v !== "boolean") fail(path, "type", `${path} must be a boolean`);
+    return v === true;
+  }
+
+  function timestamp(path, v) {
+    if (v == null) return undefined;
+    const ok =
+      (typeof v === "number" && Number.isFinite(v)) ||
+      (typeof v === "string" && !Number.isNaN(Date.parse(v)));
+    if (!ok) fail(path, "type", `${path} must be a timestamp`);
+    return ok ? v : undefined;
+  }
+
+  const value = {};
+
+  if (input.id != null) {
+    value.id = str("id", String(input.id), RECIPE_LIMITS.id);
+  }
+  value.title = str("title", input.title, RECIPE_LIMITS.title, { required: true });
+  value.description = str("description", input.description, RECIPE_LIMITS.description) || "";
+
+  const cover = str("cover", input.cover, RECIPE_LIMITS.cover);
+  if (cover !== undefined) {
+    if (
+      /^https?:\/\//i.test(cover) ||
+      /^data:image\/[a-z0-9.+-]+;base64,/i.test(cover) ||
+      parseMediaRef(cover)
+    ) {
+      value.cover = cover;
+    } else {
+      fail("cover", "format", "cover must be media:<id>, an http(s) or data:image URL");
+    }
+  }
+
+  // фото к шагам: [{ part: 0, step: 2, media: "media:<id>" }] (part — индекс в parts, 0 для плоских steps)
+  value.stepPhotos = [];
+  if (input.stepPhotos != null) {
+    if (!Array.isArray(input.stepPhotos)) {
+      fail("stepPhotos", "type", "stepPhotos must be an array");
+    } else {
+      if (input.stepPhotos.length > RECIPE_LIMITS.stepPhotos) {
+        fail("stepPhotos", "too_many", `stepPhotos has more than ${RECIPE_LIMITS.stepPhotos} items`);
+      }
+      input.stepPhotos.forEach((ph, i) => {
+        const path = `stepPhotos[${i}]`;
+        const part = ph?.part == null ? 0 : ph.part;
+        if (!ph || typeof ph !== "object" || !Number.isInteger(part) || part < 0 || !Number.isInteger(ph.step) || ph.step < 0) {
+          fail(path, "type", `${path} must be { part?, step, media }`);
+        } else if (!parseMediaRef(ph.media)) {
+          fail(`${path}.media`, "format", `${path}.media must be media:<id>`);
+        } else {
+          value.stepPhotos.push({ part, step: ph.step, media: ph.media });
+        }
+      });
+    }
+  }
+
+  value.categories = [
+    ...new Set(strList("categories", input.categories, RECIPE_LIMITS.categories, RECIPE_LIMITS.category)),
+  ];
+  if (input.servings != null && input.servings !== "") {
+    const n = Number(input.servings);
+    if (!Number.isInteger(n) || n < 1 || n > RECIPE_LIMITS.servings) {
+      fail("servings", "range", `servings must be an integer 1..${RECIPE_LIMITS.servings}`);
+    } else {
+      value.servings = n;
+    }
+  }
+  value.favorite = bool("favorite", input.favorite);
+  value.done = bool("done", input.done);
+
+  const createdAt = timestamp("createdAt", input.createdAt);
+  if (createdAt !== undefined) value.createdAt = createdAt;
+  const updatedAt = timestamp("updatedAt", input.updatedAt);
+  if (updatedAt !== undefined) value.updatedAt = updatedAt;
+
+  // parts (разделы: "Тесто", "Начинка") ИЛИ плоские ingredients/steps
+  value.parts = [];
+  if (input.parts != null) {
+    if (!Array.isArray(input.parts)) {
+      fail("parts", "type", "parts must be an array");
+    } else {
+      if (input.parts.length > RECIPE_LIMITS.parts) {
+        fail("parts", "too_many", `parts has more than ${RECIPE_LIMITS.parts} items`);
+      }
+      input.parts.forEach((p, i) => {
+        const path = `parts[${i}]`;
+        if (!p || typeof p !== "object" || Array.isArray(p)) {
+          fail(path, "type", `${path} must be an object`);
+          return;
+        }
+        value.parts.push({
+          title: str(`${path}.title`, p.title, RECIPE_LIMITS.partTitle) || "",
+          ingredients: strList(`${path}.ingredients`, p.ingredients, RECIPE_LIMITS.ingredients, RECIPE_LIMITS.ingredient),
+          steps: strList(`${path}.steps`, p.steps, RECIPE_LIMITS.steps, RECIPE_LIMITS.step),
+        });
+      });
+    }
+  }
+
+  value.ingredients = strList("ingredients", input.ingredients, RECIPE_LIMITS.ingredients, RECIPE_LIMITS.ingredient);
+  value.steps = strList("steps", input.steps, RECIPE_LIMITS.steps, RECIPE_LIMITS.step);
+
+  if (value.parts.length && (value.ingredients.length || value.steps.length)) {
+    fail("parts", "conflict", "use either parts or flat ingredients/steps, not both");
+  }
+
+  if (value.id === undefined) delete value.id;
+  return { value: errors.length ? null : value, errors };
+}
+
+function sendInvalidRecipe(res, errors) {
+  return res.status(422).json({ error: "invalid_recipe", details: errors });
+}
+
+// ========================= ИНГРЕДИЕНТЫ =========================
+// Разбор строки ингредиента: "200 г муки", "Сахар — 1,5 ст. л.", "1 1/2 cups flour (sifted)"
+// -> { raw, qty, qtyMax, unit, name, note }. Исходная строка всегда сохраняется в raw,
+// в data рецепта по-прежнему лежат строки — разбор делается на лету.
+
+const VULGAR_FRACTIONS = {
+  "½": 1 / 2, "⅓": 1 / 3, "⅔": 2 / 3, "¼": 1 / 4, "¾": 3 / 4,
+  "⅕": 1 / 5, "⅖": 2 / 5, "⅗": 3 / 5, "⅘": 4 / 5, "⅙": 1 / 6,
+  "⅚": 5 / 6, "⅛": 1 / 8, "⅜": 3 / 8, "⅝": 5 / 8, "⅞": 7 / 8,
+};
+const VF = Object.keys(VULGAR_FRACTIONS).join("");
+
+// dim: mass (база г), volume (база мл), count/other — без конвертации
+// system: metric | imperial | kitchen (ложки — понятны в обеих системах)
+const UNITS = [
+  { id: "mg", dim: "mass", factor: 0.001, system: "metric", label: "мг", re: "мг|mg|миллиграмм(?:а|ов)?" },
+  { id: "g", dim: "mass", factor: 1, system: "metric", label: "г", re: "г|гр|грамм(?:а|ов)?|g|gr|grams?" },
+  { id: "kg", dim: "mass", factor: 1000, system: "metric", label: "кг", re: "кг|kg|килограмм(?:а|ов)?|kilograms?" },
+  { id: "oz", dim: "mass", factor: 28.3495, system: "imperial", label: "oz", re: "oz|ounces?|унци(?:я|и|й)" },
+  { id: "lb", dim: "mass", factor: 453.592, system: "imperial", label: "lb", re: "lbs?|pounds?|фунт(?:а|ов)?" },
+  { id: "ml", dim: "volume", factor: 1, system: "metric", label: "мл", re: "мл|ml|миллилитр(?:а|ов)?|millilit(?:er|re)s?" },
+  { id: "l", dim: "volume", factor: 1000, system: "metric", label: "л", re: "л|l|литр(?:а|ов)?|lit(?:er|re)s?" },
+  { id: "floz", dim: "volume", factor: 29.5735, system: "imperial", label: "fl oz", re: "fl\\.?\\s*oz" },
+  { id: "cup", dim: "volume", factor: 240, system: "imperial", label: "cup", re: "cups?" },
+  { id: "pint", dim: "volume", factor: 473.176, system: "imperial", label: "pint", re: "pints?|pt" },
+  {
+    id: "glass", dim: "volume", factor: 250, system: "metric", label: "стакан",
+    re: "стакан(?:а|ов)?|склянк(?:а|и)|склянок",
+  },
+  {
+    id: "tbsp", dim: "volume", factor: 15, system: "kitchen", label: "ст. л.",
+    re: "ст\\.?\\s*л|столов(?:ая|ые|ых|а|і|их)\\s+лож(?:ка|ки|ек|ок)|ст\\.?\\s*лож(?:ка|ки|ек|ок)|tbsp|tbs|tablespoons?",
+  },
+  {
+    id: "tsp", dim: "volume", factor: 5, system: "kitchen", label: "ч. л.",
+    re: "ч\\.?\\s*л|чайн(?:ая|ые|ых|а|і|их)\\s+лож(?:ка|ки|ек|ок)|tsp|teaspoons?",
+  },
+  { id: "pcs", dim: "count", factor: 1, system: "kitchen", label: "шт", re: "шт|штук(?:а|и)?|pcs|pc|pieces?" },
+  { id: "pinch", dim: "other", factor: 1, system: "kitchen", label: "щепотка", re: "щепот(?:ка|ки|ок)|дрібк(?:а|и)|дрібок|pinch(?:es)?" },
+  { id: "clove", dim: "count", factor: 1, system: "kitchen", label: "зубчик", re: "зубчик(?:а|ов|и|ів)?|зубок|cloves?" },
+  { id: "bunch", dim: "count", factor: 1, system: "kitchen", label: "пучок", re: "пуч(?:ок|ка|ков|ки|ків)|bunch(?:es)?" },
+  { id: "can", dim: "count", factor: 1, system: "kitchen", label: "банка", re: "банк(?:а|и)|банок|cans?" },
+].map((u) => ({ ...u, rx: new RegExp(`^(?:${u.re})\\.?(?=$|[\\s,;:()])`, "iu") }));
+
+const UNITS_BY_ID = Object.fromEntries(UNITS.map((u) => [u.id, u]));
+
+const TO_TASTE_RE = /(?<!\p{L})(по вкусу|за смаком|to taste)(?!\p{L})/iu;
+
+// "1", "1,5", "1/2", "1 1/2", "1½", "½"
+const NUM_SRC = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?\\s?[${VF}]?|[${VF}])`;
+const QTY_SRC = `(${NUM_SRC})(?:\\s*[-–—]\\s*(${NUM_SRC}))?`;
+const LEADING_QTY_RE = new RegExp(`^${QTY_SRC}\\s*`, "u");
+const TRAILING_QTY_RE = new RegExp(`^(.*?\\S)\\s*[-–—:,]?\\s+${QTY_SRC}\\s*(.*)$`, "u");
+
+function parseNumber(tok) {
+  const s = String(tok).trim();
+  let m = s.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (m) return Number(m[1]) + Number(m[2]) / Number(m[3]);
+  m = s.match(/^(\d+)\/(\d+)$/);
+  if (m) return Number(m[2]) ? Number(m[1]) / Number(m[2]) : null;
+  m = s.match(new RegExp(`^(\\d+(?:[.,]\\d+)?)?\\s?([${VF}])?$`, "u"));
+  if (m && (m[1] || m[2])) {
+    return (m[1] ? Number(m[1].replace(",", ".")) : 0) + (m[2] ? VULGAR_FRACTIONS[m[2]] : 0);
+  }
+  return null;
+}
+
+function matchUnit(s) {
+  for (const u of UNITS) {
+    const m = s.match(u.rx);
+    if (m) return { unit: u.id, rest: s.slice(m[0].length).trim() };
+  }
+  return { unit: null, rest: s };
+}
+
+// "лук, мелко нарезанный (крупный)" -> name "лук", note "мелко нарезанный; крупный"
+function splitNameNote(s, notes) {
+  let name = s.replace(/\(([^)]*)\)/g, (_, inner) => {
+    if (inner.trim()) notes.push(inner.trim());
+    return " ";
+  });
+  const comma = name.indexOf(",");
+  if (comma >= 0) {
+    const tail = name.slice(comma + 1).trim();
+    if (tail) notes.push(tail);
+    name = name.slice(0, comma);
+  }
+  return name.replace(/\s+/g, " ").replace(/^[-–—:\s]+|[-–—:\s]+$/g, "").trim();
+}
+
+function parseIngredient(raw) {
+  const line = String(raw ?? "");
+  const result = { raw: line, qty: null, qtyMax: null, unit: null, name: "", note: null };
+  const notes = [];
+
+  let s = line.replace(/^\s*(?:[-•*·]|\d+[.)](?=\s))\s*/, "").trim();
+  s = s
+    .replace(TO_TASTE_RE, (phrase) => {
+      notes.push(phrase.toLowerCase());
+      return "";
+    })
+    .replace(/\(\s*\)/g, "")
+    .replace(/[\s,;:—–-]+$/, "")
+    .trim();
+
+  let m = s.match(LEADING_QTY_RE);
+  if (m && m[0].trim()) {
+    // "200 г муки", "2-3 зубчика чеснока"
+    result.qty = parseNumber(m[1]);
+    result.qtyMax = m[2] ? parseNumber(m[2]) : null;
+    const { unit, rest } = matchUnit(s.slice(m[0].length));
+    result.unit = unit;
+    result.name = splitNameNote(rest, notes);
+  } else if ((m = s.match(TRAILING_QTY_RE))) {
+    // "Мука — 200 г", "сахар: 1,5 ст. л. (с горкой)"
+    const { unit, rest } = matchUnit(m[4]);
+    if (unit || !rest) {
+      result.qty = parseNumber(m[2]);
+      result.qtyMax = m[3] ? parseNumber(m[3]) : null;
+      result.unit = unit;
+      if (rest) splitNameNote(rest, notes);
+      result.name = splitNameNote(m[1], notes);
+    } else {
+      result.name = splitNameNote(s, notes);
+    }
+  } else {
+    result.name = splitNameNote(s, notes);
+  }
+
+  if (result.qty == null) result.qtyMax = null;
+  if (notes.length) result.note = notes.join("; ");
+  if (!result.name) result.name = line.trim();
+  return result;
+}
+
+// --- форматирование и конвертация ---
+
+const NICE_FRACTIONS = [[1 / 4, "¼"], [1 / 3, "⅓"], [1 / 2, "½"], [2 / 3, "⅔"], [3 / 4, "¾"]];
+
+function formatQty(n, unitId) {
+  if (n == null) return "";
+  const u = UNITS_BY_ID[unitId];
+  // ложки/стаканы/штуки — дробями, граммы/миллилитры — числами
+  if (!u || u.dim === "count" || u.system === "kitchen" || ["cup", "glass", "pint"].includes(unitId)) {
+    const whole = Math.floor(n);
+    const frac = n - whole;
+    if (frac < 0.06) return String(whole || (n > 0 ? "⅛" : "0"));
+    if (frac > 0.94) return String(whole + 1);
+    const [, sym] = NICE_FRACTIONS.reduce((best, f) =>
+      Math.abs(f[0] - frac) < Math.abs(best[0] - frac) ? f : best
+    );
+    return whole ? `${whole}${sym}` : sym;
+  }
+  let rounded = Math.round(n * 100) / 100;
+  if (["g", "ml", "mg"].includes(unitId) && n >= 10) rounded = Math.round(n);
+  else if (u.system === "imperial") rounded = Math.round(n * 10) / 10;
+  return String(rounded).replace(".", ",");
+}
+
+// выбрать удобную единицу целевой системы для количества в базовых г/мл
+function pickUnit(base, dim, system) {
+  if (dim === "mass") {
+    if (system === "imperial") return base >= UNITS_BY_ID.lb.factor ? "lb" : "oz";
+    return base >= 1000 ? "kg" : "g";
+  }
+  if (system === "imperial") {
+    if (base >= 60) return "cup";
+    if (base >= 15) return "tbsp";
+    return "tsp";
+  }
+  return base >= 1000 ? "l" : "ml";
+}
+
+function convertQty(qty, unitId, system) {
+  const u = UNITS_BY_ID[unitId];
+  if (qty == null || !u || !system) return { qty, unit: unitId };
+  if (u.dim !== "mass" && u.dim !== "volume") return { qty, unit: unitId };
+  if (u.system === system || u.system === "kitchen") return { qty, unit: unitId };
+  const target = pickUnit(qty * u.factor, u.dim, system);
+  return { qty: (qty * u.factor) / UNITS_BY_ID[target].factor, unit: target };
+}
+
+function ingredientText(item) {
+  const qty = item.qty != null
+    ? formatQty(item.qty, item.unit) + (item.qtyMax != null ? `–${formatQty(item.qtyMax, item.unit)}` : "")
+    : "";
+  const unit = item.unit ? UNITS_BY_ID[item.unit].label : "";
+  const head = [qty, unit, item.name].filter(Boolean).join(" ");
+  return item.note ? `${head} (${item.note})` : head;
+}
+
+// factor — множитель порций, system — metric|imperial|null
+function scaleIngredient(raw, factor = 1, system = null) {
+  const p = parseIngredient(raw);
+  if (p.qty != null) {
+    const main = convertQty(p.qty * factor, p.unit, system);
+    const max = p.qtyMax != null ? convertQty(p.qtyMax * factor, p.unit, system) : null;
+    const round3 = (n) => Math.round(n * 1000) / 1000;
+    p.qty = round3(main.qty);
+    p.qtyMax = max ? round3(max.qty) : null;
+    p.unit = main.unit;
+  }
+  return { ...p, text: ingredientText(p) };
+}
+
+// ?servings=N&units=metric|imperial -> { servings, units } | { error }
+function parseScaleQuery(query = {}) {
+  const out = { servings: null, units: null };
+  if (query.servings != null && query.servings !== "") {
+    const n = Number(query.servings);
+    if (!Number.isInteger(n) || n < 1 || n > RECIPE_LIMITS.servings) {
+      return { error: `servings must be an integer 1..${RECIPE_LIMITS.servings}` };
+    }
+    out.servings = n;
+  }
+  if (query.units != null && query.units !== "") {
+    const u = String(query.units).toLowerCase();
+    if (u !== "metric" && u !== "imperial") return { error: "units must be metric|imperial" };
+    out.units = u;
+  }
+  return { scale: out };
+}
+
+// добавляет к рецепту блок scaled, исходные строки ингредиентов не трогаем
+function withScaledIngredients(recipe, { servings, units }) {
+  if (servings == null && units == null) return recipe;
+  const base = Number.isInteger(recipe.servings) ? recipe.servings : null;
+  const target = servings ?? base;
+  const factor = base && target ? target / base : 1;
+  const scaled = { servings: base ? target : null, baseServings: base, factor, units };
+  if (servings != null && !base) scaled.warning = "servings_unknown";
+
+  const mapList = (list) => (Array.isArray(list) ? list : []).map((x) => scaleIngredient(x, factor, units));
+  if (Array.isArray(recipe.parts) && recipe.parts.length) {
+    scaled.parts = recipe.parts.map((p) => ({ title: p.title || "", ingredients: mapList(p.ingredients) }));
+  } else {
+    scaled.ingredients = mapList(recipe.ingredients);
+  }
+  return { ...recipe, scaled };
+}
+
 // ========================= HEALTH =========================
 app.get("/health", async (_req, res) => {
   try {
@@ -311,6 +830,300 @@ app.get("/health", async (_req, res) => {
   }
 });
 
+// =====================================================================
+// ============================== СЕССИИ ================================
+// =====================================================================
+// Вход создаёт строку в sessions и выдаёт пару:
+//   access  — JWT { sub, tg_id, sid } на ACCESS_TOKEN_TTL (15 мин), cookie rp_jwt
+//   refresh — "<sid>.<gen>.<hmac>" на SESSION_TTL_DAYS, cookie rp_refresh
+// POST /auth/refresh меняет пару и увеличивает gen. Пришёл refresh со старым gen —
+// значит, его уже кто-то использовал (утёк): сессия отзывается целиком. Исключение —
+// предыдущий gen в первые REFRESH_GRACE_SEC после ротации: это соседняя вкладка
+// обновлялась одновременно, ей отдаём уже выданную пару.
+// requireAuth/optionalAuth проверяют, что сессия токена не отозвана.
+
+const ACCESS_TOKEN_TTL_SEC = Number(process.env.ACCESS_TOKEN_TTL_SEC) || 15 * 60;
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 90;
+const REFRESH_GRACE_SEC = Number(process.env.REFRESH_GRACE_SEC ?? 10);
+const COOKIE_OPTS = { httpOnly: true, sameSite: "none", secure: true };
+const REFRESH_COOKIE_OPTS = { ...COOKIE_OPTS, path: "/auth" };
+
+function signAccessToken(tg_id, sid) {
+  const jwtSecret = process.env.JWT_SECRET || "dev-secret";
+  return jwt.sign({ sub: `tg:${tg_id}`, tg_id: String(tg_id), sid }, jwtSecret, {
+    expiresIn: ACCESS_TOKEN_TTL_SEC,
+  });
+}
+
+function refreshSignature(sid, gen) {
+  const jwtSecret = process.env.JWT_SECRET || "dev-secret";
+  return crypto.createHmac("sha256", jwtSecret).update(`refresh:${sid}.${gen}`).digest("base64url");
+}
+
+function makeRefreshToken(sid, gen) {
+  return `${sid}.${gen}.${refreshSignature(sid, gen)}`;
+}
+
+// -> { sid, gen } | null
+function parseRefreshToken(token) {
+  const m = String(token || "").match(/^([A-Za-z0-9_-]{16,64})\.(\d{1,9})\.([A-Za-z0-9_-]+)$/);
+  if (!m) return null;
+  const [, sid, gen, sig] = m;
+  const expected = Buffer.from(refreshSignature(sid, gen));
+  const got = Buffer.from(sig);
+  if (got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) return null;
+  return { sid, gen: Number(gen) };
+}
+
+function setSessionCookies(res, tokens) {
+  res.cookie("rp_jwt", tokens.jwt, { ...COOKIE_OPTS, maxAge: ACCESS_TOKEN_TTL_SEC * 1000 });
+  res.cookie("rp_refresh", tokens.refreshToken, {
+    ...REFRESH_COOKIE_OPTS,
+    maxAge: SESSION_TTL_DAYS * 24 * 3600 * 1000,
+  });
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie("rp_jwt", COOKIE_OPTS);
+  res.clearCookie("rp_refresh", REFRESH_COOKIE_OPTS);
+}
+
+// новая сессия после входа; kind: "web" | "bot"
+// -> { jwt, refreshToken, expiresIn, sessionId }
+async function issueSession(req, res, tg_id, kind = "web") {
+  const sid = crypto.randomBytes(18).toString("base64url");
+  await pool.query(
+    `insert into sessions (id, tg_id, kind, user_agent, ip, expires_at)
+     values ($1,$2,$3,$4,$5, now() + make_interval(days => $6))`,
+    [sid, String(tg_id), kind, cleanField(String(req.get("user-agent") || "").slice(0, 300)), req.ip || null, SESSION_TTL_DAYS]
+  );
+  const tokens = {
+    jwt: signAccessToken(tg_id, sid),
+    refreshToken: makeRefreshToken(sid, 0),
+    expiresIn: ACCESS_TOKEN_TTL_SEC,
+    sessionId: sid,
+  };
+  setSessionCookies(res, tokens);
+  return tokens;
+}
+
+// жив ли access-токен: сессия не отозвана (или, для старых токенов без sid,
+// выдан после последнего "выйти везде")
+async function isTokenActive(payload) {
+  const tgId = String(payload?.tg_id || "");
+  if (!tgId) return false;
+  if (payload.sid) {
+    const { rows } = await pool.query(
+      `select 1 from sessions where id=$1 and tg_id=$2 and revoked_at is null and expires_at > now()`,
+      [payload.sid, tgId]
+    );
+    return rows.length > 0;
+  }
+  const { rows } = await pool.query(`select tokens_valid_after from users where tg_id=$1`, [tgId]);
+  const after = rows[0]?.tokens_valid_after;
+  return !after || Number(payload.iat || 0) * 1000 >= new Date(after).getTime();
+}
+
+// -> число отозванных
+async function revokeSessions(tgId, { sid = null, kind = null, exceptSid = null, reason = "logout" } = {}) {
+  const { rowCount } = await pool.query(
+    `update sessions set revoked_at=now(), revoked_reason=$5
+      where tg_id=$1 and revoked_at is null
+        and ($2::text is null or id=$2)
+        and ($3::text is null or kind=$3)
+        and ($4::text is null or id<>$4)`,
+    [String(tgId), sid, kind, exceptSid, reason]
+  );
+  return rowCount;
+}
+
+// обмен refresh -> новая пара (ротация)
+app.post("/auth/refresh", limits.auth, async (req, res) => {
+  const parsed = parseRefreshToken(req.body?.refreshToken || req.cookies?.rp_refresh);
+  if (!parsed) return res.status(401).json({ error: "bad_refresh_token" });
+  try {
+    const { rows } = await pool.query(
+      `update sessions set refresh_gen = refresh_gen + 1, refreshed_at = now(), last_seen_at = now(), ip = $3
+        where id=$1 and refresh_gen=$2 and revoked_at is null and expires_at > now()
+        returning tg_id, refresh_gen`,
+      [parsed.sid, parsed.gen, req.ip || null]
+    );
+    if (!rows.length) {
+      const { rows: cur } = await pool.query(
+        `select tg_id, refresh_gen, revoked_at,
+                expires_at > now() and refreshed_at > now() - make_interval(secs => $2) as in_grace
+           from sessions where id=$1`,
+        [parsed.sid, REFRESH_GRACE_SEC]
+      );
+      const live = cur.length && !cur[0].revoked_at;
+      if (live && cur[0].in_grace && parsed.gen === cur[0].refresh_gen - 1) {
+        // соседняя вкладка только что обновила пару — отдаём её же
+        rows.push(cur[0]);
+      } else if (live && parsed.gen < cur[0].refresh_gen) {
+        // старый refresh предъявлен повторно — кто-то им уже воспользовался
+        await revokeSessions(cur[0].tg_id, { sid: parsed.sid, reason: "refresh_reuse" });
+        console.warn("refresh token reuse, session revoked", { sid: parsed.sid, tg_id: cur[0].tg_id });
+        clearSessionCookies(res);
+        return res.status(401).json({ error: "refresh_reused" });
+      } else {
+        clearSessionCookies(res);
+        return res.status(401).json({ error: "session_revoked" });
+      }
+    }
+
+    const tokens = {
+      jwt: signAccessToken(rows[0].tg_id, parsed.sid),
+      refreshToken: makeRefreshToken(parsed.sid, rows[0].refresh_gen),
+      expiresIn: ACCESS_TOKEN_TTL_SEC,
+      sessionId: parsed.sid,
+    };
+    setSessionCookies(res, tokens);
+    res.json({ ok: true, ownerId: `tg:${rows[0].tg_id}`, ...tokens });
+  } catch (e) {
+    console.error("/auth/refresh error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// ----- анонимный владелец -----
+// {} -> новый "anon:<random>"; { claim: "<старый id>" } -> закрепить старый id
+// за этим устройством (один раз: кто первый закрепил, тот и владелец).
+// Claim — только в переходный период и только с тем же id в X-Owner-Id, с которым
+// устройство и так ходит за этими данными, и только для id, под которым данные есть.
+// -> { ownerId, ownerToken } — ownerToken слать в X-Owner-Token
+function legacyClaimId(raw) {
+  const ownerId = String(raw ?? "").trim();
+  if (!LEGACY_OWNER_RE.test(ownerId) || ownerId.startsWith("tg:") || ownerId.startsWith(ANON_OWNER_PREFIX)) {
+    return null;
+  }
+  return ownerId;
+}
+
+async function legacyOwnerHasData(ownerId) {
+  const { rows } = await pool.query(
+    `select exists (select 1 from local_recipes where owner = $1)
+         or exists (select 1 from shopping_items where owner = $1)
+         or exists (select 1 from media where owner = $1) as ok`,
+    [ownerId]
+  );
+  return rows[0].ok;
+}
+
+// новый анонимный id — общий лимит auth; claim — отдельный, строже (перебор чужих id)
+function anonLimit(req, res, next) {
+  return (req.body?.claim == null ? limits.auth : limits.anonClaim)(req, res, next);
+}
+
+app.post("/auth/anon", anonLimit, async (req, res) => {
+  try {
+    const claim = req.body?.claim;
+    if (claim == null) {
+      const ownerId = ANON_OWNER_PREFIX + crypto.randomBytes(18).toString("base64url");
+      await pool.query(`insert into anon_owners (id) values ($1)`, [ownerId]);
+      return res.json({ ok: true, ownerId, ownerToken: makeOwnerToken(ownerId) });
+    }
+
+    const ownerId = legacyClaimId(claim);
+    if (!ownerId) return res.status(400).json({ error: "bad_claim" });
+    if (!ALLOW_UNSIGNED_LEGACY_OWNERS) return res.status(403).json({ error: "claim_closed" });
+    if (String(req.header("X-Owner-Id") || "").trim() !== ownerId) {
+      return res.status(403).json({ error: "owner_forbidden" });
+    }
+    if (!(await legacyOwnerHasData(ownerId))) return res.status(404).json({ error: "nothing_to_claim" });
+
+    // строка могла появиться и без claim (last_seen для чистки) — важен claimed_at
+    const { rowCount } = await pool.query(
+      `insert into anon_owners (id, legacy, claimed_at) values ($1, true, now())
+       on conflict (id) do update set claimed_at = now(), last_seen_at = now()
+       where anon_owners.claimed_at is null`,
+      [ownerId]
+    );
+    if (!rowCount) return res.status(409).json({ error: "already_claimed" });
+    res.json({ ok: true, ownerId, ownerToken: makeOwnerToken(ownerId) });
+  } catch (e) {
+    console.error("/auth/anon error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// админ: закрепить старый id вручную (после переходного периода или если его
+// успел закрепить кто-то другой) — токен передаётся владельцу, дальше /local/recipes/migrate
+app.post("/admin/anon-owners/claim", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const ownerId = legacyClaimId(req.body?.ownerId);
+    if (!ownerId) return res.status(400).json({ error: "bad_claim" });
+    await pool.query(
+      `insert into anon_owners (id, legacy, claimed_at) values ($1, true, now())
+       on conflict (id) do update set claimed_at = coalesce(anon_owners.claimed_at, now())`,
+      [ownerId]
+    );
+    res.json({ ok: true, ownerId, ownerToken: makeOwnerToken(ownerId) });
+  } catch (e) {
+    console.error("/admin/anon-owners/claim error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// активные устройства
+app.get("/auth/sessions", requireAuth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `select id, kind, user_agent, ip, created_at, last_seen_at, expires_at
+         from sessions
+        where tg_id=$1 and revoked_at is null and expires_at > now()
+        order by last_seen_at desc`,
+      [String(req.user.tg_id)]
+    );
+    res.set("Cache-Control", "no-store");
+    res.json({
+      sessions: rows.map((s) => ({
+        id: s.id,
+        kind: s.kind,
+        userAgent: s.user_agent,
+        ip: s.ip,
+        createdAt: s.created_at,
+        lastSeenAt: s.last_seen_at,
+        expiresAt: s.expires_at,
+        current: s.id === req.user.sid,
+      })),
+    });
+  } catch (e) {
+    console.error("GET /auth/sessions error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// завершить одну сессию
+app.delete("/auth/sessions/:sid", requireAuth, async (req, res) => {
+  try {
+    const n = await revokeSessions(req.user.tg_id, { sid: req.params.sid, reason: "revoked" });
+    if (!n) return res.status(404).json({ error: "not found" });
+    if (req.params.sid === req.user.sid) clearSessionCookies(res);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("DELETE /auth/sessions/:sid error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// "выйти везде"; { keepCurrent: true } — кроме этого устройства
+app.post("/auth/sessions/revoke-all", requireAuth, async (req, res) => {
+  const keepCurrent = req.body?.keepCurrent === true && !!req.user.sid;
+  try {
+    const revoked = await revokeSessions(req.user.tg_id, {
+      exceptSid: keepCurrent ? req.user.sid : null,
+      reason: "revoked_all",
+    });
+    // заодно гасим старые токены без sid
+    await pool.query(`update users set tokens_valid_after=now() where tg_id=$1`, [String(req.user.tg_id)]);
+    if (!keepCurrent) clearSessionCookies(res);
+    res.json({ ok: true, revoked });
+  } catch (e) {
+    console.error("POST /auth/sessions/revoke-all error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
 // =====================================================================
 // =========================== TELEGRAM AUTH ============================
 // =====================================================================
@@ -323,6 +1136,9 @@ if (!TG_BOT_TOKEN) {
   );
 }
 
+// вход/привязка через Telegram — перебор подписей и флуд upsert'ами users
+app.use("/auth/telegram", limits.auth);
+
 // Универсальная проверка подписи Telegram (поддержка 2 форматов):
 // 1) Виджет Web Login: поля id, first_name, username, photo_url, auth_date, hash
 // 2) WebApp initData: поля user (строка JSON), auth_date, hash
@@ -407,19 +1223,12 @@ app.post("/auth/telegram", async (req, res) => {
       [tg_id, username, first_name, last_name, photo_url]
     );
 
-    const token = signJwtForTelegram(tg_id);
-
-    // Поставим httpOnly cookie (можешь не использовать на фронте)
-    res.cookie("rp_jwt", token, {
-      httpOnly: true,
-      sameSite: "none",
-      secure: true,
-      maxAge: 90 * 24 * 3600 * 1000,
-    });
+    // сессия + httpOnly cookie (можешь не использовать на фронте)
+    const session = await issueSession(req, res, tg_id, data.user ? "bot" : "web");
 
     res.json({
       ok: true,
-      jwt: token,
+      ...session,
       ownerId: `tg:${tg_id}`,
       profile: { username, first_name, last_name, photo_url },
     });
@@ -465,27 +1274,17 @@ app.get("/auth/telegram/callback", async (req, res) => {
     if (!tg_id) return res.status(400).send("no_user");
 
     // upsert user
-    await pool.query(
-      `insert into users (tg_id, username, first_name, last_name, photo_url, bot_enabled)
-       values ($1,$2,$3,$4,$5, true)
-       on conflict (tg_id) do update set
-         username   = excluded.username,
-         first_name = excluded.first_name,
-         last_name  = excluded.last_name,
-         photo_url  = excluded.photo_url,
-         last_login = now(),
-         bot_enabled = true`,
-      [tg_id, username, first_name, last_name, photo_url]
-    );
-
-    const token = signJwtForTelegram(tg_id);
-    res.cookie("rp_jwt", token, {
-      httpOnly: true,
-      sameSite: "none",
-      secure: true,
-      maxAge: 90 * 24 * 3600 * 1000,
+    await upsertUserRow({
+      tg_id,
+      username: user.username,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      photo_url: user.photo_url,
+      bot_enabled: true,
     });
 
+    await issueSession(req, res, tg_id, q.user ? "bot" : "web");
+
     // Редиректим обратно на фронт (можешь поменять URL)
     const redirect = process.env.AUTH_REDIRECT || "https://sergeyfdf.github.io/";
     return res.redirect(302, redirect);
@@ -545,22 +1344,14 @@ app.post("/auth/telegram/callback", async (req, res) => {
       bot_enabled: true, // включаем доступ бота при входе
     });
 
-    // JWT
-    const token = signJwtForTelegram(tg_id);
-
-    // httpOnly cookie
-    res.cookie("rp_jwt", token, {
-      httpOnly: true,
-      sameSite: "none",
-      secure: true,
-      maxAge: 90 * 24 * 3600 * 1000,
-    });
+    // сессия: JWT + refresh, оба в httpOnly cookie
+    const session = await issueSession(req, res, tg_id, body.user ? "bot" : "web");
 
     return res.json({
       ok: true,
       ownerId: `tg:${tg_id}`,
       user,
-      jwt: token,
+      ...session,
     });
   } catch (e) {
     console.error("POST /auth/telegram/callback fatal:", e);
@@ -578,10 +1369,23 @@ app.post("/auth/telegram/link", requireAuth, async (req, res) => {
   }
 });
 
+// { endSessions: "bot" | "all" } — заодно завершить сессии, открытые из бота (или все)
 app.post("/auth/telegram/unlink", requireAuth, async (req, res) => {
+  const endSessions = req.body?.endSessions ?? null;
+  if (endSessions !== null && endSessions !== "bot" && endSessions !== "all") {
+    return res.status(400).json({ error: "endSessions must be bot|all" });
+  }
   try {
     await pool.query(`update users set bot_enabled=false where tg_id=$1`, [String(req.user.tg_id)]);
-    res.json({ ok: true });
+    let revoked = 0;
+    if (endSessions) {
+      revoked = await revokeSessions(req.user.tg_id, {
+        kind: endSessions === "bot" ? "bot" : null,
+        reason: "unlink",
+      });
+      if (endSessions === "all") clearSessionCookies(res);
+    }
+    res.json({ ok: true, revoked });
   } catch (e) {
     console.error("unlink bot failed", e);
     res.status(500).json({ error: "internal" });
@@ -591,8 +1395,26 @@ app.post("/auth/telegram/unlink", requireAuth, async (req, res) => {
 
 
 
-app.post("/auth/logout", (req, res) => {
-  res.clearCookie("rp_jwt", { httpOnly: true, sameSite: "none", secure: true });
+// выход с этого устройства: сессия отзывается (по access или refresh токену)
+app.post("/auth/logout", async (req, res) => {
+  try {
+    let payload = null;
+    try {
+      const token = getTokenFromReq(req);
+      if (token) payload = jwt.verify(token, process.env.JWT_SECRET || "dev-secret", { ignoreExpiration: true });
+    } catch {}
+    const refresh = parseRefreshToken(req.body?.refreshToken || req.cookies?.rp_refresh);
+    const sid = payload?.sid || refresh?.sid;
+    if (sid) {
+      await pool.query(
+        `update sessions set revoked_at=now(), revoked_reason='logout' where id=$1 and revoked_at is null`,
+        [sid]
+      );
+    }
+  } catch (e) {
+    console.error("/auth/logout error:", e);
+  }
+  clearSessionCookies(res);
   res.json({ ok: true });
 });
 
@@ -611,6 +1433,7 @@ app.get("/auth/session/me", requireAuth, async (req, res) => {
     const row = rows[0] || {};
     return res.json({
       ownerId: `tg:${tgId}`,
+      sessionId: req.user.sid || null,
       user: {
         id: Number(tgId),
         username: row.username || null,
@@ -625,54 +1448,298 @@ app.get("/auth/session/me", requireAuth, async (req, res) => {
   }
 });
 
+// =====================================================================
+// ================ ПОИСК / ФИЛЬТРЫ / ПАГИНАЦИЯ СПИСКОВ =================
+// =====================================================================
+// Общие параметры для GET /recipes и GET /local/recipes:
+//   q=борщ свекла        — полнотекстовый поиск (префиксный, по всем словам)
+//   category=суп (повтор) или categories=суп,обед — любая из категорий
+//   sort=updated|created|title|relevance|popular (popular — только /recipes), order=asc|desc
+//   limit=20, cursor=<next из прошлого ответа>
+// Без limit/cursor ответ — старый массив, с ними — { items, next }.
+
+const LIST_MAX_LIMIT = 100;
+const LIST_DEFAULT_LIMIT = 50;
+
+const FTS_VECTOR = "to_tsvector('simple', recipe_search_text(t.data))";
+
+// expr получает плейсхолдер tsquery (нужен только для relevance)
+const LIST_SORTS = {
+  updated: { expr: () => "t.updated_at", type: "timestamptz", dir: "desc" },
+  created: { expr: () => "t.created_at", type: "timestamptz", dir: "desc" },
+  title: { expr: () => "lower(coalesce(t.data->>'title', ''))", type: "text", dir: "asc" },
+  relevance: { expr: (tsq) => `ts_rank(${FTS_VECTOR}, ${tsq})`, type: "real", dir: "desc", needsQuery: true },
+  popular: { expr: () => "coalesce(s.likes, 0)", type: "int", dir: "desc", globalOnly: true },
+};
+
+// "борщ свекл" -> "борщ:* & свекл:*" (только буквы/цифры, инъекции невозможны)
+function toPrefixTsQuery(q) {
+  const words = String(q || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.slice(0, 10).map((w) => `${w}:*`).join(" & ");
+}
+
+function encodeCursor(parts) {
+  return Buffer.from(JSON.stringify(parts)).toString("base64url");
+}
+
+function decodeCursor(s) {
+  try {
+    const v = JSON.parse(Buffer.from(String(s), "base64url").toString("utf8"));
+    return Array.isArray(v) && v.length === 4 ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+function queryList(v) {
+  const arr = Array.isArray(v) ? v : v == null ? [] : [v];
+  return arr.flatMap((x) => String(x).split(",")).map((x) => x.trim()).filter(Boolean);
+}
+
+// -> { params } | { error }; local — список из local_recipes
+function parseRecipeListQuery(query = {}, { local = false } = {}) {
+  const q = String(query.q || "").trim().slice(0, 200);
+  const tsquery = toPrefixTsQuery(q);
+  const categories = [...queryList(query.category), ...queryList(query.categories)].slice(0, 20);
+
+  const sortName = String(query.sort || (tsquery ? "relevance" : "updated"));
+  const sort = LIST_SORTS[sortName];
+  if (!sort) return { error: `unknown sort: ${sortName}` };
+  if (sort.needsQuery && !tsquery) return { error: "sort=relevance requires q" };
+  if (sort.globalOnly && local) return { error: `sort=${sortName} is only for global recipes` };
+
+  const order = String(query.order || sort.dir).toLowerCase();
+  if (order !== "asc" && order !== "desc") return { error: "order must be asc|desc" };
+
+  const paged = query.limit != null || query.cursor != null;
+  let limit = null;
+  if (paged) {
+    limit = query.limit == null ? LIST_DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return { error: "bad limit" };
+    limit = Math.min(limit, LIST_MAX_LIMIT);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    // курсор валиден только для той же сортировки
+    if (!cursor || cursor[0] !== sortName || cursor[1] !== order) return { error: "bad cursor" };
+  }
+
+  return { params: { q, tsquery, categories, sortName, order, limit, cursor, paged } };
+}
+
+// table: "recipes" | "local_recipes"; owner — только для local_recipes
+// для recipes в каждом элементе ещё likes, rating и, если передан viewer (tg_id), liked/myRating
+async function listRecipes(db, { table, owner = null, viewer = null, params }) {
+  if (table !== "recipes" && table !== "local_recipes") throw new Error(`bad table ${table}`);
+  const { tsquery, categories, sortName, order, limit, cursor, offset = 0 } = params;
+  const sort = LIST_SORTS[sortName];
+
+  const args = [];
+  const arg = (v) => {
+    args.push(v);
+    return `$${args.length}`;
+  };
+
+  const where = [];
+  if (table === "local_recipes") where.push(`t.owner = ${arg(owner)}`);
+
+  let tsq = null;
+  if (tsquery) {
+    tsq = `to_tsquery('simple', ${arg(tsquery)})`;
+    where.push(`${FTS_VECTOR} @@ ${tsq}`);
+  }
+  if (categories.length) where.push(`t.data->'categories' ?| ${arg(categories)}::text[]`);
+
+  const keyExpr = sort.expr(tsq);
+  const cmp = order === "desc" ? "<" : ">";
+  if (cursor) {
+    where.push(`(${keyExpr}, t.id) ${cmp} (${arg(cursor[2])}::${sort.type}, ${arg(cursor[3])})`);
+  }
+
+  const global = table === "recipes";
+  const viewerArg = global && viewer ? arg(String(viewer)) : null;
+  const sql =
+    `select t.id, t.data, (${keyExpr})::text as sort_key
+            ${global ? `, ${RECIPE_STATS_COLUMNS}` : ""}
+            ${viewerArg ? `, ${recipeViewerColumns(viewerArg)}` : ""}
+       from ${table} t
+       ${global ? "left join recipe_stats s on s.recipe_id = t.id" : ""}
+      ${where.length ? `where ${where.join(" and ")}` : ""}
+      order by ${keyExpr} ${order}, t.id ${order}
+      ${limit ? `limit ${arg(limit + 1)}` : ""}
+      ${offset ? `offset ${arg(offset)}` : ""}`;
+
+  const { rows } = await db.query(sql, args);
+
+  let next = null;
+  if (limit && rows.length > limit) {
+    rows.length = limit;
+    const last = rows[rows.length - 1];
+    next = encodeCursor([sortName, order, last.sort_key, last.id]);
+  }
+
+  return { items: rows.map((r) => withRecipeStats({ ...r.data, id: r.id }, r)), next };
+}
+
+// лайки и оценки глобального рецепта: t — recipes, s — left join recipe_stats
+const RECIPE_STATS_COLUMNS =
+  "coalesce(s.likes, 0) as likes, coalesce(s.rating_sum, 0) as rating_sum, coalesce(s.rating_count, 0) as rating_count";
+
+// то, что зависит от смотрящего; viewerArg — плейсхолдер с его tg_id
+function recipeViewerColumns(viewerArg) {
+  return (
+    `exists (select 1 from recipe_likes l where l.recipe_id = t.id and l.tg_id = ${viewerArg}) as liked, ` +
+    `(select rr.stars from recipe_ratings rr where rr.recipe_id = t.id and rr.tg_id = ${viewerArg}) as my_rating`
+  );
+}
+
+// колонки из RECIPE_STATS_COLUMNS / recipeViewerColumns -> поля рецепта (если они были в выборке)
+function withRecipeStats(recipe, row) {
+  if (row.likes !== undefined) recipe.likes = row.likes;
+  if (row.liked !== undefined) recipe.liked = row.liked;
+  if (row.rating_count !== undefined) {
+    recipe.rating = {
+      avg: row.rating_count ? Math.round((row.rating_sum / row.rating_count) * 100) / 100 : null,
+      count: row.rating_count,
+    };
+  }
+  if (row.my_rating !== undefined) recipe.myRating = row.my_rating;
+  return recipe;
+}
+
 // =====================================================================
 // =============== ГЛОБАЛЬНЫЕ РЕЦЕПТЫ (публикуемые) ====================
 // =====================================================================
 
-// список (без кэша, проще и понятнее)
-app.get("/recipes", async (req, res) => {
+// Права на запись в глобал: автор (tg:<id>) или админ.
+// Старые записи без автора (кому смогли, автора проставила миграция 022) — только админ:
+// локальную запись с тем же id может завести кто угодно, по ней авторство не выводим.
+// $2 = author, $3 = isAdmin
+const GLOBAL_WRITE_GUARD = `(recipes.author = $2 or $3::boolean)`;
+
+// upsert с проверкой авторства одним запросом (без гонок между select и update)
+// -> "ok" | "forbidden"
+async function upsertGlobalRecipe(db, { id, data, author, isAdmin = false }) {
+  const { rowCount } = await db.query(
+    `insert into recipes (id, data, author) values ($1, $4, $2)
+     on conflict (id) do update
+       set data = excluded.data,
+           author = coalesce(recipes.author, case when $3::boolean then null else excluded.author end)
+     where ${GLOBAL_WRITE_GUARD}`,
+    [id, author, !!isAdmin, data]
+  );
+  if (rowCount > 0) invalidateRecipesCache();
+  return rowCount > 0 ? "ok" : "forbidden";
+}
+
+// -> "deleted" | "forbidden" | "not_found"
+async function deleteGlobalRecipe(db, { id, author, isAdmin = false }) {
+  const { rowCount } = await db.query(
+    `delete from recipes where id = $1 and ${GLOBAL_WRITE_GUARD}`,
+    [id, author, !!isAdmin]
+  );
+  if (rowCount > 0) {
+    invalidateRecipesCache();
+    return "deleted";
+  }
+  const { rows } = await db.query("select 1 from recipes where id=$1", [id]);
+  return rows.length ? "forbidden" : "not_found";
+}
+
+// Кэш выдачи по запросу для inline-режима бота: { key -> { at, value } }.
+// Сбрасывается целиком при любой записи в recipes через хелперы выше.
+const RECIPES_CACHE_TTL_MS = 60_000;
+const RECIPES_CACHE_MAX = 500;
+const recipesCache = new Map();
+
+function invalidateRecipesCache() {
+  recipesCache.clear();
+}
+
+async function cachedRecipes(key, load) {
+  const hit = recipesCache.get(key);
+  if (hit && Date.now() - hit.at < RECIPES_CACHE_TTL_MS) return hit.value;
+  const value = await load();
+  if (recipesCache.size >= RECIPES_CACHE_MAX) recipesCache.delete(recipesCache.keys().next().value);
+  recipesCache.set(key, { at: Date.now(), value });
+  return value;
+}
+
+// список (без кэша, проще и понятнее); поиск/фильтры/пагинация — см. parseRecipeListQuery
+// с JWT у каждого рецепта ещё liked — лайкнул ли его текущий пользователь
+app.get("/recipes", optionalAuth, async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      "select id, data, updated_at from recipes order by updated_at desc"
-    );
-    const payload = rows.map((r) => ({ ...r.data, id: r.id }));
+    const { params, error } = parseRecipeListQuery(req.query);
+    if (error) return res.status(400).json({ error: "bad_query", details: error });
+
+    const { items, next } = await listRecipes(pool, { table: "recipes", viewer: req.user?.tg_id, params });
     res.set("Cache-Control", "no-store");
-    res.json(payload);
+    res.json(params.paged ? { items, next } : items);
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: "internal" });
   }
 });
 
-// один
-app.get("/recipes/:id", async (req, res) => {
+// один; ?servings=N&units=metric|imperial — добавит блок scaled
+app.get("/recipes/:id", optionalAuth, async (req, res) => {
+  const { scale, error } = parseScaleQuery(req.query);
+  if (error) return res.status(400).json({ error: "bad_query", details: error });
+
+  const viewer = req.user?.tg_id ? String(req.user.tg_id) : null;
   const { rows } = await pool.query(
-    "select id, data from recipes where id=$1",
-    [req.params.id]
+    `select t.id, t.data, ${RECIPE_STATS_COLUMNS}
+            ${viewer ? `, ${recipeViewerColumns("$2")}` : ""}
+       from recipes t
+       left join recipe_stats s on s.recipe_id = t.id
+      where t.id=$1`,
+    viewer ? [req.params.id, viewer] : [req.params.id]
   );
   if (!rows.length) return res.status(404).json({ error: "not found" });
+  const recipe = withRecipeStats({ ...rows[0].data, id: rows[0].id }, rows[0]);
   res.set("Cache-Control", "no-store");
-  res.json({ ...rows[0].data, id: rows[0].id });
+  res.json(withScaledIngredients(recipe, scale));
 });
 
-// upsert (выложить/обновить)
-app.put("/recipes/:id", async (req, res) => {
+// upsert (выложить/обновить) — только автор или админ
+app.put("/recipes/:id", requireAuth, limits.recipesWrite, async (req, res) => {
   const recipe = req.body?.recipe;
   if (!recipe || typeof recipe !== "object") {
     return res.status(400).json({ error: "body.recipe required" });
   }
-  await pool.query(
-    `insert into recipes (id, data) values ($1, $2)
-     on conflict (id) do update set data=excluded.data`,
-    [req.params.id, recipe]
-  );
-  res.json({ ok: true });
+  const { value, errors } = validateRecipe({ ...recipe, id: req.params.id });
+  if (errors.length) return sendInvalidRecipe(res, errors);
+  try {
+    const result = await upsertGlobalRecipe(pool, {
+      id: req.params.id,
+      data: value,
+      author: `tg:${req.user.tg_id}`,
+      isAdmin: isAdminTgId(req.user.tg_id),
+    });
+    if (result === "forbidden") return res.status(403).json({ error: "forbidden" });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("PUT /recipes/:id error:", e);
+    res.status(500).json({ error: "internal" });
+  }
 });
 
-// удалить
-app.delete("/recipes/:id", async (req, res) => {
-  await pool.query("delete from recipes where id=$1", [req.params.id]);
-  res.status(204).end();
+// удалить — только автор или админ
+app.delete("/recipes/:id", requireAuth, limits.recipesWrite, async (req, res) => {
+  try {
+    const result = await deleteGlobalRecipe(pool, {
+      id: req.params.id,
+      author: `tg:${req.user.tg_id}`,
+      isAdmin: isAdminTgId(req.user.tg_id),
+    });
+    if (result === "forbidden") return res.status(403).json({ error: "forbidden" });
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /recipes/:id error:", e);
+    res.status(500).json({ error: "internal" });
+  }
 });
 
 // exists
@@ -683,6 +1750,100 @@ app.get("/recipes/:id/exists", async (req, res) => {
   res.json({ exists: rows.length > 0 });
 });
 
+// ===== ЛАЙКИ =====
+// Лайк — отметка «нравится/сохранил» на глобальном рецепте, один на tg-пользователя.
+// Счётчик likes ведёт триггер в recipe_stats; по нему sort=popular.
+
+// -> { likes, liked } | null (нет такого рецепта)
+async function setRecipeLike(db, recipeId, tgId, like) {
+  if (like) {
+    const { rows } = await db.query(
+      `insert into recipe_likes (recipe_id, tg_id)
+       select id, $2 from recipes where id=$1
+       on conflict do nothing
+       returning recipe_id`,
+      [recipeId, String(tgId)]
+    );
+    if (!rows.length) {
+      const { rows: exists } = await db.query(`select 1 from recipes where id=$1`, [recipeId]);
+      if (!exists.length) return null;
+    }
+  } else {
+    await db.query(`delete from recipe_likes where recipe_id=$1 and tg_id=$2`, [recipeId, String(tgId)]);
+  }
+  const { rows } = await db.query(
+    `select coalesce(s.likes, 0) as likes from recipes t
+       left join recipe_stats s on s.recipe_id = t.id
+      where t.id=$1`,
+    [recipeId]
+  );
+  return rows.length ? { likes: rows[0].likes, liked: like } : null;
+}
+
+app.post("/recipes/:id/like", requireAuth, limits.likes, async (req, res) => {
+  try {
+    const result = await setRecipeLike(pool, req.params.id, req.user.tg_id, true);
+    if (!result) return res.status(404).json({ error: "not found" });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("POST /recipes/:id/like error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.delete("/recipes/:id/like", requireAuth, limits.likes, async (req, res) => {
+  try {
+    const result = await setRecipeLike(pool, req.params.id, req.user.tg_id, false);
+    if (!result) return res.status(404).json({ error: "not found" });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("DELETE /recipes/:id/like error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// что лайкнул я: новые сверху; ?limit=N&cursor=<next>
+app.get("/me/likes", requireAuth, async (req, res) => {
+  let limit = req.query.limit == null ? LIST_DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: "bad_query", details: "bad limit" });
+  limit = Math.min(limit, LIST_MAX_LIMIT);
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor || cursor[0] !== "likes") return res.status(400).json({ error: "bad_query", details: "bad cursor" });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `select t.id, t.data, ${RECIPE_STATS_COLUMNS}, true as liked,
+              l.created_at as liked_at, l.created_at::text as sort_key
+         from recipe_likes l
+         join recipes t on t.id = l.recipe_id
+         left join recipe_stats s on s.recipe_id = t.id
+        where l.tg_id = $1
+          and ($2::timestamptz is null or (l.created_at, l.recipe_id) < ($2::timestamptz, $3::text))
+        order by l.created_at desc, l.recipe_id desc
+        limit $4`,
+      [String(req.user.tg_id), cursor?.[2] ?? null, cursor?.[3] ?? null, limit + 1]
+    );
+    let next = null;
+    if (rows.length > limit) {
+      rows.length = limit;
+      const last = rows[rows.length - 1];
+      next = encodeCursor(["likes", "desc", last.sort_key, last.id]);
+    }
+    res.set("Cache-Control", "no-store");
+    res.json({
+      items: rows.map((r) => ({ ...withRecipeStats({ ...r.data, id: r.id }, r), likedAt: r.liked_at })),
+      next,
+    });
+  } catch (e) {
+    console.error("GET /me/likes error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
 // =====================================================================
 // =============== ЛОКАЛЬНЫЕ РЕЦЕПТЫ (по владельцу) ====================
 // =====================================================================
@@ -692,25 +1853,290 @@ app.get("/local/recipes", optionalAuth, async (req, res) => {
   const owner = getOwner(req);
   if (!owner) return res.status(400).json({ error: "owner required" });
 
-  const { rows } = await pool.query(
-    "select id, data from local_recipes where owner=$1 order by updated_at desc",
+  const { params, error } = parseRecipeListQuery(req.query, { local: true });
+  if (error) return res.status(400).json({ error: "bad_query", details: error });
+
+  try {
+    const { items, next } = await listRecipes(pool, { table: "local_recipes", owner, params });
+    res.set("Cache-Control", "no-store");
+    res.json(params.paged ? { items, next } : items);
+  } catch (e) {
+    console.error("GET /local/recipes error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// ===== ЭКСПОРТ И РЕЗЕРВНАЯ КОПИЯ =====================================
+// GET /local/recipes/export?format=json|jsonld|markdown|zip
+//   zip: backup.json + recipes.md + картинки в media/<id>.<ext>
+// POST /local/recipes/restore?mode=merge|replace — тело: backup.json (JSON) или zip
+//   merge   — новые рецепты добавляются, существующие перезаписываются, если в копии новее
+//   replace — книга становится ровно такой, как в копии (лишние рецепты удаляются)
+const EXPORT_FORMATS = ["json", "jsonld", "markdown", "zip"];
+const RESTORE_MAX_BYTES = Number(process.env.RESTORE_MAX_BYTES) || 60 * 1024 * 1024;
+// распакованный zip: всё вместе (backup.json жмётся сильно, картинки — нет) и число записей
+const RESTORE_MAX_UNPACKED_BYTES = Number(process.env.RESTORE_MAX_UNPACKED_BYTES) || 2 * RESTORE_MAX_BYTES;
+const RESTORE_MAX_ZIP_ENTRIES = 5000;
+const RESTORE_MEDIA_NAME_RE = /^media\/[A-Za-z0-9_-]+\.\w+$/;
+const MEDIA_EXT = { "image/jpeg": "jpg", "image/png": "png", "image/gif": "gif", "image/webp": "webp", "image/avif": "avif" };
+
+async function loadOwnerRecipes(db, owner) {
+  const { rows } = await db.query(
+    `select id, data from local_recipes where owner=$1 order by created_at, id`,
     [owner]
   );
-  res.set("Cache-Control", "no-store");
-  res.json(rows.map((r) => ({ ...r.data, id: r.id })));
+  return rows.map((r) => ({ ...r.data, id: r.id }));
+}
+
+// -> { body: Buffer, type, filename }
+async function buildRecipesExport(owner, format, { baseUrl = "" } = {}) {
+  const recipes = await loadOwnerRecipes(pool, owner);
+  const stamp = new Date().toISOString().slice(0, 10);
+  const base = `recipes-${stamp}`;
+  const mediaUrl = (id) => `${baseUrl}/media/${id}`;
+
+  if (format === "json") {
+    return {
+      body: Buffer.from(JSON.stringify(makeBackup(recipes), null, 2)),
+      type: "application/json",
+      filename: `${base}.json`,
+    };
+  }
+  if (format === "jsonld") {
+    return {
+      body: Buffer.from(JSON.stringify(recipesToJsonLd(recipes, { mediaUrl }), null, 2)),
+      type: "application/ld+json",
+      filename: `${base}.jsonld`,
+    };
+  }
+  if (format === "markdown") {
+    return {
+      body: Buffer.from(recipesToMarkdown(recipes, { mediaUrl })),
+      type: "text/markdown; charset=utf-8",
+      filename: `${base}.md`,
+    };
+  }
+
+  // zip: картинки кладём рядом, в markdown — относительные ссылки на них
+  const files = new Map(); // mediaId -> имя файла в архиве
+  const entries = [];
+  for (const id of new Set(recipes.flatMap(recipeMediaIds))) {
+    const media = await loadMedia(pool, id);
+    if (!media) continue;
+    const name = `media/${id}.${MEDIA_EXT[media.row.mime] || "bin"}`;
+    files.set(id, name);
+    entries.push({ name, data: media.buffer });
+  }
+  entries.unshift(
+    { name: "backup.json", data: JSON.stringify(makeBackup(recipes), null, 2) },
+    { name: "recipes.md", data: recipesToMarkdown(recipes, { mediaUrl: (id) => files.get(id) || mediaUrl(id) }) }
+  );
+  return { body: createZip(entries), type: "application/zip", filename: `${base}.zip` };
+}
+
+app.get("/local/recipes/export", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const format = String(req.query.format || "json");
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: "bad_format", allowed: EXPORT_FORMATS });
+  }
+  try {
+    const file = await buildRecipesExport(owner, format, { baseUrl: `${req.protocol}://${req.get("host")}` });
+    res.set({
+      "Cache-Control": "no-store",
+      "Content-Disposition": `attachment; filename="${file.filename}"`,
+    });
+    res.type(file.type).send(file.body);
+  } catch (e) {
+    console.error("GET /local/recipes/export error:", e);
+    res.status(500).json({ error: "internal" });
+  }
 });
 
-// один
+// время правки рецепта в мс (в data бывает число или ISO-строка)
+function recipeUpdatedMs(r) {
+  const v = r?.updatedAt ?? r?.createdAt;
+  const ms = typeof v === "number" ? v : Date.parse(v);
+  return Number.isFinite(ms) ? ms : 0;
+}
+
+app.post(
+  "/local/recipes/restore",
+  optionalAuth,
+  limits.localBulk,
+  express.raw({ type: ["application/zip", "application/x-zip-compressed"], limit: RESTORE_MAX_BYTES }),
+  async (req, res) => {
+    const owner = getOwner(req);
+    if (!owner) return res.status(400).json({ error: "owner required" });
+    const mode = String(req.query.mode || req.body?.mode || "merge");
+    if (mode !== "merge" && mode !== "replace") {
+      return res.status(400).json({ error: "bad_mode", allowed: ["merge", "replace"] });
+    }
+
+    // zip: backup.json + media/*; JSON: сама резервная копия
+    let backup = req.body;
+    let mediaFiles = [];
+    if (Buffer.isBuffer(req.body)) {
+      let entries;
+      try {
+        entries = readZip(req.body, {
+          maxEntryBytes: RESTORE_MAX_BYTES,
+          maxTotalBytes: RESTORE_MAX_UNPACKED_BYTES,
+          maxEntries: RESTORE_MAX_ZIP_ENTRIES,
+          filter: (name) => name === "backup.json" || RESTORE_MEDIA_NAME_RE.test(name),
+        });
+      } catch (e) {
+        if (e instanceof ZipError) return res.status(400).json({ error: "bad_zip", message: e.message });
+        throw e;
+      }
+      const json = entries.find((e) => e.name === "backup.json");
+      if (!json) return res.status(400).json({ error: "bad_backup", message: "backup.json not found in zip" });
+      try {
+        backup = JSON.parse(json.data.toString("utf8"));
+      } catch {
+        return res.status(400).json({ error: "bad_backup", message: "backup.json is not valid JSON" });
+      }
+      mediaFiles = entries.filter((e) => RESTORE_MEDIA_NAME_RE.test(e.name));
+    }
+
+    const checked = checkBackup(backup);
+    if (checked.error) return res.status(400).json({ error: checked.error, message: checked.message });
+
+    // резервная копия восстанавливается целиком или никак
+    const recipes = [];
+    const errors = [];
+    checked.recipes.forEach((item, index) => {
+      const id = item && typeof item === "object" && item.id != null ? String(item.id) : "";
+      if (!id) {
+        errors.push({ index, id: null, details: [{ path: "id", code: "required", message: "id is required" }] });
+        return;
+      }
+      const { value, errors: details } = validateRecipe({ ...item, id });
+      if (details.length) errors.push({ index, id, details });
+      else recipes.push(value);
+    });
+    if (errors.length) return res.status(422).json({ error: "invalid_recipe", errors });
+    if (new Set(recipes.map((r) => r.id)).size !== recipes.length) {
+      return res.status(422).json({ error: "duplicate_ids" });
+    }
+
+    const client = await pool.connect();
+    // файлы, записанные в хранилище этим запросом: при откате их надо убрать
+    const written = [];
+    try {
+      await client.query("begin");
+
+      // картинки из архива: у владельца появляются под новыми id, ссылки в рецептах переписываем
+      const mediaMap = new Map();
+      if (mediaFiles.length) {
+        await client.query(`select pg_advisory_xact_lock(hashtext('media:' || $1))`, [owner]);
+        const { rows } = await client.query(
+          `select coalesce(sum(size), 0)::bigint as used from media where owner=$1`,
+          [owner]
+        );
+        let used = Number(rows[0].used);
+        for (const f of mediaFiles) {
+          if (f.data.length > MEDIA_MAX_BYTES) continue;
+          const saved = await storeMedia(client, {
+            owner,
+            buffer: f.data,
+            maxNewBytes: MEDIA_QUOTA_BYTES - used,
+            written,
+          });
+          if (saved.error === "quota_exceeded") {
+            await client.query("rollback");
+            await discardWrittenMedia(client, written);
+            return res.status(413).json({ error: "quota_exceeded", used, quota: MEDIA_QUOTA_BYTES });
+          }
+          if (saved.error) continue;
+          if (!saved.existed) used += f.data.length;
+          mediaMap.set(f.name.slice("media/".length).replace(/\.\w+$/, ""), `${MEDIA_REF_PREFIX}${saved.id}`);
+        }
+      }
+      const remap = (ref) => mediaMap.get(parseMediaRef(ref)) || ref;
+      for (const r of recipes) {
+        if (r.cover) r.cover = remap(r.cover);
+        r.stepPhotos = r.stepPhotos.map((p) => ({ ...p, media: remap(p.media) }));
+      }
+
+      const { rows: current } = await client.query(
+        `select id, data from local_recipes where owner=$1`,
+        [owner]
+      );
+      const currentById = new Map(current.map((r) => [r.id, r.data]));
+
+      let toWrite = recipes;
+      let skipped = 0;
+      if (mode === "merge") {
+        toWrite = recipes.filter((r) => {
+          const cur = currentById.get(r.id);
+          return !cur || recipeUpdatedMs(r) > recipeUpdatedMs(cur);
+        });
+        skipped = recipes.length - toWrite.length;
+      }
+
+      let deleted = 0;
+      if (mode === "replace") {
+        const del = await client.query(
+          `delete from local_recipes where owner=$1 and not (id = any($2::text[]))`,
+          [owner, recipes.map((r) => r.id)]
+        );
+        deleted = del.rowCount;
+      }
+
+      if (toWrite.length) {
+        await client.query(
+          `
+          with src as (
+            select (x->>'id')::text as id, x as data
+            from jsonb_array_elements($1::jsonb) as x
+          )
+          insert into local_recipes (owner, id, data)
+          select $2, id, data from src
+          on conflict (owner, id) do update set data = excluded.data, updated_at = now()
+          `,
+          [JSON.stringify(toWrite), owner]
+        );
+      }
+
+      await client.query("commit");
+      const created = toWrite.filter((r) => !currentById.has(r.id)).length;
+      res.json({
+        ok: true,
+        mode,
+        version: checked.version,
+        created,
+        updated: toWrite.length - created,
+        skipped,
+        deleted,
+        media: mediaMap.size,
+      });
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      await discardWrittenMedia(client, written);
+      console.error("POST /local/recipes/restore error:", e);
+      res.status(500).json({ error: "internal" });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// один; ?servings=N&units=metric|imperial — как у глобальных
 app.get("/local/recipes/:id", optionalAuth, async (req, res) => {
   const owner = getOwner(req);
   if (!owner) return res.status(400).json({ error: "owner required" });
 
+  const { scale, error } = parseScaleQuery(req.query);
+  if (error) return res.status(400).json({ error: "bad_query", details: error });
+
   const { rows } = await pool.query(
     "select id, data from local_recipes where owner=$1 and id=$2",
     [owner, req.params.id]
   );
   if (!rows.length) return res.status(404).json({ error: "not found" });
-  res.json({ ...rows[0].data, id: rows[0].id });
+  res.json(withScaledIngredients({ ...rows[0].data, id: rows[0].id }, scale));
 });
 
 // upsert
@@ -722,16 +2148,35 @@ app.put("/local/recipes/:id", optionalAuth, async (req, res) => {
   if (!recipe || typeof recipe !== "object") {
     return res.status(400).json({ error: "body.recipe required" });
   }
-  const data = { ...recipe, id: req.params.id };
+  const { value: data, errors } = validateRecipe({ ...recipe, id: req.params.id });
+  if (errors.length) return sendInvalidRecipe(res, errors);
 
-  await pool.query(
+  // необязательная оптимистичная блокировка: body.baseVersion — версия, которую правил клиент
+  const baseVersion = req.body?.baseVersion;
+  if (baseVersion != null && (!Number.isInteger(baseVersion) || baseVersion < 0)) {
+    return res.status(400).json({ error: "baseVersion must be an integer >= 0" });
+  }
+
+  const { rows } = await pool.query(
     `insert into local_recipes (owner, id, data) values ($1,$2,$3)
      on conflict (owner, id)
-     do update set data=excluded.data, updated_at=now()`,
-    [owner, req.params.id, data]
+     do update set data=excluded.data, updated_at=now()
+     where $4::int is null or local_recipes.version = $4
+     returning version`,
+    [owner, req.params.id, data, baseVersion ?? null]
   );
+  if (!rows.length) {
+    const { rows: cur } = await pool.query(
+      "select version, data from local_recipes where owner=$1 and id=$2",
+      [owner, req.params.id]
+    );
+    return res.status(409).json({
+      error: "conflict",
+      server: cur[0] ? { version: cur[0].version, data: { ...cur[0].data, id: req.params.id } } : null,
+    });
+  }
 
-  res.json({ ok: true });
+  res.json({ ok: true, version: rows[0].version });
 });
 
 // удалить локальный рецепт
@@ -747,12 +2192,27 @@ app.delete("/local/recipes/:id", optionalAuth, async (req, res) => {
 });
 
 // массовая загрузка локальных рецептов
-app.post("/local/recipes/bulk", optionalAuth, async (req, res) => {
+app.post("/local/recipes/bulk", optionalAuth, limits.localBulk, async (req, res) => {
   const owner = getOwner(req);
   if (!owner) return res.status(400).json({ error: "owner required" });
 
   const arr = Array.isArray(req.body?.recipes) ? req.body.recipes : [];
-  if (!arr.length) return res.json({ ok: true, count: 0 });
+  if (!arr.length) return res.json({ ok: true, count: 0, errors: [] });
+
+  // невалидные элементы не сохраняем, а возвращаем поштучно
+  const valid = [];
+  const errors = [];
+  arr.forEach((item, index) => {
+    const id = item && typeof item === "object" && item.id != null ? String(item.id) : "";
+    if (!id) {
+      errors.push({ index, id: null, details: [{ path: "id", code: "required", message: "id is required" }] });
+      return;
+    }
+    const { value, errors: details } = validateRecipe({ ...item, id });
+    if (details.length) errors.push({ index, id, details });
+    else valid.push(value);
+  });
+  if (!valid.length) return res.status(422).json({ error: "invalid_recipe", count: 0, errors });
 
   const client = await pool.connect();
   try {
@@ -769,11 +2229,11 @@ app.post("/local/recipes/bulk", optionalAuth, async (req, res) => {
       select $2, id, data from src
       on conflict (owner, id) do update set data = excluded.data
       `,
-      [JSON.stringify(arr), owner]
+      [JSON.stringify(valid), owner]
     );
 
     await client.query("commit");
-    res.json({ ok: true, count: arr.length });
+    res.json({ ok: true, count: valid.length, errors });
   } catch (e) {
     await client.query("rollback");
     console.error(e);
@@ -784,12 +2244,17 @@ app.post("/local/recipes/bulk", optionalAuth, async (req, res) => {
 });
 
 // миграция владельца (требует Bearer JWT)
+// { from, fromToken } — fromToken (или X-Owner-Token) доказывает, что from — наш
 app.post("/local/recipes/migrate", requireAuth, async (req, res) => {
   const to = `tg:${req.user.tg_id}`;
   const from = String(req.body?.from || "").trim();
   if (!from || from === to) {
     return res.status(400).json({ error: "bad_params" });
-    }
+  }
+  const proven = verifyOwnerToken(req.body?.fromToken || req.header("X-Owner-Token"));
+  if (proven !== from) {
+    return res.status(403).json({ error: "owner_forbidden" });
+  }
   const client = await pool.connect();
   try {
     await client.query("begin");
@@ -804,7 +2269,47 @@ app.post("/local/recipes/migrate", requireAuth, async (req, res) => {
       `,
       [from, to]
     );
+    // коллекции, выданные доступы, план питания и список покупок переезжают вместе с рецептами
+    // (иначе удаление ниже их сотрёт, а список покупок остался бы у старого владельца)
+    await client.query(`update collections set owner=$2 where owner=$1`, [from, to]);
+    await client.query(`update collection_items set owner=$2 where owner=$1`, [from, to]);
+    // тот же рецепт тому же человеку уже выдан и от to (одно устройство синкало под обоими) —
+    // остаётся выдача to, иначе update упёрся бы в unique (owner, recipe_id, tg_id)
+    await client.query(
+      `delete from recipe_grants g
+        where g.owner=$1
+          and exists (select 1 from recipe_grants t
+                       where t.owner=$2 and t.recipe_id=g.recipe_id and t.tg_id=g.tg_id)`,
+      [from, to]
+    );
+    await client.query(
+      `update recipe_grants set owner=$2 where owner=$1 and tg_id <> $3`,
+      [from, to, String(req.user.tg_id)]
+    );
+    await client.query(`update recipe_share_links set owner=$2 where owner=$1`, [from, to]);
+    await client.query(`update meal_plan_entries set owner=$2 where owner=$1`, [from, to]);
+    await moveShoppingItems(client, from, to);
+
+    // картинки — тоже: на них ссылаются переехавшие рецепты, а чистка анонимов их бы удалила.
+    // Квота — как при загрузке, под замками обоих владельцев (в одном порядке — без дедлока).
+    for (const owner of [from, to].sort()) {
+      await client.query(`select pg_advisory_xact_lock(hashtext('media:' || $1))`, [owner]);
+    }
+    const { rows: usage } = await client.query(
+      `select coalesce(sum(size) filter (where owner=$1), 0)::bigint as moving,
+              coalesce(sum(size) filter (where owner=$2), 0)::bigint as used
+         from media where owner in ($1, $2)`,
+      [from, to]
+    );
+    const used = Number(usage[0].used) + Number(usage[0].moving);
+    if (used > MEDIA_QUOTA_BYTES) {
+      await client.query("rollback");
+      return res.status(413).json({ error: "quota_exceeded", used, quota: MEDIA_QUOTA_BYTES });
+    }
+    await client.query(`update media set owner=$2 where owner=$1`, [from, to]);
+
     await client.query(`delete from local_recipes where owner=$1`, [from]);
+    await client.query(`delete from anon_owners where id=$1`, [from]);
     await client.query("commit");
     return res.json({ ok: true, from, to });
   } catch (e) {
@@ -823,34 +2328,266 @@ app.post("/local/recipes/migrate", requireAuth, async (req, res) => {
 
 
 
-// ===== SYNC (двусторонний) ============================================
-app.post("/local/recipes/sync", optionalAuth, async (req, res) => {
-  try {
+// ===== ИМПОРТ (schema.org JSON-LD / микроразметка / текст) ==========
+// Тело: сырой HTML/текст (Content-Type: text/html | text/plain)
+//   или JSON { html | text, save?: true, id? }.
+// По умолчанию только превью: { preview: true, source, warnings, recipe, errors }.
+// save: true (или ?save=1) — сразу сохранить как новый локальный рецепт.
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || "2mb";
+
+app.post(
+  "/local/recipes/import",
+  optionalAuth,
+  limits.importRecipes,
+  express.text({ type: ["text/html", "text/plain", "application/xhtml+xml"], limit: IMPORT_MAX_BYTES }),
+  async (req, res) => {
+    const body = req.body;
+    const input = typeof body === "string" ? body : body?.html ?? body?.text;
+    if (typeof input !== "string" || !input.trim()) {
+      return res.status(400).json({ error: "html or text required" });
+    }
+
+    const parsed = importRecipe(input);
+    if (!parsed) return res.status(422).json({ error: "not_recognized" });
+
+    const id = typeof body?.id === "string" && body.id.trim() ? body.id.trim() : crypto.randomUUID();
+    const now = Date.now();
+    const { value, errors } = validateRecipe({
+      ...parsed.draft,
+      id,
+      favorite: false,
+      done: false,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    const save = body?.save === true || req.query.save === "1";
+    if (!save) {
+      return res.json({
+        ok: true,
+        preview: true,
+        source: parsed.source,
+        warnings: parsed.warnings,
+        recipe: value,
+        errors,
+      });
+    }
+
     const owner = getOwner(req);
     if (!owner) return res.status(400).json({ error: "owner required" });
+    if (errors.length) return sendInvalidRecipe(res, errors);
+    try {
+      const { rows } = await pool.query(
+        `insert into local_recipes (owner, id, data) values ($1,$2,$3)
+         on conflict (owner, id) do nothing
+         returning version`,
+        [owner, id, value]
+      );
+      if (!rows.length) return res.status(409).json({ error: "exists", id });
+      res.status(201).json({
+        ok: true,
+        saved: true,
+        id,
+        version: rows[0].version,
+        source: parsed.source,
+        warnings: parsed.warnings,
+        recipe: value,
+      });
+    } catch (e) {
+      console.error("POST /local/recipes/import error:", e);
+      res.status(500).json({ error: "internal" });
+    }
+  }
+);
 
-    const payload = req.body || {};
-    const clientItems = Array.isArray(payload.client) ? payload.client : [];
+// ===== SYNC (инкрементальный) ========================================
+// Протокол:
+//   POST /local/recipes/sync
+//   { since: "<cursor>", changes: [{ id, baseVersion, data } | { id, baseVersion, deleted: true }] }
+// Каждая запись имеет version (растёт на каждое изменение) и change_seq (глобальный
+// счётчик изменений). Удаления остаются надгробиями (local_recipe_tombstones),
+// поэтому доходят до других устройств.
+//   - изменение применяется, только если baseVersion == текущей версии на сервере
+//     (для нового рецепта baseVersion = 0);
+//   - иначе — conflict с серверной версией, клиент решает сам и шлёт снова
+//     с baseVersion = server.version;
+//   - в ответе changes — всё, что изменилось после since, и новый cursor.
+// Старый формат { client: [...] } пока обслуживает legacySync ниже.
+
+const SYNC_MAX_CHANGES = 500;
+const SYNC_PULL_LIMIT = 1000;
+
+function parseSyncCursor(v) {
+  if (v == null || v === "") return 0;
+  const s = String(v);
+  return /^\d{1,18}$/.test(s) ? s : null;
+}
 
-    // стянем все рецепты владельца
-    const { rows } = await pool.query(
-      `select id, data, extract(epoch from updated_at)*1000 as updated_ms
-         from local_recipes
-        where owner=$1`,
-      [owner]
-    );
+function sameJson(a, b) {
+  return JSON.stringify(diffJson(a, b)) === "[]";
+}
 
-    const serverMap = new Map(
-      rows.map(r => [r.id, { id: r.id, data: r.data, updated_ms: Number(r.updated_ms) }])
-    );
+app.post("/local/recipes/sync", optionalAuth, limits.localSync, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
 
-    // индекс клиента
-    const clientMap = new Map(
-      clientItems.map(c => [
-        String(c.id),
-        {
-          id: String(c.id),
-          // клиент может прислать updatedAt в дата/числе/строке
+  const payload = req.body || {};
+  if (Array.isArray(payload.client)) return legacySync(req, res, owner);
+
+  const since = parseSyncCursor(payload.since);
+  if (since === null) return res.status(400).json({ error: "bad_cursor" });
+  const changes = Array.isArray(payload.changes) ? payload.changes : [];
+  if (changes.length > SYNC_MAX_CHANGES) {
+    return res.status(413).json({ error: "too_many_changes", max: SYNC_MAX_CHANGES });
+  }
+
+  const applied = [];
+  const conflicts = [];
+  const rejected = [];
+
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    // те же замки берут триггеры local_recipes: пока мы читаем, чужие записи
+    // этого владельца не могут закоммитить change_seq меньше нашего курсора
+    await client.query(`select pg_advisory_xact_lock(hashtext('local_recipes:' || $1))`, [owner]);
+
+    for (const [index, ch] of changes.entries()) {
+      const id = ch && ch.id != null ? String(ch.id) : "";
+      if (!id) {
+        rejected.push({ index, id: null, details: [{ path: "id", code: "required", message: "id is required" }] });
+        continue;
+      }
+      const baseVersion = ch.baseVersion == null ? 0 : Number(ch.baseVersion);
+      if (!Number.isInteger(baseVersion) || baseVersion < 0) {
+        rejected.push({ index, id, details: [{ path: "baseVersion", code: "type", message: "baseVersion must be an integer >= 0" }] });
+        continue;
+      }
+      const deleted = ch.deleted === true;
+      let value = null;
+      if (!deleted) {
+        const v = validateRecipe({ ...(ch.data || {}), id });
+        if (v.errors.length) {
+          rejected.push({ index, id, details: v.errors });
+          continue;
+        }
+        value = v.value;
+      }
+
+      const { rows: cur } = await client.query(
+        `select version, data, updated_at from local_recipes where owner=$1 and id=$2 for update`,
+        [owner, id]
+      );
+      const { rows: tomb } = cur.length
+        ? { rows: [] }
+        : await client.query(
+            `select version, deleted_at from local_recipe_tombstones where owner=$1 and id=$2`,
+            [owner, id]
+          );
+      const server = cur[0]
+        ? { version: cur[0].version, deleted: false, data: { ...cur[0].data, id }, updatedAt: cur[0].updated_at }
+        : tomb[0]
+          ? { version: tomb[0].version, deleted: true, updatedAt: tomb[0].deleted_at }
+          : { version: 0, deleted: true };
+
+      // повтор уже применённого изменения — не конфликт
+      const alreadyThere = deleted ? server.deleted : !server.deleted && sameJson(server.data, value);
+      if (alreadyThere) {
+        applied.push({ id, version: server.version, deleted: server.deleted });
+        continue;
+      }
+      if (baseVersion !== server.version) {
+        conflicts.push({ id, baseVersion, server });
+        continue;
+      }
+
+      if (deleted) {
+        await client.query(`delete from local_recipes where owner=$1 and id=$2`, [owner, id]);
+        const { rows } = await client.query(
+          `select version from local_recipe_tombstones where owner=$1 and id=$2`,
+          [owner, id]
+        );
+        applied.push({ id, version: rows[0]?.version ?? server.version, deleted: true });
+      } else {
+        const { rows } = await client.query(
+          `insert into local_recipes (owner, id, data) values ($1,$2,$3)
+           on conflict (owner, id)
+           do update set data=excluded.data, updated_at=now()
+           returning version`,
+          [owner, id, value]
+        );
+        applied.push({ id, version: rows[0].version, deleted: false });
+      }
+    }
+
+    // всё, что изменилось после since (включая надгробия)
+    const { rows: pulled } = await client.query(
+      `select * from (
+         select id, version, change_seq, data, updated_at, false as deleted
+           from local_recipes where owner=$1 and change_seq > $2
+         union all
+         select id, version, change_seq, null, deleted_at, true
+           from local_recipe_tombstones where owner=$1 and change_seq > $2
+       ) x
+       order by change_seq
+       limit $3`,
+      [owner, since, SYNC_PULL_LIMIT + 1]
+    );
+    const hasMore = pulled.length > SYNC_PULL_LIMIT;
+    if (hasMore) pulled.length = SYNC_PULL_LIMIT;
+
+    let cursor = String(since);
+    if (pulled.length) {
+      cursor = String(pulled[pulled.length - 1].change_seq);
+    }
+
+    await client.query("commit");
+
+    // то, что клиент только что прислал сам, обратно не гоняем (версии — в applied)
+    const appliedNow = new Map(applied.map((a) => [a.id, a.version]));
+    const out = pulled
+      .filter((r) => appliedNow.get(r.id) !== r.version)
+      .map((r) =>
+        r.deleted
+          ? { id: r.id, version: r.version, deleted: true, updatedAt: r.updated_at }
+          : { id: r.id, version: r.version, updatedAt: r.updated_at, data: { ...r.data, id: r.id } }
+      );
+
+    res.json({ ok: true, cursor, hasMore, changes: out, applied, conflicts, rejected });
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    console.error("/local/recipes/sync error:", e);
+    res.status(500).json({ error: "internal" });
+  } finally {
+    client.release();
+  }
+});
+
+// ===== SYNC (старый, по timestamp) — для клиентов со старым форматом { client: [...] }
+async function legacySync(req, res, owner) {
+  try {
+    const payload = req.body || {};
+    const clientItems = Array.isArray(payload.client) ? payload.client : [];
+
+    // стянем все рецепты владельца
+    const { rows } = await pool.query(
+      `select id, data, extract(epoch from updated_at)*1000 as updated_ms
+         from local_recipes
+        where owner=$1`,
+      [owner]
+    );
+
+    const serverMap = new Map(
+      rows.map(r => [r.id, { id: r.id, data: r.data, updated_ms: Number(r.updated_ms) }])
+    );
+
+    // индекс клиента
+    const clientMap = new Map(
+      clientItems.map(c => [
+        String(c.id),
+        {
+          id: String(c.id),
+          // клиент может прислать updatedAt в дата/числе/строке
           updated_ms: Number(
             c.updated_ms ??
             c.updatedAt ??
@@ -863,13 +2600,16 @@ app.post("/local/recipes/sync", optionalAuth, async (req, res) => {
       ])
     );
 
-    // 1) сервер <- клиент (push новее)
+    // 1) сервер <- клиент (push новее); невалидные — в rejected, не пишем
     const clientPush = [];
+    const rejected = [];
     for (const [id, c] of clientMap) {
       const s = serverMap.get(id);
       // если клиент думает, что у него свежая версия и дал data — апсертим
       if (c.data && (!s || c.updated_ms > (s.updated_ms || 0))) {
-        clientPush.push({ id, data: c.data });
+        const { value, errors } = validateRecipe({ ...c.data, id });
+        if (errors.length) rejected.push({ id, details: errors });
+        else clientPush.push({ id, data: value });
       }
     }
 
@@ -918,304 +2658,3904 @@ app.post("/local/recipes/sync", optionalAuth, async (req, res) => {
       }
     }
 
-    // 3) удалить на клиенте то, чего больше нет на сервере (клиент прислал, а на сервере нет)
-    const remove = [];
-    for (const [id] of clientMap) {
-      if (!serverNow.has(id)) remove.push(id);
+    // 3) удалить на клиенте только то, что на сервере действительно удалили (есть надгробие)
+    const missing = [...clientMap.keys()].filter((id) => !serverNow.has(id));
+    const { rows: tombs } = missing.length
+      ? await pool.query(
+          `select id from local_recipe_tombstones where owner=$1 and id = any($2::text[])`,
+          [owner, missing]
+        )
+      : { rows: [] };
+    const remove = tombs.map((t) => t.id);
+
+    res.json({ ok: true, pull, remove, rejected });
+  } catch (e) {
+    console.error("/local/recipes/sync (legacy) error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+}
+
+
+
+
+// =====================================================================
+// ========================= ИСТОРИЯ ВЕРСИЙ ============================
+// =====================================================================
+// Версии пишет триггер record_recipe_version (любой путь: HTTP, bulk, sync, бот),
+// здесь только чтение, дифф и восстановление.
+// scope: "local" (owner = владелец) | "global" (owner = '')
+
+async function listRecipeVersions(db, scope, owner, id) {
+  const { rows } = await db.query(
+    `select version, created_at, data->>'title' as title
+       from recipe_versions
+      where scope=$1 and owner=$2 and recipe_id=$3
+      order by version desc`,
+    [scope, owner, id]
+  );
+  return rows.map((r) => ({ version: r.version, createdAt: r.created_at, title: r.title }));
+}
+
+// version = null -> последняя
+async function getRecipeVersion(db, scope, owner, id, version = null) {
+  const { rows } = await db.query(
+    `select version, created_at, data
+       from recipe_versions
+      where scope=$1 and owner=$2 and recipe_id=$3 and ($4::int is null or version=$4)
+      order by version desc
+      limit 1`,
+    [scope, owner, id, version]
+  );
+  return rows[0] || null;
+}
+
+// пофилдовый дифф двух JSON: [{ path, op: added|removed|changed, from?, to? }]
+function diffJson(a, b, path = "", out = []) {
+  const isObj = (x) => x && typeof x === "object" && !Array.isArray(x);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      const p = `${path}[${i}]`;
+      if (i >= a.length) out.push({ path: p, op: "added", to: b[i] });
+      else if (i >= b.length) out.push({ path: p, op: "removed", from: a[i] });
+      else diffJson(a[i], b[i], p, out);
+    }
+  } else if (isObj(a) && isObj(b)) {
+    const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+    for (const k of keys) {
+      const p = path ? `${path}.${k}` : k;
+      if (!(k in a)) out.push({ path: p, op: "added", to: b[k] });
+      else if (!(k in b)) out.push({ path: p, op: "removed", from: a[k] });
+      else diffJson(a[k], b[k], p, out);
     }
+  } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+    out.push({ path, op: "changed", from: a, to: b });
+  }
+  return out;
+}
+
+function parseVersionParam(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// общий обработчик диффа: ?from=N&to=M (to по умолчанию — последняя версия)
+async function sendRecipeDiff(req, res, scope, owner) {
+  const from = parseVersionParam(req.query.from);
+  const to = req.query.to != null ? parseVersionParam(req.query.to) : null;
+  if (!from || (req.query.to != null && !to)) {
+    return res.status(400).json({ error: "bad_query", details: "from (and optional to) must be version numbers" });
+  }
+  const [a, b] = await Promise.all([
+    getRecipeVersion(pool, scope, owner, req.params.id, from),
+    getRecipeVersion(pool, scope, owner, req.params.id, to),
+  ]);
+  if (!a || !b) return res.status(404).json({ error: "not found" });
+  res.json({ from: a.version, to: b.version, changes: diffJson(a.data, b.data) });
+}
 
-    res.json({ ok: true, pull, remove });
+// ----- локальные -----
+app.get("/local/recipes/:id/versions", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    res.json({ versions: await listRecipeVersions(pool, "local", owner, req.params.id) });
   } catch (e) {
-    console.error("/local/recipes/sync error:", e);
+    console.error("GET /local/recipes/:id/versions error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.get("/local/recipes/:id/versions/:version", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const version = parseVersionParam(req.params.version);
+  if (!version) return res.status(404).json({ error: "not found" });
+  try {
+    const v = await getRecipeVersion(pool, "local", owner, req.params.id, version);
+    if (!v) return res.status(404).json({ error: "not found" });
+    res.json({ version: v.version, createdAt: v.created_at, data: { ...v.data, id: req.params.id } });
+  } catch (e) {
+    console.error("GET /local/recipes/:id/versions/:version error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.get("/local/recipes/:id/diff", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    await sendRecipeDiff(req, res, "local", owner);
+  } catch (e) {
+    console.error("GET /local/recipes/:id/diff error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// восстановить = записать старую data как новую версию (работает и для удалённых)
+app.post("/local/recipes/:id/versions/:version/restore", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const version = parseVersionParam(req.params.version);
+  if (!version) return res.status(404).json({ error: "not found" });
+  try {
+    const v = await getRecipeVersion(pool, "local", owner, req.params.id, version);
+    if (!v) return res.status(404).json({ error: "not found" });
+
+    const { value, errors } = validateRecipe({ ...v.data, id: req.params.id });
+    if (errors.length) return sendInvalidRecipe(res, errors);
+
+    const { rows } = await pool.query(
+      `insert into local_recipes (owner, id, data) values ($1,$2,$3)
+       on conflict (owner, id)
+       do update set data=excluded.data, updated_at=now()
+       returning version`,
+      [owner, req.params.id, value]
+    );
+    // version — как у остальных записей (для baseVersion), revision — номер в истории
+    const latest = await getRecipeVersion(pool, "local", owner, req.params.id);
+    res.json({ ok: true, restoredFrom: version, version: rows[0].version, revision: latest?.version ?? null });
+  } catch (e) {
+    console.error("POST /local/recipes/:id/versions/:version/restore error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// ----- глобальные: смотреть может любой, восстанавливать — автор/админ -----
+app.get("/recipes/:id/versions", async (req, res) => {
+  try {
+    res.json({ versions: await listRecipeVersions(pool, "global", "", req.params.id) });
+  } catch (e) {
+    console.error("GET /recipes/:id/versions error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.get("/recipes/:id/versions/:version", async (req, res) => {
+  const version = parseVersionParam(req.params.version);
+  if (!version) return res.status(404).json({ error: "not found" });
+  try {
+    const v = await getRecipeVersion(pool, "global", "", req.params.id, version);
+    if (!v) return res.status(404).json({ error: "not found" });
+    res.json({ version: v.version, createdAt: v.created_at, data: { ...v.data, id: req.params.id } });
+  } catch (e) {
+    console.error("GET /recipes/:id/versions/:version error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.get("/recipes/:id/diff", async (req, res) => {
+  try {
+    await sendRecipeDiff(req, res, "global", "");
+  } catch (e) {
+    console.error("GET /recipes/:id/diff error:", e);
     res.status(500).json({ error: "internal" });
   }
 });
 
+app.post("/recipes/:id/versions/:version/restore", requireAuth, async (req, res) => {
+  const version = parseVersionParam(req.params.version);
+  if (!version) return res.status(404).json({ error: "not found" });
+  try {
+    const v = await getRecipeVersion(pool, "global", "", req.params.id, version);
+    if (!v) return res.status(404).json({ error: "not found" });
+
+    // история переживает удалённый рецепт; восстановление из неё сделало бы
+    // восстановившего автором чужого рецепта — удалённые возвращает только админ
+    const isAdmin = isAdminTgId(req.user.tg_id);
+    if (!isAdmin) {
+      const { rows } = await pool.query(`select 1 from recipes where id = $1`, [req.params.id]);
+      if (!rows.length) return res.status(410).json({ error: "recipe_deleted" });
+    }
+
+    const { value, errors } = validateRecipe({ ...v.data, id: req.params.id });
+    if (errors.length) return sendInvalidRecipe(res, errors);
 
+    const result = await upsertGlobalRecipe(pool, {
+      id: req.params.id,
+      data: value,
+      author: `tg:${req.user.tg_id}`,
+      isAdmin,
+    });
+    if (result === "forbidden") return res.status(403).json({ error: "forbidden" });
 
+    const latest = await getRecipeVersion(pool, "global", "", req.params.id);
+    res.json({ ok: true, restoredFrom: version, revision: latest?.version ?? null });
+  } catch (e) {
+    console.error("POST /recipes/:id/versions/:version/restore error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
 
 // =====================================================================
-// ========================== ЗАКАЗЫ (Telegram) =========================
+// ========================= СПИСОК ПОКУПОК ============================
 // =====================================================================
+// Один список на владельца. Одинаковые ингредиенты (по названию и
+// совместимой единице: г/кг, мл/л/ложки...) складываются в одну позицию.
+
+const SHOPPING_MAX_ITEMS = 500;
+
+function shoppingKey(name, unit) {
+  const u = UNITS_BY_ID[unit];
+  const family = u && (u.dim === "mass" || u.dim === "volume") ? u.dim : unit || "";
+  return `${String(name).toLowerCase().replace(/\s+/g, " ").trim()}|${family}`;
+}
+
+// b (в единице bUnit) прибавить к a (в единице aUnit); единицы совместимы по shoppingKey
+function addQty(a, aUnit, b, bUnit) {
+  if (a == null || b == null) return a ?? b;
+  if (aUnit === bUnit || !UNITS_BY_ID[aUnit] || !UNITS_BY_ID[bUnit]) return a + b;
+  return a + (b * UNITS_BY_ID[bUnit].factor) / UNITS_BY_ID[aUnit].factor;
+}
 
-app.post("/orders", async (req, res) => {
+function shoppingRowToJson(r) {
+  // 1400 г -> 1,4 кг; 1000 мл -> 1 л (только внутри метрической системы)
+  let { qty, unit } = r;
+  const u = UNITS_BY_ID[unit];
+  if (qty != null && u && u.system === "metric" && ["g", "kg", "ml", "l"].includes(unit)) {
+    unit = pickUnit(qty * u.factor, u.dim, "metric");
+    qty = (qty * u.factor) / UNITS_BY_ID[unit].factor;
+  }
+  qty = qty == null ? null : Math.round(qty * 1000) / 1000;
+  return {
+    id: String(r.id),
+    name: r.name,
+    qty,
+    unit,
+    note: r.note,
+    text: ingredientText({ qty, qtyMax: null, unit, name: r.name, note: r.note }),
+    checked: r.checked,
+    manual: r.manual,
+    recipeIds: r.recipe_ids || [],
+  };
+}
+
+async function getShoppingList(db, owner) {
+  const { rows } = await db.query(
+    `select * from shopping_items where owner=$1 order by checked, position, id`,
+    [owner]
+  );
+  return rows.map(shoppingRowToJson);
+}
+
+// entries: [{ name, qty, unit, note, recipeId, manual }]
+// replace — сначала очистить список (в той же транзакции: упало слияние — список цел)
+// -> { added, merged, skipped } — skipped: новые позиции сверх SHOPPING_MAX_ITEMS
+async function mergeIntoShoppingList(owner, entries, { replace = false } = {}) {
+  const client = await pool.connect();
   try {
-    const BOT = process.env.TELEGRAM_BOT_TOKEN || process.env.TG_BOT_TOKEN;
-    const CHAT = process.env.TELEGRAM_CHAT_ID || process.env.TG_CHAT_ID;
-    if (!BOT || !CHAT) {
-      return res
-        .status(500)
-        .json({ error: "TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID not set" });
+    await client.query("begin");
+    if (replace) await client.query(`delete from shopping_items where owner=$1`, [owner]);
+    const { rows } = await client.query(
+      `select * from shopping_items where owner=$1 and not checked for update`,
+      [owner]
+    );
+    const byKey = new Map(rows.map((r) => [shoppingKey(r.name, r.unit), r]));
+    const { rows: cnt } = await client.query(
+      `select count(*)::int as c, coalesce(max(position), 0) as p from shopping_items where owner=$1`,
+      [owner]
+    );
+    let total = cnt[0].c;
+    let position = cnt[0].p;
+    let added = 0;
+    let merged = 0;
+    let skipped = 0;
+
+    for (const e of entries) {
+      if (!e.name) continue;
+      const key = shoppingKey(e.name, e.unit);
+      const existing = byKey.get(key);
+      if (existing) {
+        existing.qty = addQty(existing.qty, existing.unit, e.qty, e.unit);
+        if (existing.unit == null) existing.unit = e.unit;
+        if (e.recipeId && !existing.recipe_ids.includes(e.recipeId)) existing.recipe_ids.push(e.recipeId);
+        existing.dirty = true;
+        merged++;
+        continue;
+      }
+      if (total >= SHOPPING_MAX_ITEMS) {
+        skipped++;
+        continue;
+      }
+      const { rows: ins } = await client.query(
+        `insert into shopping_items (owner, name, qty, unit, note, manual, recipe_ids, position)
+         values ($1,$2,$3,$4,$5,$6,$7,$8) returning *`,
+        [owner, e.name, e.qty, e.unit, e.note || null, !!e.manual, e.recipeId ? [e.recipeId] : [], ++position]
+      );
+      byKey.set(key, ins[0]);
+      total++;
+      added++;
     }
 
-    const { title } = req.body ?? {};
-    if (!title || typeof title !== "string" || title.trim().length < 2) {
-      return res.status(400).json({ error: "title is required" });
+    for (const r of byKey.values()) {
+      if (!r.dirty) continue;
+      await client.query(
+        `update shopping_items set qty=$2, unit=$3, recipe_ids=$4, updated_at=now() where id=$1`,
+        [r.id, r.qty, r.unit, r.recipe_ids]
+      );
     }
 
-    const text =
-      `📦 НОВЫЙ ЗАКАЗ ИЗ RECIPEPAD!\n\n` +
-      `🍳 Блюдо: ${title}\n` +
-      `⏰ Время: ${new Date().toLocaleString("uk-UA", {
-        timeZone: "Europe/Kyiv",
-      })}\n` +
-      `📱 Отправлено с сайта`;
-
-    const r = await fetch(`https://api.telegram.org/bot${BOT}/sendMessage`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ chat_id: CHAT, text }),
-    });
-    const j = await r.json().catch(async () => ({ raw: await r.text() }));
-    if (!r.ok || j?.ok === false) {
-      console.warn("telegram_failed", { http: r.status, j });
-      return res.status(502).json({ error: "telegram_failed" });
+    await client.query("commit");
+    return { added, merged, skipped };
+  } catch (e) {
+    await client.query("rollback");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// список покупок from переезжает к to (миграция владельца; client — в транзакции).
+// Неотмеченные позиции с тем же названием и единицей складываются, как в
+// mergeIntoShoppingList; остальные переезжают в конец списка to.
+// -> { moved, merged }
+async function moveShoppingItems(client, from, to) {
+  const { rows: target } = await client.query(
+    `select * from shopping_items where owner=$1 and not checked for update`,
+    [to]
+  );
+  const byKey = new Map(target.map((r) => [shoppingKey(r.name, r.unit), r]));
+  const { rows: pos } = await client.query(
+    `select coalesce(max(position), 0) as p from shopping_items where owner=$1`,
+    [to]
+  );
+  let position = pos[0].p;
+  const { rows: source } = await client.query(
+    `select * from shopping_items where owner=$1 order by checked, position, id for update`,
+    [from]
+  );
+  let moved = 0;
+  let merged = 0;
+
+  for (const r of source) {
+    const existing = !r.checked && byKey.get(shoppingKey(r.name, r.unit));
+    if (existing) {
+      existing.qty = addQty(existing.qty, existing.unit, r.qty, r.unit);
+      if (existing.unit == null) existing.unit = r.unit;
+      for (const id of r.recipe_ids || []) if (!existing.recipe_ids.includes(id)) existing.recipe_ids.push(id);
+      existing.dirty = true;
+      await client.query(`delete from shopping_items where id=$1`, [r.id]);
+      merged++;
+      continue;
+    }
+    await client.query(
+      `update shopping_items set owner=$2, position=$3, updated_at=now() where id=$1`,
+      [r.id, to, ++position]
+    );
+    if (!r.checked) byKey.set(shoppingKey(r.name, r.unit), r);
+    moved++;
+  }
+
+  for (const r of byKey.values()) {
+    if (!r.dirty) continue;
+    await client.query(
+      `update shopping_items set qty=$2, unit=$3, recipe_ids=$4, updated_at=now() where id=$1`,
+      [r.id, r.qty, r.unit, r.recipe_ids]
+    );
+  }
+  return { moved, merged };
+}
+
+// ингредиенты локальных рецептов -> позиции для списка
+// servings: { [recipeId]: N } — пересчёт на нужное число порций
+async function shoppingEntriesFromRecipes(db, owner, ids, servings = {}) {
+  const { rows } = await db.query(
+    `select id, data from local_recipes where owner=$1 and id = any($2::text[])`,
+    [owner, ids]
+  );
+  const entries = [];
+  for (const r of rows) {
+    const d = r.data || {};
+    const want = Number(servings?.[r.id]);
+    const factor = Number.isInteger(d.servings) && Number.isInteger(want) && want > 0 ? want / d.servings : 1;
+    const lines =
+      Array.isArray(d.parts) && d.parts.length
+        ? d.parts.flatMap((p) => p.ingredients || [])
+        : d.ingredients || [];
+    for (const line of lines) {
+      const p = scaleIngredient(line, factor);
+      entries.push({ name: p.name, qty: p.qty, unit: p.unit, note: p.note, recipeId: r.id });
     }
-    return res.json({ ok: true });
+  }
+  const found = new Set(rows.map((r) => r.id));
+  return { entries, missing: ids.filter((id) => !found.has(id)) };
+}
+
+app.get("/shopping", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json({ items: await getShoppingList(pool, owner) });
   } catch (e) {
-    console.error("orders handler error", String(e));
-    return res.status(500).json({ error: "internal" });
+    console.error("GET /shopping error:", e);
+    res.status(500).json({ error: "internal" });
   }
 });
 
-// быстрая проверка токена бота
-app.get("/debug/tg", async (_req, res) => {
-  const BOT = process.env.TELEGRAM_BOT_TOKEN || process.env.TG_BOT_TOKEN;
-  if (!BOT) return res.status(500).json({ error: "no BOT token" });
+// собрать список из локальных рецептов: { ids: [...], servings?: { id: N }, replace?: true }
+app.post("/shopping/from-recipes", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+
+  const ids = Array.isArray(req.body?.ids) ? [...new Set(req.body.ids.map(String))].slice(0, 100) : [];
+  if (!ids.length) return res.status(400).json({ error: "body.ids required" });
+
   try {
-    const r = await fetch(`https://api.telegram.org/bot${BOT}/getMe`);
-    const j = await r.json();
-    res.json({ http: r.status, body: j });
+    const { entries, missing } = await shoppingEntriesFromRecipes(pool, owner, ids, req.body?.servings);
+    const { added, merged, skipped } = await mergeIntoShoppingList(owner, entries, {
+      replace: req.body?.replace === true,
+    });
+    res.json({
+      ok: true,
+      added,
+      merged,
+      skipped,
+      maxItems: SHOPPING_MAX_ITEMS,
+      missing,
+      items: await getShoppingList(pool, owner),
+    });
   } catch (e) {
-    res.status(500).json({ error: "fetch_failed", details: String(e) });
+    console.error("POST /shopping/from-recipes error:", e);
+    res.status(500).json({ error: "internal" });
   }
 });
 
+// ручная позиция: { text: "2 л молока" }
+app.post("/shopping/items", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
 
-// =====================================================================
-// =========================== TELEGRAM BOT =============================
-// =====================================================================
-async function startBot() {
-  const BOT = process.env.TELEGRAM_BOT_TOKEN || process.env.TG_BOT_TOKEN;
-  if (!BOT) {
-    console.warn("TELEGRAM_BOT_TOKEN is not set — bot is disabled.");
-    return;
+  const text = typeof req.body?.text === "string" ? cleanText(req.body.text) : "";
+  if (!text || text.length > RECIPE_LIMITS.ingredient) {
+    return res.status(400).json({ error: "body.text required" });
+  }
+  try {
+    const p = parseIngredient(text);
+    const { added, merged } = await mergeIntoShoppingList(owner, [
+      { name: p.name, qty: p.qty, unit: p.unit, note: p.note, manual: true },
+    ]);
+    res.json({ ok: true, added, merged, items: await getShoppingList(pool, owner) });
+  } catch (e) {
+    console.error("POST /shopping/items error:", e);
+    res.status(500).json({ error: "internal" });
   }
+});
 
-  const bot = new Telegraf(BOT);
+// отметить/переименовать: { checked?, name?, note? }
+app.put("/shopping/items/:itemId", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  if (!/^\d+$/.test(req.params.itemId)) return res.status(404).json({ error: "not found" });
 
-  // лог ошибок telegraf-хэндлеров
-  bot.catch((err, ctx) => {
-    console.error("Telegraf error on", ctx?.updateType, err);
-  });
+  const body = req.body || {};
+  if (body.checked != null && typeof body.checked !== "boolean") {
+    return res.status(400).json({ error: "checked must be boolean" });
+  }
+  const name = body.name != null ? cleanText(String(body.name)) : null;
+  if (body.name != null && !name) return res.status(400).json({ error: "name must not be empty" });
+  const note = body.note !== undefined ? (body.note ? cleanText(String(body.note)) : null) : undefined;
 
-  // доступ: разрешаем только если в users.bot_enabled != false
-  bot.use(async (ctx, next) => {
-    try {
-      if (!ctx.from) return; // пропускаем сервисные апдейты
-      const tgId = String(ctx.from.id);
-      const { rows } = await pool.query(
-        `select bot_enabled from users where tg_id=$1`,
-        [tgId]
-      );
-      const allowed = rows.length ? rows[0].bot_enabled !== false : true; // по умолчанию true
-      if (!allowed) {
-        await ctx.reply(
+  try {
+    const { rows } = await pool.query(
+      `update shopping_items
+          set checked = coalesce($3, checked),
+              name = coalesce($4, name),
+              note = case when $5::boolean then $6 else note end,
+              updated_at = now()
+        where owner=$1 and id=$2
+        returning *`,
+      [owner, req.params.itemId, body.checked ?? null, name, note !== undefined, note ?? null]
+    );
+    if (!rows.length) return res.status(404).json({ error: "not found" });
+    res.json({ ok: true, item: shoppingRowToJson(rows[0]) });
+  } catch (e) {
+    console.error("PUT /shopping/items/:itemId error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.delete("/shopping/items/:itemId", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  if (!/^\d+$/.test(req.params.itemId)) return res.status(204).end();
+  try {
+    await pool.query(`delete from shopping_items where owner=$1 and id=$2`, [owner, req.params.itemId]);
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /shopping/items/:itemId error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// очистить список; ?checked=1 — только отмеченные
+app.delete("/shopping", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    const onlyChecked = req.query.checked === "1" || req.query.checked === "true";
+    await pool.query(
+      `delete from shopping_items where owner=$1 and ($2::boolean = false or checked)`,
+      [owner, onlyChecked]
+    );
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /shopping error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+
+// =====================================================================
+// ============================ КОЛЛЕКЦИИ ===============================
+// =====================================================================
+// Именованные подборки локальных рецептов владельца («Завтраки», «На праздник»).
+// Рецепт может быть в нескольких коллекциях; порядок коллекций и рецептов в них —
+// position. isPublic: true открывает коллекцию на чтение всем по GET /public/collections/:id.
+
+const COLLECTIONS_MAX = 100;
+const COLLECTION_ITEMS_MAX = 1000;
+const COLLECTION_LIMITS = { title: 200, description: 2000 };
+
+function collectionToJson(c) {
+  return {
+    id: c.id,
+    title: c.title,
+    description: c.description,
+    cover: c.cover,
+    isPublic: c.is_public,
+    position: c.position,
+    count: c.count ?? undefined,
+    hasRecipe: c.has_recipe ?? undefined,
+    createdAt: c.created_at,
+    updatedAt: c.updated_at,
+  };
+}
+
+// { title?, description?, cover?, isPublic? } -> { value, errors }; partial — для правки
+function validateCollection(input, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  const body = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+
+  if (body.title !== undefined || !partial) {
+    const title = typeof body.title === "string" ? cleanText(body.title) : "";
+    if (!title) errors.push({ path: "title", code: "required", message: "title is required" });
+    else if (title.length > COLLECTION_LIMITS.title) errors.push({ path: "title", code: "too_long", message: `title is longer than ${COLLECTION_LIMITS.title}` });
+    else value.title = title;
+  }
+  if (body.description !== undefined) {
+    const description = body.description == null ? "" : typeof body.description === "string" ? cleanText(body.description) : null;
+    if (description == null) errors.push({ path: "description", code: "type", message: "description must be a string" });
+    else if (description.length > COLLECTION_LIMITS.description) errors.push({ path: "description", code: "too_long", message: `description is longer than ${COLLECTION_LIMITS.description}` });
+    else value.description = description;
+  }
+  if (body.cover !== undefined) {
+    if (body.cover == null || body.cover === "") value.cover = null;
+    else if (typeof body.cover === "string" && (parseMediaRef(body.cover) || /^https?:\/\/\S{1,2000}$/i.test(body.cover))) value.cover = body.cover;
+    else errors.push({ path: "cover", code: "format", message: "cover must be media:<id> or an http(s) URL" });
+  }
+  if (body.isPublic !== undefined) {
+    if (typeof body.isPublic !== "boolean") errors.push({ path: "isPublic", code: "type", message: "isPublic must be a boolean" });
+    else value.isPublic = body.isPublic;
+  }
+  return { value, errors };
+}
+
+// ?recipe=<id> — у каждой коллекции ещё hasRecipe (для «добавить в коллекцию»)
+async function listCollections(db, owner, { recipeId = null } = {}) {
+  const { rows } = await db.query(
+    `select c.*,
+            (select count(*)::int from collection_items i where i.collection_id = c.id) as count
+            ${recipeId ? `, exists (select 1 from collection_items i where i.collection_id = c.id and i.recipe_id = $2) as has_recipe` : ""}
+       from collections c
+      where c.owner = $1
+      order by c.position, c.created_at, c.id`,
+    recipeId ? [owner, recipeId] : [owner]
+  );
+  return rows.map(collectionToJson);
+}
+
+async function loadCollection(db, { id, owner = null }) {
+  const { rows } = await db.query(
+    `select c.*, (select count(*)::int from collection_items i where i.collection_id = c.id) as count
+       from collections c
+      where c.id = $1 and ($2::text is null or c.owner = $2)`,
+    [id, owner]
+  );
+  return rows[0] || null;
+}
+
+async function collectionRecipes(db, collectionId) {
+  const { rows } = await db.query(
+    `select r.id, r.data
+       from collection_items i
+       join local_recipes r on r.owner = i.owner and r.id = i.recipe_id
+      where i.collection_id = $1
+      order by i.position, i.added_at, i.recipe_id`,
+    [collectionId]
+  );
+  return rows.map((r) => ({ ...r.data, id: r.id }));
+}
+
+// рецепты в коллекцию (в конец, уже добавленные не трогаем) -> { added, missing } | { error }
+async function addToCollection(db, owner, collectionId, recipeIds) {
+  const client = await db.connect();
+  try {
+    await client.query("begin");
+    const { rows: col } = await client.query(
+      `select id from collections where id=$1 and owner=$2 for update`,
+      [collectionId, owner]
+    );
+    if (!col.length) {
+      await client.query("rollback");
+      return { error: "not_found" };
+    }
+    const { rows: found } = await client.query(
+      `select id from local_recipes where owner=$1 and id = any($2::text[])`,
+      [owner, recipeIds]
+    );
+    const foundIds = new Set(found.map((r) => r.id));
+    const { rows: cnt } = await client.query(
+      `select count(*)::int as c, coalesce(max(position), 0) as p from collection_items where collection_id=$1`,
+      [collectionId]
+    );
+    const ids = recipeIds.filter((id) => foundIds.has(id));
+    if (cnt[0].c + ids.length > COLLECTION_ITEMS_MAX) {
+      await client.query("rollback");
+      return { error: "too_many", max: COLLECTION_ITEMS_MAX };
+    }
+    const { rowCount } = await client.query(
+      `insert into collection_items (collection_id, owner, recipe_id, position)
+       select $1, $2, x.id, $3 + x.n
+         from unnest($4::text[]) with ordinality as x(id, n)
+       on conflict (collection_id, recipe_id) do nothing`,
+      [collectionId, owner, cnt[0].p, ids]
+    );
+    await client.query(`update collections set updated_at = now() where id=$1`, [collectionId]);
+    await client.query("commit");
+    return { added: rowCount, missing: recipeIds.filter((id) => !foundIds.has(id)) };
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// ids — новый порядок; не упомянутые остаются после них в прежнем порядке
+async function reorderRows(db, { table, keyColumn, scopeColumn, scope, ids }) {
+  await db.query(
+    `with wanted as (
+       select x.id, x.n from unnest($2::text[]) with ordinality as x(id, n)
+     ), ranked as (
+       select t.${keyColumn} as id,
+              row_number() over (
+                order by (w.n is null), w.n, t.position, t.${keyColumn}
+              ) as pos
+         from ${table} t
+         left join wanted w on w.id = t.${keyColumn}
+        where t.${scopeColumn} = $1
+     )
+     update ${table} t set position = ranked.pos
+       from ranked
+      where t.${scopeColumn} = $1 and t.${keyColumn} = ranked.id`,
+    [scope, ids]
+  );
+}
+
+function idList(v, max) {
+  return Array.isArray(v) ? [...new Set(v.map(String))].slice(0, max) : [];
+}
+
+app.get("/collections", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    const recipeId = req.query.recipe ? String(req.query.recipe) : null;
+    res.set("Cache-Control", "no-store");
+    res.json(await listCollections(pool, owner, { recipeId }));
+  } catch (e) {
+    console.error("GET /collections error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// { title, description?, cover?, isPublic?, recipeIds? }
+app.post("/collections", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const { value, errors } = validateCollection(req.body);
+  if (errors.length) return res.status(422).json({ error: "invalid_collection", details: errors });
+
+  try {
+    const { rows: cnt } = await pool.query(
+      `select count(*)::int as c, coalesce(max(position), 0) as p from collections where owner=$1`,
+      [owner]
+    );
+    if (cnt[0].c >= COLLECTIONS_MAX) return res.status(409).json({ error: "too_many", max: COLLECTIONS_MAX });
+
+    const id = crypto.randomBytes(9).toString("base64url");
+    await pool.query(
+      `insert into collections (id, owner, title, description, cover, is_public, position)
+       values ($1,$2,$3,$4,$5,$6,$7)`,
+      [id, owner, value.title, value.description ?? "", value.cover ?? null, value.isPublic ?? false, cnt[0].p + 1]
+    );
+    const recipeIds = idList(req.body?.recipeIds, COLLECTION_ITEMS_MAX);
+    if (recipeIds.length) await addToCollection(pool, owner, id, recipeIds);
+    res.status(201).json(collectionToJson(await loadCollection(pool, { id, owner })));
+  } catch (e) {
+    console.error("POST /collections error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// порядок коллекций: { ids: [...] }
+app.put("/collections/order", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const ids = idList(req.body?.ids, COLLECTIONS_MAX);
+  if (!ids.length) return res.status(400).json({ error: "body.ids required" });
+  try {
+    await reorderRows(pool, { table: "collections", keyColumn: "id", scopeColumn: "owner", scope: owner, ids });
+    res.json(await listCollections(pool, owner));
+  } catch (e) {
+    console.error("PUT /collections/order error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.get("/collections/:id", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    const c = await loadCollection(pool, { id: req.params.id, owner });
+    if (!c) return res.status(404).json({ error: "not found" });
+    res.set("Cache-Control", "no-store");
+    res.json({ ...collectionToJson(c), recipes: await collectionRecipes(pool, c.id) });
+  } catch (e) {
+    console.error("GET /collections/:id error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// правка: { title?, description?, cover?, isPublic? } — только переданные поля
+app.put("/collections/:id", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const { value, errors } = validateCollection(req.body, { partial: true });
+  if (errors.length) return res.status(422).json({ error: "invalid_collection", details: errors });
+
+  try {
+    const { rows } = await pool.query(
+      `update collections
+          set title = coalesce($3, title),
+              description = coalesce($4, description),
+              cover = case when $5::boolean then $6 else cover end,
+              is_public = coalesce($7, is_public)
+        where id=$1 and owner=$2
+        returning id`,
+      [
+        req.params.id,
+        owner,
+        value.title ?? null,
+        value.description ?? null,
+        "cover" in value,
+        value.cover ?? null,
+        value.isPublic ?? null,
+      ]
+    );
+    if (!rows.length) return res.status(404).json({ error: "not found" });
+    res.json(collectionToJson(await loadCollection(pool, { id: req.params.id, owner })));
+  } catch (e) {
+    console.error("PUT /collections/:id error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// рецепты остаются, удаляется только подборка
+app.delete("/collections/:id", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    await pool.query(`delete from collections where id=$1 and owner=$2`, [req.params.id, owner]);
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /collections/:id error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// добавить рецепты: { recipeIds: [...] }
+app.post("/collections/:id/recipes", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const recipeIds = idList(req.body?.recipeIds, COLLECTION_ITEMS_MAX);
+  if (!recipeIds.length) return res.status(400).json({ error: "body.recipeIds required" });
+  try {
+    const result = await addToCollection(pool, owner, req.params.id, recipeIds);
+    if (result.error === "not_found") return res.status(404).json({ error: "not found" });
+    if (result.error) return res.status(409).json(result);
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("POST /collections/:id/recipes error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// порядок рецептов: { recipeIds: [...] }
+app.put("/collections/:id/recipes/order", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const recipeIds = idList(req.body?.recipeIds, COLLECTION_ITEMS_MAX);
+  if (!recipeIds.length) return res.status(400).json({ error: "body.recipeIds required" });
+  try {
+    const c = await loadCollection(pool, { id: req.params.id, owner });
+    if (!c) return res.status(404).json({ error: "not found" });
+    await reorderRows(pool, {
+      table: "collection_items",
+      keyColumn: "recipe_id",
+      scopeColumn: "collection_id",
+      scope: c.id,
+      ids: recipeIds,
+    });
+    res.json({ ok: true, recipeIds: (await collectionRecipes(pool, c.id)).map((r) => r.id) });
+  } catch (e) {
+    console.error("PUT /collections/:id/recipes/order error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.delete("/collections/:id/recipes/:recipeId", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    await pool.query(
+      `delete from collection_items i
+        using collections c
+        where c.id = i.collection_id and c.id=$1 and c.owner=$2 and i.recipe_id=$3`,
+      [req.params.id, owner, req.params.recipeId]
+    );
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /collections/:id/recipes/:recipeId error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// публичная коллекция: только чтение, без владельца
+app.get("/public/collections/:id", async (req, res) => {
+  try {
+    const c = await loadCollection(pool, { id: req.params.id });
+    if (!c || !c.is_public) return res.status(404).json({ error: "not found" });
+    const { position, hasRecipe, ...json } = collectionToJson(c);
+    res.set("Cache-Control", "public, max-age=60");
+    res.json({ ...json, recipes: await collectionRecipes(pool, c.id) });
+  } catch (e) {
+    console.error("GET /public/collections/:id error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// =====================================================================
+// ======================== ДОСТУП К ЧУЖИМ РЕЦЕПТАМ =====================
+// =====================================================================
+// Локальный рецепт можно показать, не выкладывая в глобал:
+//   - выдать доступ tg-пользователю: read (читать) или edit (читать и править);
+//     он видит рецепт в GET /me/shared и в боте (/shared)
+//   - создать ссылку с секретным токеном: GET /shared/:token, только чтение;
+//     ссылку можно отозвать, у неё может быть срок
+// Удалили рецепт — выдачи и ссылки пропадают вместе с ним.
+
+const SHARE_GRANTS_MAX = 50;
+const SHARE_LINKS_MAX = 20;
+const SHARE_ACCESS = ["read", "edit"];
+
+function shareLinkUrl(req, token) {
+  const base = process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || (req ? `${req.protocol}://${req.get("host")}` : "");
+  return `${base.replace(/\/+$/, "")}/shared/${token}`;
+}
+
+async function ownerDisplayName(db, owner) {
+  const tgId = String(owner).match(/^tg:(\d+)$/)?.[1];
+  if (!tgId) return "Пользователь";
+  const { rows } = await db.query(`select first_name, last_name, username from users where tg_id=$1`, [tgId]);
+  return userDisplayName(rows[0]);
+}
+
+async function ownRecipeExists(db, owner, id) {
+  const { rows } = await db.query(`select 1 from local_recipes where owner=$1 and id=$2`, [owner, id]);
+  return rows.length > 0;
+}
+
+function grantToJson(g) {
+  return {
+    id: String(g.id),
+    tgId: g.tg_id,
+    name: g.first_name || g.username ? userDisplayName(g) : null,
+    access: g.access,
+    createdAt: g.created_at,
+  };
+}
+
+function shareLinkToJson(l, req) {
+  return {
+    id: String(l.id),
+    token: l.token,
+    url: shareLinkUrl(req, l.token),
+    createdAt: l.created_at,
+    expiresAt: l.expires_at,
+    lastUsedAt: l.last_used_at,
+  };
+}
+
+// выдачи доступа и живые ссылки на рецепт владельца
+app.get("/local/recipes/:id/shares", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    if (!(await ownRecipeExists(pool, owner, req.params.id))) return res.status(404).json({ error: "not found" });
+    const { rows: grants } = await pool.query(
+      `select g.*, u.first_name, u.last_name, u.username
+         from recipe_grants g left join users u on u.tg_id = g.tg_id
+        where g.owner=$1 and g.recipe_id=$2
+        order by g.created_at`,
+      [owner, req.params.id]
+    );
+    const { rows: links } = await pool.query(
+      `select * from recipe_share_links
+        where owner=$1 and recipe_id=$2 and revoked_at is null
+          and (expires_at is null or expires_at > now())
+        order by created_at`,
+      [owner, req.params.id]
+    );
+    res.set("Cache-Control", "no-store");
+    res.json({ grants: grants.map(grantToJson), links: links.map((l) => shareLinkToJson(l, req)) });
+  } catch (e) {
+    console.error("GET /local/recipes/:id/shares error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// выдать доступ: { tgId | username, access: "read" | "edit" }; повторно — поменять access.
+// Только с входом через Telegram (каждая выдача — сообщение от бота получателю).
+// По username ответ одинаковый, есть такой пользователь или нет: 202 { ok: true }.
+app.post("/local/recipes/:id/shares/users", requireAuth, limits.shareGrants, async (req, res) => {
+  const owner = `tg:${req.user.tg_id}`;
+  const access = req.body?.access ?? "read";
+  if (!SHARE_ACCESS.includes(access)) return res.status(400).json({ error: "access must be read|edit" });
+
+  try {
+    if (!(await ownRecipeExists(pool, owner, req.params.id))) return res.status(404).json({ error: "not found" });
+
+    let tgId = req.body?.tgId != null ? String(req.body.tgId).trim() : "";
+    const byUsername = !tgId && typeof req.body?.username === "string";
+    if (byUsername) {
+      const { rows } = await pool.query(`select tg_id from users where lower(username) = lower($1)`, [
+        req.body.username.replace(/^@/, "").trim(),
+      ]);
+      if (!rows.length) return res.status(202).json({ ok: true });
+      tgId = rows[0].tg_id;
+    }
+    if (!/^\d{1,20}$/.test(tgId)) return res.status(400).json({ error: "tgId or username required" });
+    if (owner === `tg:${tgId}`) {
+      return byUsername ? res.status(202).json({ ok: true }) : res.status(400).json({ error: "own_recipe" });
+    }
+
+    const { rows: cnt } = await pool.query(
+      `select count(*)::int as c from recipe_grants where owner=$1 and recipe_id=$2 and tg_id <> $3`,
+      [owner, req.params.id, tgId]
+    );
+    if (cnt[0].c >= SHARE_GRANTS_MAX) return res.status(409).json({ error: "too_many", max: SHARE_GRANTS_MAX });
+
+    const { rows } = await pool.query(
+      `insert into recipe_grants (owner, recipe_id, tg_id, access) values ($1,$2,$3,$4)
+       on conflict (owner, recipe_id, tg_id) do update set access = excluded.access
+       returning *, (xmax = 0) as created`,
+      [owner, req.params.id, tgId, access]
+    );
+    const grant = rows[0];
+    if (grant.created) await notifyRecipeGrant(owner, grant);
+    if (byUsername) return res.status(202).json({ ok: true });
+    res.status(grant.created ? 201 : 200).json(grantToJson(grant));
+  } catch (e) {
+    console.error("POST /local/recipes/:id/shares/users error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.delete("/local/recipes/:id/shares/users/:tgId", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    await pool.query(`delete from recipe_grants where owner=$1 and recipe_id=$2 and tg_id=$3`, [
+      owner,
+      req.params.id,
+      req.params.tgId,
+    ]);
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /local/recipes/:id/shares/users/:tgId error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// новая ссылка: { expiresInDays? }
+app.post("/local/recipes/:id/shares/links", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const days = req.body?.expiresInDays;
+  if (days != null && (!Number.isInteger(days) || days < 1 || days > 365)) {
+    return res.status(400).json({ error: "expiresInDays must be an integer 1..365" });
+  }
+  try {
+    if (!(await ownRecipeExists(pool, owner, req.params.id))) return res.status(404).json({ error: "not found" });
+    const { rows: cnt } = await pool.query(
+      `select count(*)::int as c from recipe_share_links
+        where owner=$1 and recipe_id=$2 and revoked_at is null and (expires_at is null or expires_at > now())`,
+      [owner, req.params.id]
+    );
+    if (cnt[0].c >= SHARE_LINKS_MAX) return res.status(409).json({ error: "too_many", max: SHARE_LINKS_MAX });
+
+    const token = crypto.randomBytes(24).toString("base64url");
+    const { rows } = await pool.query(
+      `insert into recipe_share_links (owner, recipe_id, token, expires_at)
+       values ($1,$2,$3, case when $4::int is null then null else now() + make_interval(days => $4::int) end)
+       returning *`,
+      [owner, req.params.id, token, days ?? null]
+    );
+    res.status(201).json(shareLinkToJson(rows[0], req));
+  } catch (e) {
+    console.error("POST /local/recipes/:id/shares/links error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// отозвать ссылку: по ней сразу станет 404
+app.delete("/local/recipes/:id/shares/links/:linkId", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  if (!/^\d{1,18}$/.test(req.params.linkId)) return res.status(204).end();
+  try {
+    await pool.query(
+      `update recipe_share_links set revoked_at = coalesce(revoked_at, now())
+        where owner=$1 and recipe_id=$2 and id=$3`,
+      [owner, req.params.id, req.params.linkId]
+    );
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /local/recipes/:id/shares/links/:linkId error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// просмотр по ссылке — без входа
+app.get("/shared/:token", async (req, res) => {
+  if (!/^[A-Za-z0-9_-]{20,64}$/.test(req.params.token)) return res.status(404).json({ error: "not found" });
+  try {
+    const { rows } = await pool.query(
+      `update recipe_share_links l set last_used_at = now()
+         from local_recipes r
+        where l.token = $1 and l.revoked_at is null and (l.expires_at is null or l.expires_at > now())
+          and r.owner = l.owner and r.id = l.recipe_id
+        returning r.id, r.data, l.owner`,
+      [req.params.token]
+    );
+    if (!rows.length) return res.status(404).json({ error: "not found" });
+    res.set({ "Cache-Control": "no-store", "X-Robots-Tag": "noindex" });
+    res.json({
+      recipe: { ...rows[0].data, id: rows[0].id },
+      from: { name: await ownerDisplayName(pool, rows[0].owner) },
+      access: "read",
+    });
+  } catch (e) {
+    console.error("GET /shared/:token error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// ----- со мной поделились -----
+async function sharedWithMe(db, tgId) {
+  const { rows } = await db.query(
+    `select g.id, g.owner, g.access, g.created_at, r.id as recipe_id, r.data, r.version,
+            u.first_name, u.last_name, u.username
+       from recipe_grants g
+       join local_recipes r on r.owner = g.owner and r.id = g.recipe_id
+       left join users u on g.owner = 'tg:' || u.tg_id
+      where g.tg_id = $1
+      order by g.created_at desc`,
+    [String(tgId)]
+  );
+  return rows;
+}
+
+function sharedToJson(g) {
+  return {
+    grantId: String(g.id),
+    access: g.access,
+    sharedAt: g.created_at,
+    from: { name: userDisplayName(g) },
+    version: g.version,
+    recipe: { ...g.data, id: g.recipe_id },
+  };
+}
+
+async function loadSharedGrant(db, grantId, tgId) {
+  if (!/^\d{1,18}$/.test(String(grantId))) return null;
+  const rows = (await sharedWithMe(db, tgId)).filter((g) => String(g.id) === String(grantId));
+  return rows[0] || null;
+}
+
+async function notifyRecipeGrant(owner, grant) {
+  const { botEnabled } = await botCanWrite(grant.tg_id);
+  if (!botEnabled) return;
+  const { rows } = await pool.query(`select data from local_recipes where owner=$1 and id=$2`, [owner, grant.recipe_id]);
+  const title = rows[0]?.data?.title || grant.recipe_id;
+  const from = await ownerDisplayName(pool, owner);
+  await tgApi("sendMessage", {
+    chat_id: grant.tg_id,
+    text: `🤝 ${from} делится с вами рецептом «${title}»${grant.access === "edit" ? " (можно править)" : ""}.`,
+    reply_markup: { inline_keyboard: [[{ text: "Открыть", callback_data: `SHO:${grant.id}` }]] },
+  }).catch((e) => console.warn("share notify failed:", e.message));
+}
+
+app.get("/me/shared", requireAuth, async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json((await sharedWithMe(pool, req.user.tg_id)).map(sharedToJson));
+  } catch (e) {
+    console.error("GET /me/shared error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.get("/me/shared/:grantId", requireAuth, async (req, res) => {
+  try {
+    const g = await loadSharedGrant(pool, req.params.grantId, req.user.tg_id);
+    if (!g) return res.status(404).json({ error: "not found" });
+    res.set("Cache-Control", "no-store");
+    res.json(sharedToJson(g));
+  } catch (e) {
+    console.error("GET /me/shared/:grantId error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// правка чужого рецепта с доступом edit: { recipe, baseVersion? } — как PUT /local/recipes/:id
+app.put("/me/shared/:grantId", requireAuth, limits.recipesWrite, async (req, res) => {
+  const recipe = req.body?.recipe;
+  if (!recipe || typeof recipe !== "object") return res.status(400).json({ error: "body.recipe required" });
+  const baseVersion = req.body?.baseVersion;
+  if (baseVersion != null && (!Number.isInteger(baseVersion) || baseVersion < 0)) {
+    return res.status(400).json({ error: "baseVersion must be an integer >= 0" });
+  }
+  try {
+    const g = await loadSharedGrant(pool, req.params.grantId, req.user.tg_id);
+    if (!g) return res.status(404).json({ error: "not found" });
+    if (g.access !== "edit") return res.status(403).json({ error: "read_only" });
+
+    // флаги владельца (избранное, «готовил») гость не меняет
+    const { value, errors } = validateRecipe({
+      ...recipe,
+      id: g.recipe_id,
+      favorite: g.data?.favorite,
+      done: g.data?.done,
+    });
+    if (errors.length) return sendInvalidRecipe(res, errors);
+
+    const { rows } = await pool.query(
+      `update local_recipes set data=$3, updated_at=now()
+        where owner=$1 and id=$2 and ($4::int is null or version = $4)
+        returning version`,
+      [g.owner, g.recipe_id, value, baseVersion ?? null]
+    );
+    if (!rows.length) {
+      const { rows: cur } = await pool.query("select version, data from local_recipes where owner=$1 and id=$2", [
+        g.owner,
+        g.recipe_id,
+      ]);
+      return res.status(409).json({
+        error: "conflict",
+        server: cur[0] ? { version: cur[0].version, data: { ...cur[0].data, id: g.recipe_id } } : null,
+      });
+    }
+    res.json({ ok: true, version: rows[0].version });
+  } catch (e) {
+    console.error("PUT /me/shared/:grantId error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// =====================================================================
+// ============================ ПЛАН ПИТАНИЯ ============================
+// =====================================================================
+// Записи владельца: дата + приём пищи (завтрак/обед/ужин) + рецепт (локальный или
+// глобальный) + порции. Клиенты читают и пишут неделю целиком (с понедельника):
+//   GET /meal-plan                 — текущая неделя по часовому поясу владельца
+//   GET|PUT /meal-plan/weeks/:date — неделя, в которую попадает :date
+//   POST /meal-plan/entries, DELETE /meal-plan/entries/:id — по одной записи
+// Утром бот присылает план на сегодня — фоновая задача meal-plan-reminders
+// (выключается notifyMealPlan в /me/settings).
+
+const MEAL_SLOTS = ["breakfast", "lunch", "dinner"];
+const MEAL_SLOT_TITLES = { breakfast: "Завтрак", lunch: "Обед", dinner: "Ужин" };
+const MEAL_SLOT_ICONS = { breakfast: "🌅", lunch: "🍲", dinner: "🌙" };
+const MEAL_PLAN_WEEK_MAX = 100; // записей на неделю
+const MEAL_PLAN_REMINDER_HOUR = Number(process.env.MEAL_PLAN_REMINDER_HOUR ?? 8);
+const MEAL_PLAN_REMINDER_WINDOW_H = 4; // проспали утро (рестарт) — догоняем, но не к ужину
+
+function parseIsoDate(s) {
+  if (typeof s !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s ? null : s;
+}
+
+function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// понедельник недели, в которую попадает date
+function weekStart(date) {
+  const dow = new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 = воскресенье
+  return addDays(date, -((dow + 6) % 7));
+}
+
+async function ownerTimeZone(db, owner) {
+  const tgId = String(owner).match(/^tg:(\d+)$/)?.[1];
+  if (!tgId) return DEFAULT_TIMEZONE;
+  return (await getUserSettings(db, tgId)).timezone;
+}
+
+function validateMealPlanEntry(input, { from = null, to = null } = {}) {
+  const errors = [];
+  const value = {};
+  const body = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+
+  const date = parseIsoDate(body.date);
+  if (!date) errors.push({ path: "date", code: "format", message: "date must be YYYY-MM-DD" });
+  else if ((from && date < from) || (to && date > to)) errors.push({ path: "date", code: "range", message: `date must be within ${from}..${to}` });
+  else value.date = date;
+
+  if (!MEAL_SLOTS.includes(body.slot)) errors.push({ path: "slot", code: "enum", message: `slot must be one of ${MEAL_SLOTS.join("|")}` });
+  else value.slot = body.slot;
+
+  const source = body.source ?? "local";
+  if (source !== "local" && source !== "global") errors.push({ path: "source", code: "enum", message: "source must be local|global" });
+  else value.source = source;
+
+  const recipeId = body.recipeId != null ? String(body.recipeId).trim() : "";
+  if (!recipeId || recipeId.length > 200) errors.push({ path: "recipeId", code: "required", message: "recipeId is required" });
+  else value.recipeId = recipeId;
+
+  if (body.servings == null) value.servings = null;
+  else if (!Number.isInteger(body.servings) || body.servings < 1 || body.servings > 100) errors.push({ path: "servings", code: "range", message: "servings must be an integer 1..100" });
+  else value.servings = body.servings;
+
+  return { value, errors };
+}
+
+// -> индексы записей, чьих рецептов нет (локальные — только свои)
+async function missingMealPlanRecipes(db, owner, entries) {
+  const local = [...new Set(entries.filter((e) => e.source === "local").map((e) => e.recipeId))];
+  const global = [...new Set(entries.filter((e) => e.source === "global").map((e) => e.recipeId))];
+  const found = new Set();
+  if (local.length) {
+    const { rows } = await db.query(`select id from local_recipes where owner=$1 and id = any($2)`, [owner, local]);
+    rows.forEach((r) => found.add(`local:${r.id}`));
+  }
+  if (global.length) {
+    const { rows } = await db.query(`select id from recipes where id = any($1)`, [global]);
+    rows.forEach((r) => found.add(`global:${r.id}`));
+  }
+  return entries.map((e, i) => (found.has(`${e.source}:${e.recipeId}`) ? -1 : i)).filter((i) => i >= 0);
+}
+
+function mealPlanEntryToJson(row) {
+  const r = row.recipe_data;
+  return {
+    id: String(row.id),
+    date: row.date,
+    slot: row.slot,
+    source: row.source,
+    recipeId: row.recipe_id,
+    servings: row.servings,
+    // рецепт удалили после планирования — запись остаётся, recipe: null
+    recipe: r ? { title: r.title || "", cover: r.cover || null, servings: r.servings ?? null } : null,
+  };
+}
+
+async function loadMealPlan(db, owner, from, to) {
+  const { rows } = await db.query(
+    `select e.*, to_char(e.day, 'YYYY-MM-DD') as date, coalesce(lr.data, g.data) as recipe_data
+       from meal_plan_entries e
+       left join local_recipes lr on e.source = 'local' and lr.owner = e.owner and lr.id = e.recipe_id
+       left join recipes g on e.source = 'global' and g.id = e.recipe_id
+      where e.owner = $1 and e.day between $2 and $3
+      order by e.day, array_position($4::text[], e.slot), e.position, e.id`,
+    [owner, from, to, MEAL_SLOTS]
+  );
+  return rows.map(mealPlanEntryToJson);
+}
+
+async function mealPlanWeek(db, owner, start, timezone) {
+  const end = addDays(start, 6);
+  const entries = await loadMealPlan(db, owner, start, end);
+  const days = Array.from({ length: 7 }, (_, i) => {
+    const date = addDays(start, i);
+    const day = { date };
+    for (const slot of MEAL_SLOTS) day[slot] = entries.filter((e) => e.date === date && e.slot === slot);
+    return day;
+  });
+  return { week: start, end, timezone, days };
+}
+
+app.get("/meal-plan", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  if (req.query.tz != null && !isValidTimeZone(req.query.tz)) return res.status(400).json({ error: "bad_timezone" });
+  try {
+    const timezone = req.query.tz || (await ownerTimeZone(pool, owner));
+    const today = zonedDateParts(new Date(), timezone).date;
+    res.set("Cache-Control", "no-store");
+    res.json({ today, ...(await mealPlanWeek(pool, owner, weekStart(today), timezone)) });
+  } catch (e) {
+    console.error("GET /meal-plan error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.get("/meal-plan/weeks/:date", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const date = parseIsoDate(req.params.date);
+  if (!date) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json(await mealPlanWeek(pool, owner, weekStart(date), await ownerTimeZone(pool, owner)));
+  } catch (e) {
+    console.error("GET /meal-plan/weeks/:date error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// вся неделя целиком: { entries: [{ date, slot, source?, recipeId, servings? }] };
+// порядок внутри приёма пищи — как в массиве
+app.put("/meal-plan/weeks/:date", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const date = parseIsoDate(req.params.date);
+  if (!date) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+  const list = req.body?.entries;
+  if (!Array.isArray(list)) return res.status(400).json({ error: "body.entries must be an array" });
+  if (list.length > MEAL_PLAN_WEEK_MAX) return res.status(409).json({ error: "too_many", max: MEAL_PLAN_WEEK_MAX });
+
+  const start = weekStart(date);
+  const end = addDays(start, 6);
+  const entries = [];
+  const details = [];
+  list.forEach((item, index) => {
+    const { value, errors } = validateMealPlanEntry(item, { from: start, to: end });
+    errors.forEach((e) => details.push({ ...e, path: `entries[${index}].${e.path}` }));
+    entries.push(value);
+  });
+  if (details.length) return res.status(422).json({ error: "invalid_meal_plan", details });
+
+  const client = await pool.connect();
+  try {
+    const missing = await missingMealPlanRecipes(client, owner, entries);
+    if (missing.length) {
+      return res.status(422).json({
+        error: "invalid_meal_plan",
+        details: missing.map((i) => ({ path: `entries[${i}].recipeId`, code: "not_found", message: "recipe not found" })),
+      });
+    }
+
+    await client.query("begin");
+    await client.query(`delete from meal_plan_entries where owner=$1 and day between $2 and $3`, [owner, start, end]);
+    const positions = new Map();
+    for (const e of entries) {
+      const key = `${e.date}:${e.slot}`;
+      const position = positions.get(key) || 0;
+      positions.set(key, position + 1);
+      await client.query(
+        `insert into meal_plan_entries (owner, day, slot, source, recipe_id, servings, position)
+         values ($1,$2,$3,$4,$5,$6,$7)`,
+        [owner, e.date, e.slot, e.source, e.recipeId, e.servings, position]
+      );
+    }
+    await client.query("commit");
+    res.json(await mealPlanWeek(pool, owner, start, await ownerTimeZone(pool, owner)));
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    console.error("PUT /meal-plan/weeks/:date error:", e);
+    res.status(500).json({ error: "internal" });
+  } finally {
+    client.release();
+  }
+});
+
+// одна запись в конец приёма пищи
+app.post("/meal-plan/entries", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  const { value, errors } = validateMealPlanEntry(req.body);
+  if (errors.length) return res.status(422).json({ error: "invalid_meal_plan", details: errors });
+
+  try {
+    if ((await missingMealPlanRecipes(pool, owner, [value])).length) {
+      return res.status(422).json({
+        error: "invalid_meal_plan",
+        details: [{ path: "recipeId", code: "not_found", message: "recipe not found" }],
+      });
+    }
+    const start = weekStart(value.date);
+    const { rows: cnt } = await pool.query(
+      `select count(*)::int as c,
+              coalesce(max(position) filter (where day = $4 and slot = $5), -1) as p
+         from meal_plan_entries where owner=$1 and day between $2 and $3`,
+      [owner, start, addDays(start, 6), value.date, value.slot]
+    );
+    if (cnt[0].c >= MEAL_PLAN_WEEK_MAX) return res.status(409).json({ error: "too_many", max: MEAL_PLAN_WEEK_MAX });
+
+    const { rows } = await pool.query(
+      `insert into meal_plan_entries (owner, day, slot, source, recipe_id, servings, position)
+       values ($1,$2,$3,$4,$5,$6,$7) returning id`,
+      [owner, value.date, value.slot, value.source, value.recipeId, value.servings, cnt[0].p + 1]
+    );
+    const entries = await loadMealPlan(pool, owner, value.date, value.date);
+    res.status(201).json(entries.find((e) => e.id === String(rows[0].id)));
+  } catch (e) {
+    console.error("POST /meal-plan/entries error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.delete("/meal-plan/entries/:id", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  if (!/^\d{1,18}$/.test(req.params.id)) return res.status(204).end();
+  try {
+    await pool.query(`delete from meal_plan_entries where owner=$1 and id=$2`, [owner, req.params.id]);
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /meal-plan/entries/:id error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// ----- утреннее сообщение в боте -----
+const TG_CALLBACK_DATA_MAX_BYTES = 64;
+
+// текст и кнопки плана на день; кнопки открывают карточку: свою — OPEN, из глобала — GOPEN
+// (id у локального и глобального рецепта могут совпадать)
+function mealPlanDayMessage(date, entries) {
+  const [y, m, d] = date.split("-");
+  if (!entries.length) {
+    return { text: `🍽 На ${d}.${m}.${y} ничего не запланировано.`, buttons: [] };
+  }
+  const lines = MEAL_SLOTS.flatMap((slot) =>
+    entries
+      .filter((e) => e.slot === slot)
+      .map((e) => {
+        const title = e.recipe ? e.recipe.title || e.recipeId : "рецепт удалён";
+        return `${MEAL_SLOT_ICONS[slot]} ${MEAL_SLOT_TITLES[slot]}: ${title}${e.servings ? ` (${e.servings} порц.)` : ""}`;
+      })
+  );
+  // callback_data у Telegram — до 64 байт, а id рецепта бывает до 100 символов: с таким
+  // длинным id кнопку не ставим (иначе sendMessage отклонит всё сообщение)
+  const buttons = entries
+    .filter((e) => e.recipe)
+    .map((e) => ({ e, data: `${e.source === "global" ? "GOPEN" : "OPEN"}:${e.recipeId}:0` }))
+    .filter(({ data }) => Buffer.byteLength(data) <= TG_CALLBACK_DATA_MAX_BYTES)
+    .slice(0, 20)
+    .map(({ e, data }) => [{ text: `${MEAL_SLOT_ICONS[e.slot]} ${e.recipe.title || e.recipeId}`.slice(0, 60), callback_data: data }]);
+  return { text: `🍽 План на ${d}.${m}.${y}:\n\n${lines.join("\n")}`, buttons };
+}
+
+// кому пора: есть записи около сегодняшней даты, план не выключен, бот не отвязан,
+// в его поясе уже MEAL_PLAN_REMINDER_HOUR и сегодня ещё не слали
+async function sendMealPlanReminders(now = new Date()) {
+  const { rows } = await pool.query(
+    `select distinct e.owner, s.timezone, to_char(s.meal_plan_sent_on, 'YYYY-MM-DD') as sent_on
+       from meal_plan_entries e
+       left join user_settings s on s.tg_id = substr(e.owner, 4)
+       left join users u on u.tg_id = substr(e.owner, 4)
+      where e.owner like 'tg:%'
+        and e.day between current_date - 1 and current_date + 1
+        and coalesce(s.notify_meal_plan, true)
+        and coalesce(u.bot_enabled, true)`
+  );
+  let sent = 0;
+  for (const row of rows) {
+    const tgId = row.owner.slice(3);
+    const tz = isValidTimeZone(row.timezone) ? row.timezone : DEFAULT_TIMEZONE;
+    const { date, hour } = zonedDateParts(now, tz);
+    if (hour < MEAL_PLAN_REMINDER_HOUR || hour >= MEAL_PLAN_REMINDER_HOUR + MEAL_PLAN_REMINDER_WINDOW_H) continue;
+    if (row.sent_on === date) continue;
+
+    const entries = await loadMealPlan(pool, row.owner, date, date);
+    if (!entries.length) continue;
+
+    // отметка до отправки и с условием — два инстанса не пришлют дважды
+    const { rowCount } = await pool.query(
+      `insert into user_settings (tg_id, meal_plan_sent_on) values ($1, $2)
+       on conflict (tg_id) do update set meal_plan_sent_on = excluded.meal_plan_sent_on
+       where user_settings.meal_plan_sent_on is distinct from excluded.meal_plan_sent_on`,
+      [tgId, date]
+    );
+    if (!rowCount) continue;
+
+    const { text, buttons } = mealPlanDayMessage(date, entries);
+    try {
+      await tgApi("sendMessage", {
+        chat_id: tgId,
+        text: `Доброе утро! ${text}`,
+        reply_markup: {
+          inline_keyboard: [...buttons, [{ text: "🔕 Не присылать план", callback_data: "NOTIFY:plan:off" }]],
+        },
+      });
+      sent++;
+    } catch (e) {
+      console.warn(`meal plan reminder for ${tgId} failed:`, e.message);
+    }
+  }
+  return sent;
+}
+
+// =====================================================================
+// =============================== МЕДИА ================================
+// =====================================================================
+// POST /media — тело запроса = сами байты картинки (fetch(url, { body: file })),
+// тип определяется по сигнатуре. В рецепте ссылаемся как cover: "media:<id>".
+
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024;
+const MEDIA_QUOTA_BYTES = Number(process.env.MEDIA_QUOTA_BYTES) || 50 * 1024 * 1024;
+
+function mediaJson(m) {
+  return { id: m.id, ref: `${MEDIA_REF_PREFIX}${m.id}`, url: `/media/${m.id}`, mime: m.mime, size: m.size };
+}
+
+// сохранить картинку владельца с учётом квоты (HTTP и бот)
+// -> { id, mime, size, existed } | { error: "unsupported_type" | "quota_exceeded", used }
+async function storeOwnerMedia(owner, buffer) {
+  const client = await pool.connect();
+  const written = [];
+  try {
+    await client.query("begin");
+    // квота считается под замком владельца, чтобы параллельные загрузки её не обошли
+    await client.query(`select pg_advisory_xact_lock(hashtext('media:' || $1))`, [owner]);
+    const { rows } = await client.query(
+      `select coalesce(sum(size), 0)::bigint as used from media where owner=$1`,
+      [owner]
+    );
+    const used = Number(rows[0].used);
+    const saved = await storeMedia(client, { owner, buffer, maxNewBytes: MEDIA_QUOTA_BYTES - used, written });
+    await client.query(saved.error ? "rollback" : "commit");
+    return saved.error ? { ...saved, used } : saved;
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    await discardWrittenMedia(client, written);
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// ссылается ли на картинку хоть один рецепт (свой, выложенный, чужая копия)
+async function mediaInUse(db, id) {
+  const ref = `${MEDIA_REF_PREFIX}${id}`;
+  const photo = JSON.stringify([{ media: ref }]);
+  const { rows } = await db.query(
+    `select exists (select 1 from local_recipes where data->>'cover' = $1 or data->'stepPhotos' @> $2::jsonb)
+         or exists (select 1 from recipes where data->>'cover' = $1 or data->'stepPhotos' @> $2::jsonb) as used`,
+    [ref, photo]
+  );
+  return rows[0].used;
+}
+
+app.post(
+  "/media",
+  optionalAuth,
+  limits.mediaUpload,
+  express.raw({ type: () => true, limit: MEDIA_MAX_BYTES }),
+  async (req, res) => {
+    const owner = getOwner(req);
+    if (!owner) return res.status(400).json({ error: "owner required" });
+
+    const buffer = Buffer.isBuffer(req.body) ? req.body : null;
+    if (!buffer || !buffer.length) return res.status(400).json({ error: "empty_body" });
+    if (!sniffImageType(buffer)) {
+      return res.status(415).json({ error: "unsupported_type", allowed: ["jpeg", "png", "webp", "gif", "avif"] });
+    }
+
+    try {
+      const saved = await storeOwnerMedia(owner, buffer);
+      if (saved.error === "quota_exceeded") {
+        return res.status(413).json({ error: "quota_exceeded", used: saved.used, quota: MEDIA_QUOTA_BYTES });
+      }
+      if (saved.error) return res.status(415).json({ error: saved.error });
+      res.status(saved.existed ? 200 : 201).json(mediaJson(saved));
+    } catch (e) {
+      console.error("POST /media error:", e);
+      res.status(500).json({ error: "internal" });
+    }
+  }
+);
+
+// свои загрузки и занятое место
+app.get("/media", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    const { rows } = await pool.query(
+      `select id, mime, size, created_at from media where owner=$1 order by created_at desc`,
+      [owner]
+    );
+    const used = rows.reduce((sum, r) => sum + r.size, 0);
+    res.set("Cache-Control", "no-store");
+    res.json({ items: rows.map((r) => ({ ...mediaJson(r), createdAt: r.created_at })), used, quota: MEDIA_QUOTA_BYTES });
+  } catch (e) {
+    console.error("GET /media error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// файлы неизменяемы (id новый на каждый файл) — кэшируем на год
+app.get("/media/:id", async (req, res) => {
+  try {
+    const media = await loadMedia(pool, req.params.id);
+    if (!media) return res.status(404).json({ error: "not found" });
+    const etag = `"${media.row.sha256}"`;
+    res.set({
+      "Cache-Control": "public, max-age=31536000, immutable",
+      ETag: etag,
+      "X-Content-Type-Options": "nosniff",
+    });
+    if (req.headers["if-none-match"] === etag) return res.status(304).end();
+    res.type(media.row.mime).send(media.buffer);
+  } catch (e) {
+    console.error("GET /media/:id error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.delete("/media/:id", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    const { rows } = await pool.query(`select * from media where id=$1 and owner=$2`, [req.params.id, owner]);
+    if (rows.length) {
+      if (await mediaInUse(pool, rows[0].id)) return res.status(409).json({ error: "media_in_use" });
+      await deleteMedia(pool, rows[0]);
+    }
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /media/:id error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// =====================================================================
+// ====================== КОММЕНТАРИИ И ОЦЕНКИ ==========================
+// =====================================================================
+// К глобальным рецептам: комментарии с ответами (parentId) и оценки 1–5, всё — от
+// вошедших пользователей. Автор рецепта может скрыть комментарий; на комментарий
+// можно пожаловаться: жалобы уходят админам в бот, после COMMENT_REPORTS_AUTOHIDE
+// жалоб комментарий скрывается сам. Скрытый текст видят только автор комментария,
+// автор рецепта и админы. О новых комментариях автору рецепта пишет бот
+// (выключается в /me/settings или кнопкой под уведомлением).
+
+const COMMENT_MAX_LENGTH = 2000;
+const COMMENTS_PER_RECIPE_MAX = 1000;
+const COMMENT_REPORTS_AUTOHIDE = Number(process.env.COMMENT_REPORTS_AUTOHIDE) || 3;
+
+// ----- настройки пользователя (user_settings) -----
+// ключ в API -> колонка; строки в таблице может не быть — тогда значения по умолчанию
+// nullable — можно прислать null (сброс к значению по умолчанию), check — доп. проверка значения
+const USER_SETTINGS_FIELDS = {
+  notifyComments: { column: "notify_comments", type: "boolean", default: true },
+  notifyMealPlan: { column: "notify_meal_plan", type: "boolean", default: true },
+  timezone: {
+    column: "timezone",
+    type: "string",
+    default: DEFAULT_TIMEZONE,
+    nullable: true,
+    check: (v) => (isValidTimeZone(v) ? null : "timezone must be an IANA time zone, e.g. Europe/Kyiv"),
+  },
+};
+
+async function getUserSettings(db, tgId) {
+  const { rows } = await db.query(`select * from user_settings where tg_id=$1`, [String(tgId)]);
+  const row = rows[0] || {};
+  const out = {};
+  for (const [key, f] of Object.entries(USER_SETTINGS_FIELDS)) {
+    out[key] = row[f.column] ?? f.default;
+  }
+  return out;
+}
+
+// patch — { notifyComments?, ... }; -> { settings } | { error }
+async function updateUserSettings(db, tgId, patch) {
+  const cols = [];
+  const vals = [];
+  for (const [key, value] of Object.entries(patch || {})) {
+    const f = USER_SETTINGS_FIELDS[key];
+    if (!f) return { error: `unknown setting: ${key}` };
+    if (!(value === null && f.nullable)) {
+      if (typeof value !== f.type) return { error: `${key} must be a ${f.type}` };
+      const problem = f.check?.(value);
+      if (problem) return { error: problem };
+    }
+    cols.push(f.column);
+    vals.push(value);
+  }
+  if (cols.length) {
+    await db.query(
+      `insert into user_settings (tg_id, ${cols.join(", ")})
+       values ($1, ${cols.map((_, i) => `$${i + 2}`).join(", ")})
+       on conflict (tg_id) do update set
+         ${cols.map((c) => `${c} = excluded.${c}`).join(", ")}, updated_at = now()`,
+      [String(tgId), ...vals]
+    );
+  }
+  return { settings: await getUserSettings(db, tgId) };
+}
+
+app.get("/me/settings", requireAuth, async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json(await getUserSettings(pool, req.user.tg_id));
+  } catch (e) {
+    console.error("GET /me/settings error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.put("/me/settings", requireAuth, async (req, res) => {
+  if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+    return res.status(400).json({ error: "body must be an object" });
+  }
+  try {
+    const { settings, error } = await updateUserSettings(pool, req.user.tg_id, req.body);
+    if (error) return res.status(400).json({ error: "bad_settings", details: error });
+    res.json(settings);
+  } catch (e) {
+    console.error("PUT /me/settings error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// ----- комментарии -----
+function userDisplayName(u) {
+  const name = [u?.first_name, u?.last_name].filter(Boolean).join(" ").trim();
+  if (name) return name;
+  return u?.username ? `@${u.username}` : "Пользователь";
+}
+
+async function loadGlobalRecipeRow(db, id) {
+  const { rows } = await db.query(`select id, data, author from recipes where id=$1`, [id]);
+  return rows[0] || null;
+}
+
+// может ли tg-пользователь модерировать комментарии рецепта (автор рецепта или админ)
+function canModerateRecipe(recipeRow, tgId) {
+  if (!tgId) return false;
+  return recipeRow.author === `tg:${tgId}` || isAdminTgId(tgId);
+}
+
+async function loadComment(db, recipeId, commentId) {
+  if (!/^\d{1,18}$/.test(String(commentId))) return null;
+  const { rows } = await db.query(
+    `select c.*, u.first_name, u.last_name, u.username
+       from recipe_comments c
+       left join users u on u.tg_id = c.tg_id
+      where c.id=$1 and c.recipe_id=$2`,
+    [commentId, recipeId]
+  );
+  return rows[0] || null;
+}
+
+function commentToJson(c, { viewer = null, recipeRow }) {
+  const mine = Boolean(viewer) && String(viewer) === c.tg_id;
+  const canSeeHidden = mine || canModerateRecipe(recipeRow, viewer);
+  return {
+    id: String(c.id),
+    parentId: c.parent_id ? String(c.parent_id) : null,
+    author: { name: userDisplayName(c), isRecipeAuthor: recipeRow.author === `tg:${c.tg_id}` },
+    mine,
+    body: c.deleted_at || (c.hidden_at && !canSeeHidden) ? null : c.body,
+    hidden: Boolean(c.hidden_at),
+    deleted: Boolean(c.deleted_at),
+    createdAt: c.created_at,
+    updatedAt: c.updated_at,
+  };
+}
+
+// hidden: true — скрыть (by: author|admin|reports), false — показать
+async function setCommentHidden(db, commentId, hidden, by) {
+  const { rows } = await db.query(
+    hidden
+      ? `update recipe_comments set hidden_at = coalesce(hidden_at, now()), hidden_by = $2
+          where id=$1 returning *`
+      : `update recipe_comments set hidden_at = null, hidden_by = null where id=$1 returning *`,
+    hidden ? [commentId, by] : [commentId]
+  );
+  return rows[0] || null;
+}
+
+// решение админа по жалобам: hide — скрыть, keep — оставить (и снять автоскрытие)
+async function moderateReportedComment(db, commentId, action) {
+  const { rows } = await db.query(`select * from recipe_comments where id=$1`, [commentId]);
+  if (!rows.length) return null;
+  let comment = rows[0];
+  if (action === "hide") comment = await setCommentHidden(db, commentId, true, "admin");
+  else if (comment.hidden_by === "reports") comment = await setCommentHidden(db, commentId, false);
+  await db.query(
+    `update recipe_comment_reports set resolved_at = now() where comment_id=$1 and resolved_at is null`,
+    [commentId]
+  );
+  return comment;
+}
+
+// уведомления — через Bot API; сбои Telegram комментарий не откатывают
+async function botCanWrite(tgId) {
+  const { rows } = await pool.query(
+    `select u.bot_enabled, s.notify_comments
+       from (select $1::text as tg_id) x
+       left join users u on u.tg_id = x.tg_id
+       left join user_settings s on s.tg_id = x.tg_id`,
+    [String(tgId)]
+  );
+  return { botEnabled: rows[0]?.bot_enabled !== false, notifyComments: rows[0]?.notify_comments !== false };
+}
+
+async function notifyRecipeAuthorAboutComment(recipeRow, comment, commenter) {
+  const authorTg = String(recipeRow.author || "").match(/^tg:(\d+)$/)?.[1];
+  if (!authorTg || authorTg === comment.tg_id) return;
+  const { botEnabled, notifyComments } = await botCanWrite(authorTg);
+  if (!botEnabled || !notifyComments) return;
+
+  const title = recipeRow.data?.title || recipeRow.id;
+  const body = comment.body.length > 1000 ? `${comment.body.slice(0, 1000)}…` : comment.body;
+  await tgApi("sendMessage", {
+    chat_id: authorTg,
+    text: `💬 ${comment.parent_id ? "Ответ в обсуждении" : "Комментарий"} к «${title}» от ${commenter}:\n\n${body}`,
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "🙈 Скрыть", callback_data: `CMT:hide:${comment.id}` }],
+        [{ text: "🔕 Не присылать о комментариях", callback_data: "NOTIFY:comments:off" }],
+      ],
+    },
+  }).catch((e) => console.warn("comment notify failed:", e.message));
+}
+
+async function notifyAdminsAboutReport(recipeRow, comment, reason) {
+  const title = recipeRow.data?.title || recipeRow.id;
+  const body = String(comment.body || "").slice(0, 1000);
+  for (const adminId of ADMIN_TG_IDS) {
+    await tgApi("sendMessage", {
+      chat_id: adminId,
+      text:
+        `🚩 Жалоба на комментарий #${comment.id} к «${title}»` +
+        (reason ? `\nПричина: ${reason}` : "") +
+        `\n\n${body}`,
+      reply_markup: {
+        inline_keyboard: [[
+          { text: "🙈 Скрыть", callback_data: `CMOD:${comment.id}:hide` },
+          { text: "✅ Оставить", callback_data: `CMOD:${comment.id}:keep` },
+        ]],
+      },
+    }).catch((e) => console.warn("report notify failed:", e.message));
+  }
+}
+
+// ветка комментариев: плоский список -> дерево по parentId
+app.get("/recipes/:id/comments", optionalAuth, async (req, res) => {
+  try {
+    const recipeRow = await loadGlobalRecipeRow(pool, req.params.id);
+    if (!recipeRow) return res.status(404).json({ error: "not found" });
+    const viewer = req.user?.tg_id ? String(req.user.tg_id) : null;
+
+    const { rows } = await pool.query(
+      `select c.*, u.first_name, u.last_name, u.username
+         from recipe_comments c
+         left join users u on u.tg_id = c.tg_id
+        where c.recipe_id=$1
+        order by c.created_at, c.id
+        limit ${COMMENTS_PER_RECIPE_MAX}`,
+      [recipeRow.id]
+    );
+    const byId = new Map(rows.map((c) => [String(c.id), { ...commentToJson(c, { viewer, recipeRow }), replies: [] }]));
+    const items = [];
+    for (const c of byId.values()) {
+      const parent = c.parentId && byId.get(c.parentId);
+      (parent ? parent.replies : items).push(c);
+    }
+    res.set("Cache-Control", "no-store");
+    res.json({
+      items,
+      count: rows.filter((c) => !c.deleted_at && !c.hidden_at).length,
+      canModerate: canModerateRecipe(recipeRow, viewer),
+    });
+  } catch (e) {
+    console.error("GET /recipes/:id/comments error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// { body, parentId? }
+app.post("/recipes/:id/comments", requireAuth, limits.comments, async (req, res) => {
+  const body = typeof req.body?.body === "string" ? cleanText(req.body.body) : "";
+  if (!body) return res.status(400).json({ error: "body required" });
+  if (body.length > COMMENT_MAX_LENGTH) {
+    return res.status(400).json({ error: "too_long", max: COMMENT_MAX_LENGTH });
+  }
+  try {
+    const recipeRow = await loadGlobalRecipeRow(pool, req.params.id);
+    if (!recipeRow) return res.status(404).json({ error: "not found" });
+
+    const parentId = req.body?.parentId == null ? null : String(req.body.parentId);
+    if (parentId) {
+      const parent = await loadComment(pool, recipeRow.id, parentId);
+      if (!parent || parent.deleted_at) return res.status(400).json({ error: "bad_parent" });
+    }
+
+    // GET отдаёт ветку целиком, поэтому комментариев к рецепту — не больше COMMENTS_PER_RECIPE_MAX
+    // (удалённые тоже считаются: их место в дереве остаётся). Счёт и вставка — под замком рецепта.
+    const client = await pool.connect();
+    let inserted = null;
+    try {
+      await client.query("begin");
+      await client.query(`select pg_advisory_xact_lock(hashtext('comments:' || $1))`, [recipeRow.id]);
+      const { rows: cnt } = await client.query(
+        `select count(*)::int as c from recipe_comments where recipe_id=$1`,
+        [recipeRow.id]
+      );
+      if (cnt[0].c < COMMENTS_PER_RECIPE_MAX) {
+        const { rows } = await client.query(
+          `insert into recipe_comments (recipe_id, parent_id, tg_id, body) values ($1,$2,$3,$4) returning *`,
+          [recipeRow.id, parentId, String(req.user.tg_id), body]
+        );
+        inserted = rows[0];
+      }
+      await client.query("commit");
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+    if (!inserted) return res.status(409).json({ error: "too_many", max: COMMENTS_PER_RECIPE_MAX });
+
+    const comment = await loadComment(pool, recipeRow.id, inserted.id);
+    await notifyRecipeAuthorAboutComment(recipeRow, comment, userDisplayName(comment));
+    res.status(201).json(commentToJson(comment, { viewer: req.user.tg_id, recipeRow }));
+  } catch (e) {
+    console.error("POST /recipes/:id/comments error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// удалить свой комментарий (текст стирается, ответы остаются); админ — любой
+app.delete("/recipes/:id/comments/:commentId", requireAuth, async (req, res) => {
+  try {
+    const comment = await loadComment(pool, req.params.id, req.params.commentId);
+    if (!comment) return res.status(404).json({ error: "not found" });
+    if (comment.tg_id !== String(req.user.tg_id) && !isAdminTgId(req.user.tg_id)) {
+      return res.status(403).json({ error: "forbidden" });
+    }
+    await pool.query(
+      `update recipe_comments set body = null, deleted_at = coalesce(deleted_at, now()) where id=$1`,
+      [comment.id]
+    );
+    res.status(204).end();
+  } catch (e) {
+    console.error("DELETE /recipes/:id/comments/:commentId error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// скрыть/показать — автор рецепта или админ; скрытое админом автор рецепта не открывает
+for (const action of ["hide", "unhide"]) {
+  app.post(`/recipes/:id/comments/:commentId/${action}`, requireAuth, async (req, res) => {
+    try {
+      const recipeRow = await loadGlobalRecipeRow(pool, req.params.id);
+      if (!recipeRow) return res.status(404).json({ error: "not found" });
+      const comment = await loadComment(pool, recipeRow.id, req.params.commentId);
+      if (!comment) return res.status(404).json({ error: "not found" });
+
+      const admin = isAdminTgId(req.user.tg_id);
+      if (!canModerateRecipe(recipeRow, req.user.tg_id)) return res.status(403).json({ error: "forbidden" });
+      if (action === "unhide" && comment.hidden_by === "admin" && !admin) {
+        return res.status(403).json({ error: "hidden_by_admin" });
+      }
+
+      await setCommentHidden(pool, comment.id, action === "hide", admin ? "admin" : "author");
+      const updated = await loadComment(pool, recipeRow.id, comment.id);
+      res.json(commentToJson(updated, { viewer: req.user.tg_id, recipeRow }));
+    } catch (e) {
+      console.error(`POST /recipes/:id/comments/:commentId/${action} error:`, e);
+      res.status(500).json({ error: "internal" });
+    }
+  });
+}
+
+// жалоба: { reason? }; повторная от того же пользователя не считается
+app.post("/recipes/:id/comments/:commentId/report", requireAuth, limits.comments, async (req, res) => {
+  const reason = typeof req.body?.reason === "string" ? cleanText(req.body.reason).slice(0, 500) : null;
+  try {
+    const recipeRow = await loadGlobalRecipeRow(pool, req.params.id);
+    if (!recipeRow) return res.status(404).json({ error: "not found" });
+    const comment = await loadComment(pool, recipeRow.id, req.params.commentId);
+    if (!comment || comment.deleted_at) return res.status(404).json({ error: "not found" });
+    if (comment.tg_id === String(req.user.tg_id)) return res.status(400).json({ error: "own_comment" });
+
+    const { rowCount } = await pool.query(
+      `insert into recipe_comment_reports (comment_id, tg_id, reason) values ($1,$2,$3)
+       on conflict (comment_id, tg_id) do nothing`,
+      [comment.id, String(req.user.tg_id), reason || null]
+    );
+    const { rows } = await pool.query(
+      `select count(*)::int as c from recipe_comment_reports where comment_id=$1 and resolved_at is null`,
+      [comment.id]
+    );
+    const reports = rows[0].c;
+    if (rowCount && reports === 1) await notifyAdminsAboutReport(recipeRow, comment, reason);
+    if (rowCount && reports >= COMMENT_REPORTS_AUTOHIDE && !comment.hidden_at) {
+      await setCommentHidden(pool, comment.id, true, "reports");
+    }
+    res.json({ ok: true, reports });
+  } catch (e) {
+    console.error("POST /recipes/:id/comments/:commentId/report error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// очередь жалоб для админов
+app.get("/admin/comment-reports", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `select c.id, c.recipe_id, c.tg_id, c.body, c.hidden_at, c.hidden_by, c.created_at,
+              r.data->>'title' as recipe_title,
+              json_agg(json_build_object('reason', rep.reason, 'createdAt', rep.created_at)
+                       order by rep.created_at) as reports
+         from recipe_comment_reports rep
+         join recipe_comments c on c.id = rep.comment_id
+         join recipes r on r.id = c.recipe_id
+        where rep.resolved_at is null
+        group by c.id, r.data
+        order by min(rep.created_at)
+        limit 200`
+    );
+    res.set("Cache-Control", "no-store");
+    res.json(
+      rows.map((c) => ({
+        commentId: String(c.id),
+        recipeId: c.recipe_id,
+        recipeTitle: c.recipe_title,
+        body: c.body,
+        hidden: Boolean(c.hidden_at),
+        hiddenBy: c.hidden_by,
+        createdAt: c.created_at,
+        reports: c.reports,
+      }))
+    );
+  } catch (e) {
+    console.error("GET /admin/comment-reports error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// { action: "hide" | "keep" }
+app.post("/admin/comment-reports/:commentId", requireAuth, requireAdmin, async (req, res) => {
+  const action = req.body?.action;
+  if (action !== "hide" && action !== "keep") return res.status(400).json({ error: "action must be hide|keep" });
+  if (!/^\d{1,18}$/.test(req.params.commentId)) return res.status(404).json({ error: "not found" });
+  try {
+    const comment = await moderateReportedComment(pool, req.params.commentId, action);
+    if (!comment) return res.status(404).json({ error: "not found" });
+    res.json({ ok: true, hidden: Boolean(comment.hidden_at), hiddenBy: comment.hidden_by });
+  } catch (e) {
+    console.error("POST /admin/comment-reports/:commentId error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// ----- оценки -----
+async function recipeRatingJson(db, recipeId) {
+  const { rows } = await db.query(
+    `select coalesce(rating_sum, 0) as rating_sum, coalesce(rating_count, 0) as rating_count
+       from recipe_stats where recipe_id=$1`,
+    [recipeId]
+  );
+  return withRecipeStats({}, rows[0] || { rating_sum: 0, rating_count: 0 }).rating;
+}
+
+// { stars: 1..5 }; свой рецепт оценить нельзя
+app.put("/recipes/:id/rating", requireAuth, limits.likes, async (req, res) => {
+  const stars = req.body?.stars;
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    return res.status(400).json({ error: "stars must be an integer 1..5" });
+  }
+  try {
+    const recipeRow = await loadGlobalRecipeRow(pool, req.params.id);
+    if (!recipeRow) return res.status(404).json({ error: "not found" });
+    if (recipeRow.author === `tg:${req.user.tg_id}`) return res.status(403).json({ error: "own_recipe" });
+
+    await pool.query(
+      `insert into recipe_ratings (recipe_id, tg_id, stars) values ($1,$2,$3)
+       on conflict (recipe_id, tg_id) do update set stars = excluded.stars, updated_at = now()
+       where recipe_ratings.stars <> excluded.stars`,
+      [recipeRow.id, String(req.user.tg_id), stars]
+    );
+    res.json({ ok: true, rating: await recipeRatingJson(pool, recipeRow.id), myRating: stars });
+  } catch (e) {
+    console.error("PUT /recipes/:id/rating error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.delete("/recipes/:id/rating", requireAuth, limits.likes, async (req, res) => {
+  try {
+    await pool.query(`delete from recipe_ratings where recipe_id=$1 and tg_id=$2`, [
+      req.params.id,
+      String(req.user.tg_id),
+    ]);
+    res.json({ ok: true, rating: await recipeRatingJson(pool, req.params.id), myRating: null });
+  } catch (e) {
+    console.error("DELETE /recipes/:id/rating error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// =====================================================================
+// ========================== ЗАКАЗЫ (Telegram) =========================
+// =====================================================================
+
+// Заказ хранится в orders и проходит статусы:
+//   new → accepted → cooking → ready → done, отменить можно до ready включительно.
+// Сообщение в TELEGRAM_CHAT_ID получает кнопки смены статуса (ORD:<id>:<status>),
+// каждую смену видит заказчик — ботом, если заказ сделан из-под Telegram-логина.
+
+const ORDER_STATUSES = {
+  new: "🆕 Новый",
+  accepted: "👍 Принят",
+  cooking: "👩‍🍳 Готовится",
+  ready: "✅ Готов",
+  done: "📦 Выдан",
+  cancelled: "❌ Отменён",
+};
+
+// из какого статуса в какие можно перейти
+const ORDER_TRANSITIONS = {
+  new: ["accepted", "cancelled"],
+  accepted: ["cooking", "cancelled"],
+  cooking: ["ready", "cancelled"],
+  ready: ["done", "cancelled"],
+  done: [],
+  cancelled: [],
+};
+
+const ORDER_BUTTONS = {
+  accepted: "👍 Принять",
+  cooking: "👩‍🍳 Готовим",
+  ready: "✅ Готово",
+  done: "📦 Выдано",
+  cancelled: "❌ Отменить",
+};
+
+function getOrdersChatId() {
+  return process.env.TELEGRAM_CHAT_ID || process.env.TG_CHAT_ID || "";
+}
+
+// вызов Bot API без Telegraf (работает и когда бот не запущен в этом процессе)
+async function tgApi(method, payload) {
+  const BOT = process.env.TELEGRAM_BOT_TOKEN || process.env.TG_BOT_TOKEN;
+  if (!BOT) throw new Error("TELEGRAM_BOT_TOKEN is not set");
+  const r = await fetch(`https://api.telegram.org/bot${BOT}/${method}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const j = await r.json().catch(() => null);
+  if (!r.ok || !j?.ok) {
+    const err = new Error(`telegram ${method} failed: ${r.status} ${j?.description || ""}`.trim());
+    err.http = r.status;
+    err.response = j;
+    throw err;
+  }
+  return j.result;
+}
+
+function orderToJson(o) {
+  return {
+    id: String(o.id),
+    title: o.title,
+    comment: o.comment,
+    recipeId: o.recipe_id,
+    recipeScope: o.recipe_scope,
+    status: o.status,
+    createdAt: o.created_at,
+    updatedAt: o.updated_at,
+  };
+}
+
+function orderAdminText(o) {
+  return (
+    `📦 ЗАКАЗ #${o.id} ИЗ RECIPEPAD\n\n` +
+    `🍳 Блюдо: ${o.title}\n` +
+    (o.comment ? `💬 Комментарий: ${o.comment}\n` : "") +
+    `⏰ Время: ${new Date(o.created_at).toLocaleString("uk-UA", { timeZone: DEFAULT_TIMEZONE })}\n` +
+    `👤 Заказчик: ${o.tg_id ? `tg ${o.tg_id}` : "гость с сайта"}\n` +
+    `📌 Статус: ${ORDER_STATUSES[o.status] || o.status}`
+  );
+}
+
+function orderAdminKeyboard(o) {
+  const next = ORDER_TRANSITIONS[o.status] || [];
+  if (!next.length) return { inline_keyboard: [] };
+  return {
+    inline_keyboard: [
+      next.map((s) => ({ text: ORDER_BUTTONS[s], callback_data: `ORD:${o.id}:${s}` })),
+    ],
+  };
+}
+
+// сменить статус с проверкой перехода
+// -> { order } | { error: "not_found" | "bad_transition", status? }
+async function setOrderStatus(id, status, actor) {
+  const allowedFrom = Object.keys(ORDER_TRANSITIONS).filter((s) => ORDER_TRANSITIONS[s].includes(status));
+  const { rows } = await pool.query(
+    `update orders set status=$2 where id=$1 and status = any($3::text[]) returning *`,
+    [id, status, allowedFrom]
+  );
+  if (!rows.length) {
+    const { rows: cur } = await pool.query(`select status from orders where id=$1`, [id]);
+    return cur.length ? { error: "bad_transition", status: cur[0].status } : { error: "not_found" };
+  }
+  const order = rows[0];
+  await pool.query(
+    `insert into order_events (order_id, status, actor) values ($1,$2,$3)`,
+    [order.id, status, actor]
+  );
+
+  // обновить сообщение на кухне и сообщить заказчику; сбои Telegram статус не откатывают
+  if (order.admin_chat_id && order.admin_message_id) {
+    await tgApi("editMessageText", {
+      chat_id: order.admin_chat_id,
+      message_id: Number(order.admin_message_id),
+      text: orderAdminText(order),
+      reply_markup: orderAdminKeyboard(order),
+    }).catch((e) => console.warn("order admin message update failed:", e.message));
+  }
+  if (order.tg_id) {
+    const { rows: u } = await pool.query(`select bot_enabled from users where tg_id=$1`, [order.tg_id]);
+    if (!u.length || u[0].bot_enabled !== false) {
+      await tgApi("sendMessage", {
+        chat_id: order.tg_id,
+        text: `Заказ #${order.id} «${order.title}»: ${ORDER_STATUSES[status]}`,
+      }).catch((e) => console.warn("order customer notify failed:", e.message));
+    }
+  }
+  return { order };
+}
+
+// { title, recipeId?, scope?: "global"|"local", comment? }
+app.post("/orders", limits.orders, optionalAuth, async (req, res) => {
+  const CHAT = getOrdersChatId();
+  if (!(process.env.TELEGRAM_BOT_TOKEN || process.env.TG_BOT_TOKEN) || !CHAT) {
+    return res
+      .status(500)
+      .json({ error: "TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID not set" });
+  }
+
+  const { title, recipeId, scope, comment } = req.body ?? {};
+  if (!title || typeof title !== "string" || title.trim().length < 2) {
+    return res.status(400).json({ error: "title is required" });
+  }
+  if (scope != null && scope !== "global" && scope !== "local") {
+    return res.status(400).json({ error: "scope must be global|local" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("begin");
+    const { rows } = await client.query(
+      `insert into orders (customer, tg_id, recipe_id, recipe_scope, title, comment, admin_chat_id)
+       values ($1,$2,$3,$4,$5,$6,$7) returning *`,
+      [
+        getOwner(req) || null,
+        req.user?.tg_id ? String(req.user.tg_id) : null, // уведомления — только подтверждённому tg
+        recipeId != null ? String(recipeId).slice(0, RECIPE_LIMITS.id) : null,
+        recipeId != null ? scope || "global" : null,
+        cleanText(title).slice(0, RECIPE_LIMITS.title),
+        typeof comment === "string" && cleanText(comment) ? cleanText(comment).slice(0, 1000) : null,
+        String(CHAT),
+      ]
+    );
+    const order = rows[0];
+    await client.query(
+      `insert into order_events (order_id, status, actor) values ($1,'new',$2)`,
+      [order.id, order.customer]
+    );
+
+    // не дошло до кухни — заказа нет (откатываем), как и раньше отвечаем 502
+    let msg;
+    try {
+      msg = await tgApi("sendMessage", {
+        chat_id: CHAT,
+        text: orderAdminText(order),
+        reply_markup: orderAdminKeyboard(order),
+      });
+    } catch (e) {
+      console.warn("telegram_failed", { http: e.http, j: e.response });
+      await client.query("rollback");
+      return res.status(502).json({ error: "telegram_failed" });
+    }
+
+    await client.query(`update orders set admin_message_id=$2 where id=$1`, [order.id, msg.message_id]);
+    await client.query("commit");
+    return res.json({ ok: true, order: orderToJson(order) });
+  } catch (e) {
+    await client.query("rollback").catch(() => {});
+    console.error("orders handler error", String(e));
+    return res.status(500).json({ error: "internal" });
+  } finally {
+    client.release();
+  }
+});
+
+// мои заказы (по владельцу: tg:<id> или анонимный)
+app.get("/orders/mine", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  try {
+    const { rows } = await pool.query(
+      `select o.*,
+              coalesce((select json_agg(json_build_object('status', e.status, 'at', e.created_at) order by e.id)
+                          from order_events e where e.order_id = o.id), '[]') as history
+         from orders o
+        where o.customer = $1
+        order by o.created_at desc
+        limit 100`,
+      [owner]
+    );
+    res.set("Cache-Control", "no-store");
+    res.json({ orders: rows.map((o) => ({ ...orderToJson(o), history: o.history })) });
+  } catch (e) {
+    console.error("GET /orders/mine error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// заказчик может отменить, пока кухня не приняла
+app.post("/orders/:id/cancel", optionalAuth, async (req, res) => {
+  const owner = getOwner(req);
+  if (!owner) return res.status(400).json({ error: "owner required" });
+  if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "not found" });
+  try {
+    const { rows } = await pool.query(`select status from orders where id=$1 and customer=$2`, [req.params.id, owner]);
+    if (!rows.length) return res.status(404).json({ error: "not found" });
+    if (rows[0].status !== "new") return res.status(409).json({ error: "bad_transition", status: rows[0].status });
+
+    const result = await setOrderStatus(req.params.id, "cancelled", owner);
+    if (result.error) return res.status(409).json(result);
+    res.json({ ok: true, order: orderToJson(result.order) });
+  } catch (e) {
+    console.error("POST /orders/:id/cancel error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// быстрая проверка токена бота
+app.get("/debug/tg", async (_req, res) => {
+  const BOT = process.env.TELEGRAM_BOT_TOKEN || process.env.TG_BOT_TOKEN;
+  if (!BOT) return res.status(500).json({ error: "no BOT token" });
+  try {
+    const r = await fetch(`https://api.telegram.org/bot${BOT}/getMe`);
+    const j = await r.json();
+    res.json({ http: r.status, body: j });
+  } catch (e) {
+    res.status(500).json({ error: "fetch_failed", details: String(e) });
+  }
+});
+
+
+// =====================================================================
+// =========================== ФОНОВЫЕ ЗАДАЧИ ===========================
+// =====================================================================
+// Планировщик — jobs.js (cron по UTC, история в job_runs, один инстанс на задачу).
+// JOBS_ENABLED=0 — не запускать по расписанию (вручную через /admin/jobs можно).
+// Сроки хранения — в днях, из env:
+//   ANON_OWNER_TTL_DAYS (180)   — аноним не заходил столько — удаляем всё его
+//   TOMBSTONE_TTL_DAYS (180)    — надгробия удалённых рецептов для синхронизации
+//   SESSION_RETENTION_DAYS (30) — истёкшие/отозванные сессии
+//   REPORT_RETENTION_DAYS (90)  — разобранные жалобы на комментарии
+//   JOB_HISTORY_DAYS (30)       — история запусков задач
+
+const jobs = createJobScheduler(pool, { tickMs: Number(process.env.JOBS_TICK_MS) || 30_000 });
+
+function retentionDays(name, def) {
+  const v = Number(process.env[name]);
+  return Number.isInteger(v) && v > 0 ? v : def;
+}
+
+const ANON_PURGE_BATCH = 200;
+
+// всё, что принадлежит владельцу: рецепты (с ними уходят выдачи доступа, ссылки и
+// строки коллекций), коллекции, план, покупки, надгробия, история версий, картинки
+async function purgeOwnerData(client, owner) {
+  const counts = {};
+  const del = async (key, sql) => {
+    counts[key] = (await client.query(sql, [owner])).rowCount;
+  };
+  await del("recipes", `delete from local_recipes where owner=$1`);
+  await del("collections", `delete from collections where owner=$1`);
+  await del("mealPlan", `delete from meal_plan_entries where owner=$1`);
+  await del("shopping", `delete from shopping_items where owner=$1`);
+  await client.query(`delete from local_recipe_tombstones where owner=$1`, [owner]);
+  await client.query(`delete from recipe_versions where scope='local' and owner=$1`, [owner]);
+  return counts;
+}
+
+// анонимы, не заходившие ANON_OWNER_TTL_DAYS: удаляем пачками, каждого в своей транзакции
+async function purgeAbandonedAnonOwners({ days = retentionDays("ANON_OWNER_TTL_DAYS", 180) } = {}) {
+  const { rows } = await pool.query(
+    `select id from anon_owners
+      where last_seen_at < now() - make_interval(days => $1)
+      order by last_seen_at
+      limit $2`,
+    [days, ANON_PURGE_BATCH]
+  );
+  const total = { owners: 0, recipes: 0, collections: 0, mealPlan: 0, shopping: 0, media: 0 };
+
+  for (const { id } of rows) {
+    const client = await pool.connect();
+    let media = [];
+    try {
+      await client.query("begin");
+      // за время чистки мог вернуться — тогда не трогаем
+      const { rowCount } = await client.query(
+        `delete from anon_owners where id=$1 and last_seen_at < now() - make_interval(days => $2)`,
+        [id, days]
+      );
+      if (!rowCount) {
+        await client.query("rollback");
+        continue;
+      }
+      const counts = await purgeOwnerData(client, id);
+      media = (await client.query(`select * from media where owner=$1`, [id])).rows;
+      await client.query("commit");
+      total.owners++;
+      for (const [k, v] of Object.entries(counts)) total[k] += v;
+    } catch (e) {
+      await client.query("rollback").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+    // байты картинок (large object / файл) — после коммита, по одной
+    for (const row of media) {
+      await deleteMedia(pool, row);
+      total.media++;
+    }
+    anonSeenAt.delete(id);
+  }
+  return { ...total, days, more: rows.length === ANON_PURGE_BATCH };
+}
+
+// устаревшие служебные данные: { key: сколько удалено }
+const PRUNE_RULES = [
+  { key: "rateLimits", sql: `delete from rate_limits where reset_at < now()` },
+  { key: "botDialogs", sql: `delete from bot_dialogs where expires_at < now()` },
+  { key: "botListFilters", sql: `delete from bot_list_filters where expires_at < now()` },
+  {
+    key: "sessions",
+    days: () => retentionDays("SESSION_RETENTION_DAYS", 30),
+    sql: `delete from sessions
+           where expires_at < now() - make_interval(days => $1)
+              or revoked_at < now() - make_interval(days => $1)`,
+  },
+  {
+    key: "tombstones",
+    days: () => retentionDays("TOMBSTONE_TTL_DAYS", 180),
+    sql: `delete from local_recipe_tombstones where deleted_at < now() - make_interval(days => $1)`,
+  },
+  {
+    key: "commentReports",
+    days: () => retentionDays("REPORT_RETENTION_DAYS", 90),
+    sql: `delete from recipe_comment_reports where resolved_at < now() - make_interval(days => $1)`,
+  },
+  {
+    key: "shareLinks",
+    days: () => 30,
+    sql: `delete from recipe_share_links
+           where revoked_at < now() - make_interval(days => $1)
+              or expires_at < now() - make_interval(days => $1)`,
+  },
+  {
+    key: "jobRuns",
+    days: () => retentionDays("JOB_HISTORY_DAYS", 30),
+    sql: `delete from job_runs where status <> 'running' and started_at < now() - make_interval(days => $1)`,
+  },
+];
+
+async function pruneStaleData() {
+  const out = {};
+  for (const rule of PRUNE_RULES) {
+    out[rule.key] = (await pool.query(rule.sql, rule.days ? [rule.days()] : [])).rowCount;
+  }
+  return out;
+}
+
+jobs.define({
+  name: "purge-anon-owners",
+  schedule: "30 3 * * *",
+  description: "удалить данные анонимов, не заходивших ANON_OWNER_TTL_DAYS",
+  retries: 3,
+  backoffMs: 10 * 60_000,
+  run: () => purgeAbandonedAnonOwners(),
+});
+
+jobs.define({
+  name: "prune-stale-data",
+  schedule: "15 * * * *",
+  description: "чистка лимитов, диалогов бота, старых сессий, надгробий, жалоб, ссылок и истории задач",
+  retries: 2,
+  backoffMs: 5 * 60_000,
+  run: () => pruneStaleData(),
+});
+
+if (process.env.TELEGRAM_BOT_TOKEN || process.env.TG_BOT_TOKEN) {
+  jobs.define({
+    name: "meal-plan-reminders",
+    schedule: "*/5 * * * *",
+    description: "утреннее сообщение с планом питания в боте",
+    run: async () => ({ sent: await sendMealPlanReminders() }),
+  });
+}
+
+app.get("/admin/jobs", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json({ enabled: process.env.JOBS_ENABLED !== "0", jobs: await jobs.list() });
+  } catch (e) {
+    console.error("GET /admin/jobs error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+app.get("/admin/jobs/:name/runs", requireAuth, requireAdmin, async (req, res) => {
+  if (!jobs.has(req.params.name)) return res.status(404).json({ error: "not found" });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json(await jobs.history(req.params.name, { limit }));
+  } catch (e) {
+    console.error("GET /admin/jobs/:name/runs error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// запустить сейчас и дождаться результата; занято другим инстансом/запуском — 409
+app.post("/admin/jobs/:name/run", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { run, error } = await jobs.runJob(req.params.name, { trigger: "manual" });
+    if (error === "unknown_job") return res.status(404).json({ error: "not found" });
+    if (error === "busy") return res.status(409).json({ error: "busy" });
+    res.status(run.status === "ok" ? 200 : 500).json(run);
+  } catch (e) {
+    console.error("POST /admin/jobs/:name/run error:", e);
+    res.status(500).json({ error: "internal" });
+  }
+});
+
+// =====================================================================
+// =========================== TELEGRAM BOT =============================
+// =====================================================================
+// Режим получения апдейтов — BOT_MODE:
+//   polling (по умолчанию) — для локальной разработки; на нескольких инстансах
+//                            Telegram отвечает 409, поэтому в проде — webhook
+//   webhook                — Telegram шлёт апдейты POST'ом на BOT_WEBHOOK_PATH этого app.
+//                            Адрес: BOT_WEBHOOK_URL или PUBLIC_URL/RENDER_EXTERNAL_URL + путь.
+//                            Подлинность — заголовок X-Telegram-Bot-Api-Secret-Token
+//                            = BOT_WEBHOOK_SECRET (обязателен, без него webhook не стартует).
+// BOT_WEBHOOK_SET=0 — не вызывать setWebhook при старте (адрес уже выставлен / тесты).
+const BOT_ALLOWED_UPDATES = ["message", "callback_query", "inline_query"];
+const BOT_WEBHOOK_PATH = process.env.BOT_WEBHOOK_PATH || "/telegram/webhook";
+
+let webhookBot = null; // Telegraf, когда бот запущен в режиме webhook
+
+function getBotMode() {
+  const mode = process.env.BOT_MODE || (process.env.BOT_WEBHOOK_URL ? "webhook" : "polling");
+  if (mode !== "polling" && mode !== "webhook") {
+    throw new Error(`unknown BOT_MODE "${mode}" (use: polling | webhook)`);
+  }
+  return mode;
+}
+
+// одинаковый на всех инстансах; Telegram допускает 1–256 символов A-Z a-z 0-9 _ -
+const BOT_WEBHOOK_SECRET_RE = /^[A-Za-z0-9_-]{1,256}$/;
+
+// -> секрет | null (не задан или с недопустимыми символами)
+function getBotWebhookSecret() {
+  const secret = process.env.BOT_WEBHOOK_SECRET || "";
+  return BOT_WEBHOOK_SECRET_RE.test(secret) ? secret : null;
+}
+
+function getBotWebhookUrl() {
+  if (process.env.BOT_WEBHOOK_URL) return process.env.BOT_WEBHOOK_URL;
+  const base = process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL;
+  return base ? `${base.replace(/\/+$/, "")}${BOT_WEBHOOK_PATH}` : null;
+}
+
+app.post(BOT_WEBHOOK_PATH, async (req, res) => {
+  if (!webhookBot) return res.status(503).json({ error: "bot_not_ready" });
+
+  const expected = Buffer.from(getBotWebhookSecret() || "");
+  const got = Buffer.from(String(req.get("X-Telegram-Bot-Api-Secret-Token") || ""));
+  if (!expected.length || got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) {
+    return res.status(401).json({ error: "bad_secret" });
+  }
+  const update = req.body;
+  if (!update || typeof update !== "object" || !Number.isInteger(update.update_id)) {
+    return res.status(400).json({ error: "bad_update" });
+  }
+
+  // сначала 200, потом обработка: Telegram ждёт ответ недолго и при таймауте шлёт апдейт
+  // повторно, а медленный хэндлер (импорт, рассылка) держал бы очередь этого чата
+  res.json({ ok: true });
+  webhookBot.handleUpdate(update).catch((e) => {
+    // ошибки хэндлеров уже в bot.catch
+    console.error("webhook update failed:", e);
+  });
+});
+
+async function startBot() {
+  const BOT = process.env.TELEGRAM_BOT_TOKEN || process.env.TG_BOT_TOKEN;
+  if (!BOT) {
+    console.warn("TELEGRAM_BOT_TOKEN is not set — bot is disabled.");
+    return;
+  }
+
+  const bot = new Telegraf(BOT);
+
+  // лог ошибок telegraf-хэндлеров
+  bot.catch((err, ctx) => {
+    console.error("Telegraf error on", ctx?.updateType, err);
+  });
+
+  // лимит частоты на команды и кнопки; о превышении говорим один раз за окно
+  if (botRateLimiter) {
+    bot.use(async (ctx, next) => {
+      if (!ctx.from) return next();
+      const r = await botRateLimiter.check(`tg:${ctx.from.id}`);
+      if (r.allowed) return next();
+      const msg = `Слишком часто. Попробуйте через ${r.retryAfter} с.`;
+      try {
+        if (ctx.callbackQuery) await ctx.answerCbQuery(msg);
+        else if (ctx.inlineQuery) await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+        else if (ctx.chat && r.count === r.limit + 1) await ctx.reply(msg);
+      } catch {}
+    });
+  }
+
+  // доступ: разрешаем только если в users.bot_enabled != false
+  bot.use(async (ctx, next) => {
+    try {
+      if (!ctx.from) return; // пропускаем сервисные апдейты
+      if (ctx.inlineQuery) return next(); // inline ищет только по общим рецептам
+      const tgId = String(ctx.from.id);
+      const { rows } = await pool.query(
+        `select bot_enabled from users where tg_id=$1`,
+        [tgId]
+      );
+      const allowed = rows.length ? rows[0].bot_enabled !== false : true; // по умолчанию true
+      if (!allowed) {
+        await ctx.reply(
           "Ваш Telegram отвязан от веб-аккаунта.\n" +
           "Зайдите на сайт и включите «Доступ бота», чтобы снова открыть рецепты."
         );
-        return; // не пускаем дальше
+        return; // не пускаем дальше
+      }
+    } catch (e) {
+      console.error("bot access check failed:", e);
+      try { await ctx.reply("Временная ошибка доступа."); } catch {}
+      return;
+    }
+    return next();
+  });
+
+  // быстрая диагностика
+  bot.command("ping", (ctx) => ctx.reply("pong ✅"));
+
+  const PAGE_SIZE = 5;
+
+  // ===== helpers =====
+  // "выложено" = в глобале лежит рецепт с тем же id и автором
+  async function getPublishedSet(owner) {
+    const { rows } = await pool.query(
+      `select lr.id
+         from local_recipes lr
+         join recipes r on r.id = lr.id and r.author = lr.owner
+        where lr.owner = $1`,
+      [owner]
+    );
+    return new Set(rows.map(r => r.id));
+  }
+
+  function escapeMd(s = "") {
+    return String(s).replace(/[_*[\]()~`>#+\-=|{}.!]/g, "\\$&");
+  }
+
+  function normalizeForGlobal(rec) {
+    const base = {
+      id: rec.id,
+      title: rec.title,
+      description: rec.description || "",
+      cover: rec.cover,
+      createdAt: rec.createdAt || Date.now(),
+      favorite: !!rec.favorite,
+      categories: rec.categories || [],
+      done: !!rec.done,
+      servings: rec.servings,
+      parts: Array.isArray(rec.parts) ? rec.parts : [],
+      stepPhotos: Array.isArray(rec.stepPhotos) ? rec.stepPhotos : [],
+      ingredients: [],
+      steps: [],
+    };
+    if (!Array.isArray(rec.parts) || rec.parts.length === 0) {
+      base.ingredients = Array.isArray(rec.ingredients) ? rec.ingredients : [];
+      base.steps = Array.isArray(rec.steps) ? rec.steps : [];
+    }
+    return base;
+  }
+
+  // обложка для replyWithPhoto: http(s) — ссылкой, media:<id> — байтами из хранилища
+  async function coverForTelegram(cover) {
+    if (typeof cover !== "string") return null;
+    if (/^https?:\/\//i.test(cover)) return cover;
+    const mediaId = parseMediaRef(cover);
+    if (!mediaId) return null;
+    const media = await loadMedia(pool, mediaId);
+    return media ? { source: media.buffer } : null;
+  }
+
+  // текст карточки рецепта (OPEN, inline-результаты); status — строка под названием
+  function recipeCardText(r, status = null) {
+    const title = r.title || "Без названия";
+    const ingredients =
+      (Array.isArray(r.parts) && r.parts.length
+        ? r.parts.flatMap((p) => p.ingredients)
+        : r.ingredients) || [];
+    const steps =
+      (Array.isArray(r.parts) && r.parts.length
+        ? r.parts.flatMap((p) => p.steps)
+        : r.steps) || [];
+
+    return (
+      `*${escapeMd(title)}*\n` +
+      (status ? `${status}\n` : "") +
+      (r.servings ? `Порций: ${r.servings}\n` : "") +
+      (r.description ? `\n${escapeMd(r.description)}\n` : "") +
+      (ingredients.length
+        ? `\n*Ингредиенты:*\n• ${escapeMd(ingredients.join("\n• "))}\n`
+        : "") +
+      (steps.length
+        ? `\n*Шаги:*\n${escapeMd(steps.map((s, i) => `${i + 1}. ${s}`).join("\n"))}\n`
+        : "")
+    );
+  }
+
+  const badgeTitle = (title, isPublished) =>
+    (isPublished ? `${title} · 🌐` : title);
+
+  // лайки выложенного рецепта: { likes, liked } для tg-пользователя
+  async function recipeLikeState(id, tgId) {
+    const { rows } = await pool.query(
+      `select coalesce(s.likes, 0) as likes,
+              exists (select 1 from recipe_likes l where l.recipe_id = $1 and l.tg_id = $2) as liked
+         from recipes t
+         left join recipe_stats s on s.recipe_id = t.id
+        where t.id = $1`,
+      [id, String(tgId)]
+    );
+    return rows[0] || null;
+  }
+
+  // клавиатура карточки рецепта (OPEN и после PUB/UNPUB/LIKE); like — { likes, liked }
+  function cardKeyboard(id, page, isPublished, like = null) {
+    const rows = [];
+    if (isPublished) {
+      if (like) {
+        rows.push([Markup.button.callback(`${like.liked ? "❤️" : "🤍"} ${like.likes}`, `LIKE:${id}:${page}`)]);
+      }
+      rows.push([Markup.button.callback("🗑 Удалить из глобала", `UNPUB:${id}:${page}`)]);
+    } else {
+      rows.push([Markup.button.callback("📤 Выложить в глобал", `PUB:${id}:${page}`)]);
+    }
+    rows.push([
+      Markup.button.callback("✏️ Изменить", `EDIT:${id}:${page}`),
+      Markup.button.callback("🛒 В список покупок", `SHOPADD:${id}:${page}`),
+    ]);
+    rows.push([Markup.button.callback("📚 В коллекцию", `CADD:${id}`)]);
+    rows.push([Markup.button.callback("← К списку", `LIST:${page}`)]);
+    return Markup.inlineKeyboard(rows);
+  }
+
+  // список покупок: по кнопке на позицию, нажатие — отметить/снять
+  const SHOP_MAX_BUTTONS = 40;
+
+  async function renderShoppingList(owner) {
+    const items = await getShoppingList(pool, owner);
+    if (!items.length) {
+      return {
+        text: "🛒 Список покупок пуст.\nДобавьте рецепт кнопкой «В список покупок» в карточке.",
+        kb: Markup.inlineKeyboard([[Markup.button.callback("Мои рецепты", "LIST:0")]]),
+      };
+    }
+    const left = items.filter((i) => !i.checked).length;
+    const rows = items.slice(0, SHOP_MAX_BUTTONS).map((i) => [
+      Markup.button.callback(`${i.checked ? "✅" : "⬜"} ${i.text}`.slice(0, 60), `SHOP:${i.id}`),
+    ]);
+    rows.push([
+      Markup.button.callback("🧹 Убрать отмеченные", "SHOPCLR"),
+      Markup.button.callback("🔄", "SHOPREF"),
+    ]);
+    const more = items.length > SHOP_MAX_BUTTONS ? `\n(показаны первые ${SHOP_MAX_BUTTONS})` : "";
+    return {
+      text: `🛒 Список покупок: осталось ${left} из ${items.length}${more}`,
+      kb: Markup.inlineKeyboard(rows),
+    };
+  }
+
+  // ===== диалоги: мастер /new и правка поля =====
+  // Состояние — в bot_dialogs (переживает рестарт), живёт BOT_DIALOG_TTL_MIN минут.
+  const BOT_DIALOG_TTL_MIN = Number(process.env.BOT_DIALOG_TTL_MIN) || 60;
+
+  async function getDialog(tgId) {
+    const { rows } = await pool.query(
+      `select kind, state from bot_dialogs where tg_id=$1 and expires_at > now()`,
+      [String(tgId)]
+    );
+    return rows[0] || null;
+  }
+
+  async function setDialog(tgId, kind, state) {
+    await pool.query(
+      `insert into bot_dialogs (tg_id, kind, state, expires_at)
+       values ($1,$2,$3, now() + make_interval(mins => $4))
+       on conflict (tg_id) do update set kind=excluded.kind, state=excluded.state, expires_at=excluded.expires_at`,
+      [String(tgId), kind, state, BOT_DIALOG_TTL_MIN]
+    );
+  }
+
+  async function clearDialog(tgId) {
+    await pool.query(`delete from bot_dialogs where tg_id=$1`, [String(tgId)]);
+  }
+
+  // Ингредиенты и шаги вводятся текстом, по строке на пункт (разбор — parseSections
+  // из recipe-import.js): строка "Тесто:" или "# Тесто" начинает часть рецепта.
+  function sectionsToText(sections) {
+    return sections
+      .map((s) => (s.title ? `${s.title}:\n` : "") + s.items.join("\n"))
+      .join("\n\n");
+  }
+
+  // рецепт -> { ingredients: sections, steps: sections }
+  function recipeSections(r) {
+    if (Array.isArray(r.parts) && r.parts.length) {
+      return {
+        ingredients: r.parts.map((p) => ({ title: p.title || null, items: p.ingredients || [] })),
+        steps: r.parts.map((p) => ({ title: p.title || null, items: p.steps || [] })),
+      };
+    }
+    return {
+      ingredients: [{ title: null, items: r.ingredients || [] }],
+      steps: [{ title: null, items: r.steps || [] }],
+    };
+  }
+
+  // сохранить рецепт пользователя бота; -> { ok: true } | { errors }
+  async function saveBotRecipe(owner, id, data) {
+    const { value, errors } = validateRecipe({ ...data, id, updatedAt: Date.now() });
+    if (errors.length) return { errors };
+    await pool.query(
+      `insert into local_recipes (owner, id, data) values ($1,$2,$3)
+       on conflict (owner, id) do update set data=excluded.data, updated_at=now()`,
+      [owner, id, value]
+    );
+    return { ok: true };
+  }
+
+  function invalidText(errors) {
+    const fields = [...new Set(errors.map((e) => e.path))].slice(0, 5).join(", ");
+    return `Не получилось сохранить: проверьте ${fields}.`;
+  }
+
+  const MEDIA_QUOTA_TEXT = "Место под фото закончилось — удалите ненужные картинки или пропустите обложку.";
+
+  // самое большое фото из сообщения -> "media:<id>"
+  async function storeTelegramPhoto(ctx, owner) {
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
+    if (photo.file_size && photo.file_size > MEDIA_MAX_BYTES) return { error: "too_large" };
+    const link = await ctx.telegram.getFileLink(photo.file_id);
+    const r = await fetch(String(link));
+    if (!r.ok) throw new Error(`photo download failed: ${r.status}`);
+    const buffer = Buffer.from(await r.arrayBuffer());
+    if (buffer.length > MEDIA_MAX_BYTES) return { error: "too_large" };
+    const stored = await storeOwnerMedia(owner, buffer);
+    if (stored.error) return stored;
+    return { cover: `${MEDIA_REF_PREFIX}${stored.id}` };
+  }
+
+  const WIZARD_STEPS = ["title", "description", "ingredients", "steps", "categories", "cover"];
+  const WIZARD_PROMPTS = {
+    title: "Как называется рецепт?",
+    description: "Короткое описание (или «Пропустить»).",
+    ingredients:
+      "Ингредиенты — по одному в строке, например:\n200 г муки\n2 яйца\n\n" +
+      "Если в рецепте несколько частей, начните часть строкой с двоеточием:\nТесто:\n…\nНачинка:\n…",
+    steps: "Шаги приготовления — по одному в строке (части — так же, как в ингредиентах).",
+    categories: "Категории через запятую, например: суп, обед (или «Пропустить»).",
+    cover: "Пришлите фото для обложки (или «Пропустить»).",
+  };
+  const WIZARD_OPTIONAL = new Set(["description", "categories", "cover"]);
+
+  function wizardKeyboard(step) {
+    const row = [];
+    if (WIZARD_OPTIONAL.has(step)) row.push(Markup.button.callback("Пропустить", "WIZ:skip"));
+    row.push(Markup.button.callback("Отмена", "WIZ:cancel"));
+    return Markup.inlineKeyboard([row]);
+  }
+
+  async function askWizardStep(ctx, step) {
+    const n = WIZARD_STEPS.indexOf(step) + 1;
+    await ctx.reply(`Шаг ${n}/${WIZARD_STEPS.length}. ${WIZARD_PROMPTS[step]}`, wizardKeyboard(step));
+  }
+
+  // следующий шаг мастера или сохранение
+  async function advanceWizard(ctx, state) {
+    const next = WIZARD_STEPS[WIZARD_STEPS.indexOf(state.step) + 1];
+    if (next) {
+      await setDialog(ctx.from.id, "new", { ...state, step: next });
+      return askWizardStep(ctx, next);
+    }
+
+    const owner = `tg:${ctx.from.id}`;
+    const d = state.draft;
+    const id = crypto.randomUUID();
+    const result = await saveBotRecipe(owner, id, {
+      title: d.title,
+      description: d.description || "",
+      cover: d.cover,
+      categories: d.categories || [],
+      favorite: false,
+      done: false,
+      createdAt: Date.now(),
+      ...sectionsToRecipeBody(d.ingredients || [], d.steps || []),
+    });
+    await clearDialog(ctx.from.id);
+    if (result.errors) return ctx.reply(invalidText(result.errors));
+    await ctx.reply(
+      `Рецепт «${d.title}» сохранён ✅`,
+      Markup.inlineKeyboard([
+        [Markup.button.callback("Открыть", `OPEN:${id}:0`)],
+        [Markup.button.callback("Мои рецепты", "LIST:0")],
+      ])
+    );
+  }
+
+  // ответ на шаг мастера: -> false, если ввод не подходит
+  async function handleWizardInput(ctx, state) {
+    const owner = `tg:${ctx.from.id}`;
+    const text = ctx.message.text;
+    const draft = { ...state.draft };
+
+    if (state.step === "cover") {
+      if (!ctx.message.photo) return ctx.reply("Нужно фото — или нажмите «Пропустить».", wizardKeyboard("cover"));
+      const stored = await storeTelegramPhoto(ctx, owner);
+      if (stored.error === "quota_exceeded") return ctx.reply(MEDIA_QUOTA_TEXT, wizardKeyboard("cover"));
+      if (stored.error) return ctx.reply("Это фото не подошло, пришлите другое.", wizardKeyboard("cover"));
+      draft.cover = stored.cover;
+    } else {
+      if (typeof text !== "string" || !cleanText(text)) {
+        return ctx.reply("Пришлите ответ текстом.", wizardKeyboard(state.step));
+      }
+      if (text.startsWith("/")) return ctx.reply("Сейчас идёт создание рецепта. Прервать — /cancel.");
+      if (state.step === "title") {
+        draft.title = cleanText(text).slice(0, RECIPE_LIMITS.title);
+      } else if (state.step === "description") {
+        draft.description = cleanText(text).slice(0, RECIPE_LIMITS.description);
+      } else if (state.step === "ingredients" || state.step === "steps") {
+        const sections = parseSections(text);
+        if (!sections.length) return ctx.reply("Не нашёл ни одного пункта, попробуйте ещё раз.");
+        draft[state.step] = sections;
+      } else if (state.step === "categories") {
+        draft.categories = text.split(",").map(cleanText).filter(Boolean);
+      }
+    }
+    return advanceWizard(ctx, { ...state, draft });
+  }
+
+  bot.command("new", async (ctx) => {
+    try {
+      if (ctx.chat?.type !== "private") return ctx.reply("Создавать рецепты можно в личном чате с ботом.");
+      await setDialog(ctx.from.id, "new", { step: "title", draft: {} });
+      await ctx.reply("Новый рецепт. В любой момент — /cancel.");
+      await askWizardStep(ctx, "title");
+    } catch (e) {
+      console.error("/new failed:", e);
+      await ctx.reply("Что-то пошло не так. Попробуйте ещё раз позже.");
+    }
+  });
+
+  bot.command("cancel", async (ctx) => {
+    try {
+      await clearDialog(ctx.from.id);
+      await ctx.reply("Отменено.");
+    } catch (e) {
+      console.error("/cancel failed:", e);
+    }
+  });
+
+  bot.action(/^WIZ:(skip|cancel|clear)$/, async (ctx) => {
+    try {
+      const dialog = await getDialog(ctx.from.id);
+      if (!dialog) return ctx.answerCbQuery("Диалог уже завершён");
+      await ctx.answerCbQuery();
+      if (ctx.match[1] === "cancel") {
+        await clearDialog(ctx.from.id);
+        return ctx.reply("Отменено.");
+      }
+      if (dialog.kind === "edit") {
+        if (ctx.match[1] !== "clear") return;
+        return applyRecipeEdit(ctx, dialog.state, null);
+      }
+      if (!WIZARD_OPTIONAL.has(dialog.state.step)) return;
+      await advanceWizard(ctx, dialog.state);
+    } catch (e) {
+      console.error("WIZ action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  // ===== правка одного поля рецепта =====
+  const EDIT_FIELDS = {
+    t: { label: "Название", key: "title" },
+    d: { label: "Описание", key: "description", optional: true },
+    i: { label: "Ингредиенты", key: "ingredients" },
+    s: { label: "Шаги", key: "steps" },
+    c: { label: "Категории", key: "categories", optional: true },
+    n: { label: "Порции", key: "servings", optional: true },
+    p: { label: "Обложка", key: "cover", optional: true },
+  };
+
+  function editFieldValueText(r, field) {
+    switch (field) {
+      case "t": return r.title || "";
+      case "d": return r.description || "";
+      case "i": return sectionsToText(recipeSections(r).ingredients);
+      case "s": return sectionsToText(recipeSections(r).steps);
+      case "c": return (r.categories || []).join(", ");
+      case "n": return r.servings ? String(r.servings) : "";
+      default: return "";
+    }
+  }
+
+  // value === null — очистить поле; -> сообщение об ошибке или сохраняет и отвечает
+  async function applyRecipeEdit(ctx, state, value) {
+    const owner = `tg:${ctx.from.id}`;
+    const { rows } = await pool.query(
+      `select data from local_recipes where owner=$1 and id=$2`,
+      [owner, state.id]
+    );
+    if (!rows.length) {
+      await clearDialog(ctx.from.id);
+      return ctx.reply("Рецепт не найден.");
+    }
+    const r = { ...rows[0].data };
+    const { key, optional } = EDIT_FIELDS[state.field];
+    if (value === null && !optional) return ctx.reply("Это поле нельзя очистить.");
+
+    if (key === "ingredients" || key === "steps") {
+      const sec = recipeSections(r);
+      let parsed = parseSections(value);
+      if (!parsed.length) return ctx.reply("Не нашёл ни одного пункта, попробуйте ещё раз.");
+      // текст без заголовков у рецепта из частей: иначе появилась бы лишняя часть «Основное»
+      const parts = Array.isArray(r.parts) ? r.parts : [];
+      if (parts.length && parsed.every((s) => !s.title)) {
+        if (parts.length > 1) {
+          const example = parts.map((p, i) => `${p.title || `Часть ${i + 1}`}:\n…`).join("\n");
+          return ctx.reply(`В рецепте несколько частей — начните каждую строкой с двоеточием:\n${example}`);
+        }
+        parsed = [{ title: parts[0].title || null, items: parsed.flatMap((s) => s.items) }];
+      }
+      sec[key] = parsed;
+      Object.assign(r, sectionsToRecipeBody(sec.ingredients, sec.steps));
+    } else if (key === "categories") {
+      r.categories = value === null ? [] : value.split(",").map(cleanText).filter(Boolean);
+    } else if (key === "servings") {
+      if (value === null) {
+        delete r.servings;
+      } else {
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 1 || n > RECIPE_LIMITS.servings) {
+          return ctx.reply(`Нужно целое число от 1 до ${RECIPE_LIMITS.servings}.`);
+        }
+        r.servings = n;
+      }
+    } else if (value === null) {
+      r[key] = key === "cover" ? undefined : "";
+    } else {
+      r[key] = value;
+    }
+
+    const result = await saveBotRecipe(owner, state.id, r);
+    if (result.errors) return ctx.reply(invalidText(result.errors));
+    await clearDialog(ctx.from.id);
+    await ctx.reply(
+      `${EDIT_FIELDS[state.field].label}: сохранено ✅`,
+      Markup.inlineKeyboard([[Markup.button.callback("Открыть рецепт", `OPEN:${state.id}:${state.page || 0}`)]])
+    );
+  }
+
+  bot.action(/^EDIT:([^:]+):(\d+)$/, async (ctx) => {
+    try {
+      const [, id, page] = ctx.match;
+      const fields = Object.entries(EDIT_FIELDS).map(([f, { label }]) =>
+        Markup.button.callback(label, `EDF:${id}:${f}:${page}`)
+      );
+      const rows = [];
+      for (let i = 0; i < fields.length; i += 2) rows.push(fields.slice(i, i + 2));
+      rows.push([Markup.button.callback("← Назад", `OPEN:${id}:${page}`)]);
+      await ctx.answerCbQuery("Что изменить?");
+      await ctx.editMessageReplyMarkup(Markup.inlineKeyboard(rows).reply_markup);
+    } catch (e) {
+      console.error("EDIT action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  bot.action(/^EDF:([^:]+):([tdiscnp]):(\d+)$/, async (ctx) => {
+    try {
+      const [, id, field, page] = ctx.match;
+      const owner = `tg:${ctx.from.id}`;
+      const { rows } = await pool.query(
+        `select data from local_recipes where owner=$1 and id=$2`,
+        [owner, id]
+      );
+      if (!rows.length) return ctx.answerCbQuery("Не найдено");
+
+      await setDialog(ctx.from.id, "edit", { id, field, page: Number(page) });
+      await ctx.answerCbQuery();
+
+      const { label, optional } = EDIT_FIELDS[field];
+      const current = editFieldValueText(rows[0].data || {}, field);
+      const prompt =
+        field === "p"
+          ? "Пришлите новое фото для обложки."
+          : `${label} — пришлите новое значение.` +
+            (current ? `\n\nСейчас (можно скопировать и поправить):\n${current}` : "");
+      const buttons = [];
+      if (optional) buttons.push(Markup.button.callback("🧹 Очистить", "WIZ:clear"));
+      buttons.push(Markup.button.callback("Отмена", "WIZ:cancel"));
+      await ctx.reply(prompt.slice(0, 4000), Markup.inlineKeyboard([buttons]));
+    } catch (e) {
+      console.error("EDF action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  async function handleEditInput(ctx, state) {
+    if (state.field === "p") {
+      if (!ctx.message.photo) return ctx.reply("Нужно фото.");
+      const stored = await storeTelegramPhoto(ctx, `tg:${ctx.from.id}`);
+      if (stored.error === "quota_exceeded") return ctx.reply(MEDIA_QUOTA_TEXT);
+      if (stored.error) return ctx.reply("Это фото не подошло, пришлите другое.");
+      return applyRecipeEdit(ctx, state, stored.cover);
+    }
+    const text = ctx.message.text;
+    if (typeof text !== "string" || !cleanText(text)) return ctx.reply("Пришлите новое значение текстом.");
+    return applyRecipeEdit(ctx, state, state.field === "i" || state.field === "s" ? text : cleanText(text));
+  }
+
+  // ===== /start =====
+  bot.start(async (ctx) => {
+    try {
+      const owner = `tg:${ctx.from.id}`;
+      const totalRow = (await pool.query(
+        `select count(*)::int as c from local_recipes where owner=$1`,
+        [owner]
+      )).rows[0] || { c: 0 };
+
+      const pubRow = (await pool.query(
+        `select count(*)::int as c
+           from local_recipes lr
+           join recipes r on r.id = lr.id and r.author = lr.owner
+          where lr.owner=$1`,
+        [owner]
+      )).rows[0] || { c: 0 };
+
+      const total = totalRow.c || 0;
+      const published = pubRow.c || 0;
+
+      await ctx.reply(
+        `Привет, ${escapeMd(ctx.from.first_name || "друг")}!\n` +
+        `У тебя *${total}* рецепт(ов), из них *${published}* выложено 🌐.\n` +
+        `Нажми, чтобы посмотреть список, или /new — добавить рецепт.`,
+        Markup.inlineKeyboard([[
+          Markup.button.callback("Мои рецепты", "LIST:0"),
+          Markup.button.callback("📚 Коллекции", "COLS"),
+        ], [
+          Markup.button.callback("🤝 Со мной поделились", "SHL"),
+        ]])
+      );
+    } catch (e) {
+      console.error("/start failed:", e);
+      await ctx.reply("Что-то пошло не так. Попробуйте ещё раз позже.");
+    }
+  });
+
+  // ===== список: поиск, категории, флаги, сортировка =====
+  // Фильтр хранится в bot_list_filters (BOT_LIST_FILTER_TTL_MIN), в callback только страница:
+  // LIST:<page> листает с текущим фильтром, LF:<op>[:arg] меняет фильтр и возвращает на 1-ю страницу.
+  const BOT_LIST_FILTER_TTL_MIN = Number(process.env.BOT_LIST_FILTER_TTL_MIN) || 120;
+  const BOT_LIST_SORTS = {
+    updated: "🕒 изменённые",
+    created: "📅 созданные",
+    title: "🔤 по алфавиту",
+    relevance: "🎯 по совпадению",
+  };
+  const BOT_MAX_CATEGORY_BUTTONS = 30;
+
+  // флаг из data. Старые данные: "yes", "1", 1 — (->>)::boolean понимает, а на "да", 2, ""
+  // падает весь запрос. Поэтому по типу jsonb: строки, которые Postgres читает как
+  // boolean, — как он; прочие значения — как карточка (!!rec.favorite): непустое и не 0 — да.
+  function jsonTruthy(expr) {
+    return `(case jsonb_typeof(${expr})
+      when 'boolean' then (${expr})::boolean
+      when 'number' then (${expr})::numeric <> 0
+      when 'string' then lower(btrim(${expr} #>> '{}')) not in ('', 'false', 'f', 'no', 'n', 'off', '0')
+      when 'object' then true
+      when 'array' then true
+      else false end)`;
+  }
+
+  // { q, category, favorite, done: true|false|null, published, sort, cats }
+  async function getListFilter(tgId) {
+    const { rows } = await pool.query(
+      `select filter from bot_list_filters where tg_id=$1 and expires_at > now()`,
+      [String(tgId)]
+    );
+    return rows[0]?.filter || {};
+  }
+
+  async function saveListFilter(tgId, filter) {
+    await pool.query(
+      `insert into bot_list_filters (tg_id, filter, expires_at)
+       values ($1,$2, now() + make_interval(mins => $3))
+       on conflict (tg_id) do update set filter=excluded.filter, expires_at=excluded.expires_at`,
+      [String(tgId), filter, BOT_LIST_FILTER_TTL_MIN]
+    );
+  }
+
+  function listSortName(f) {
+    if (f.sort === "relevance" && !f.q) return "updated";
+    return BOT_LIST_SORTS[f.sort] ? f.sort : f.q ? "relevance" : "updated";
+  }
+
+  // -> { rows: [{ id, data, published }], total }
+  async function queryOwnerList(owner, f, page) {
+    const args = [owner];
+    const arg = (v) => {
+      args.push(v);
+      return `$${args.length}`;
+    };
+    const published = `exists (select 1 from recipes r where r.id = t.id and r.author = t.owner)`;
+    const where = ["t.owner = $1"];
+
+    let tsq = null;
+    const tsquery = toPrefixTsQuery(f.q);
+    if (tsquery) {
+      tsq = `to_tsquery('simple', ${arg(tsquery)})`;
+      where.push(`${FTS_VECTOR} @@ ${tsq}`);
+    }
+    if (f.category) where.push(`t.data->'categories' ? ${arg(f.category)}`);
+    if (f.favorite) where.push(jsonTruthy("t.data->'favorite'"));
+    if (f.done === true) where.push(jsonTruthy("t.data->'done'"));
+    if (f.done === false) where.push(`not ${jsonTruthy("t.data->'done'")}`);
+    if (f.published) where.push(published);
+
+    const sort = LIST_SORTS[listSortName(f)];
+    const keyExpr = sort.expr(tsq || "null");
+    const { rows } = await pool.query(
+      `select t.id, t.data, ${published} as published, count(*) over () as total
+         from local_recipes t
+        where ${where.join(" and ")}
+        order by ${keyExpr} ${sort.dir}, t.id ${sort.dir}
+        limit ${arg(PAGE_SIZE)} offset ${arg(page * PAGE_SIZE)}`,
+      args
+    );
+    return { rows, total: rows.length ? Number(rows[0].total) : 0 };
+  }
+
+  function filterSummary(f) {
+    const parts = [];
+    if (f.q) parts.push(`🔎 «${f.q}»`);
+    if (f.category) parts.push(`🏷 ${f.category}`);
+    if (f.favorite) parts.push("⭐ избранные");
+    if (f.done === true) parts.push("✅ готовил");
+    if (f.done === false) parts.push("⬜ не готовил");
+    if (f.published) parts.push("🌐 выложенные");
+    return parts.join(" · ");
+  }
+
+  async function renderList(tgId, page) {
+    const owner = `tg:${tgId}`;
+    const f = await getListFilter(tgId);
+    let { rows, total } = await queryOwnerList(owner, f, page);
+    if (!rows.length && page > 0) {
+      page = 0; // фильтр сузил выдачу — начнём сначала
+      ({ rows, total } = await queryOwnerList(owner, f, page));
+    }
+    const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+    const buttons = rows.map((r) => [
+      Markup.button.callback(badgeTitle(r.data?.title || r.id, r.published), `OPEN:${r.id}:${page}`),
+    ]);
+    const nav = [];
+    if (page > 0) nav.push(Markup.button.callback("« Назад", `LIST:${page - 1}`));
+    if (page + 1 < pages) nav.push(Markup.button.callback("Вперёд »", `LIST:${page + 1}`));
+    if (nav.length) buttons.push(nav);
+
+    const doneLabel = f.done === true ? "✅ готовил" : f.done === false ? "⬜ не готовил" : "готовил: все";
+    buttons.push([
+      Markup.button.callback(`${f.favorite ? "☑️" : ""}⭐`, "LF:fav"),
+      Markup.button.callback(doneLabel, "LF:done"),
+      Markup.button.callback(`${f.published ? "☑️" : ""}🌐`, "LF:pub"),
+    ]);
+    buttons.push([
+      Markup.button.callback(`🏷 ${f.category || "категория"}`, "LF:cats"),
+      Markup.button.callback(`↕ ${BOT_LIST_SORTS[listSortName(f)]}`, "LF:sort"),
+    ]);
+    const summary = filterSummary(f);
+    if (summary) buttons.push([Markup.button.callback("✖ Сбросить фильтр", "LF:reset")]);
+
+    const text =
+      `Мои рецепты (стр. ${page + 1}/${pages})\n` +
+      (summary ? `${summary}\nНайдено: ${total}` : `Всего: ${total}`) +
+      (total ? "" : "\n\nНичего не нашлось.");
+    return { text, kb: Markup.inlineKeyboard(buttons) };
+  }
+
+  // показать список: правкой сообщения (кнопки) или новым сообщением;
+  // у карточки с фото текста нет — тогда тоже новым сообщением
+  async function showList(ctx, page, { edit = true } = {}) {
+    const { text, kb } = await renderList(ctx.from.id, page);
+    if (!edit) return ctx.reply(text, kb);
+    try {
+      await ctx.editMessageText(text, kb);
+    } catch (e) {
+      const msg = String(e?.description || e?.message);
+      if (/not modified/i.test(msg)) return;
+      if (!/no text in the message|message can't be edited/i.test(msg)) throw e;
+      await ctx.reply(text, kb);
+    }
+  }
+
+  bot.action(/^LIST:(\d+)$/, async (ctx) => {
+    try {
+      await showList(ctx, Number(ctx.match[1] || 0));
+      await ctx.answerCbQuery();
+    } catch (e) {
+      console.error("LIST action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  bot.command("find", async (ctx) => {
+    try {
+      const q = (cleanText(ctx.message.text.replace(/^\/find(@\w+)?/i, "")) || "").slice(0, 100);
+      const f = await getListFilter(ctx.from.id);
+      if (!q && !f.q) return ctx.reply("Поиск по своим рецептам: /find борщ");
+      await saveListFilter(ctx.from.id, { ...f, q: q || undefined, sort: undefined });
+      await showList(ctx, 0, { edit: false });
+    } catch (e) {
+      console.error("/find failed:", e);
+      await ctx.reply("Что-то пошло не так. Попробуйте ещё раз позже.");
+    }
+  });
+
+  bot.action(/^LF:(fav|done|pub|sort|reset|cats|nocat|cat:\d+)$/, async (ctx) => {
+    try {
+      const op = ctx.match[1];
+      const f = await getListFilter(ctx.from.id);
+
+      if (op === "cats") {
+        const { rows } = await pool.query(
+          `select distinct c from local_recipes, jsonb_array_elements_text(
+             case when jsonb_typeof(data->'categories') = 'array' then data->'categories' else '[]'::jsonb end
+           ) as c
+           where owner=$1 order by c limit ${BOT_MAX_CATEGORY_BUTTONS}`,
+          [`tg:${ctx.from.id}`]
+        );
+        if (!rows.length) return ctx.answerCbQuery("У рецептов нет категорий");
+        const cats = rows.map((r) => r.c);
+        await saveListFilter(ctx.from.id, { ...f, cats });
+        const kb = [];
+        for (let i = 0; i < cats.length; i += 2) {
+          kb.push(
+            cats.slice(i, i + 2).map((c, j) =>
+              Markup.button.callback(`${c === f.category ? "☑️ " : ""}${c}`.slice(0, 40), `LF:cat:${i + j}`)
+            )
+          );
+        }
+        kb.push([Markup.button.callback("Все категории", "LF:nocat"), Markup.button.callback("← Назад", "LIST:0")]);
+        await ctx.answerCbQuery();
+        return ctx.editMessageReplyMarkup(Markup.inlineKeyboard(kb).reply_markup);
+      }
+
+      const next = { ...f };
+      if (op === "fav") next.favorite = !f.favorite || undefined;
+      else if (op === "pub") next.published = !f.published || undefined;
+      else if (op === "done") next.done = f.done === true ? false : f.done === false ? undefined : true;
+      else if (op === "nocat") next.category = undefined;
+      else if (op === "reset") Object.assign(next, { q: undefined, category: undefined, favorite: undefined, done: undefined, published: undefined, sort: undefined });
+      else if (op === "sort") {
+        const names = Object.keys(BOT_LIST_SORTS).filter((s) => s !== "relevance" || f.q);
+        next.sort = names[(names.indexOf(listSortName(f)) + 1) % names.length];
+      } else if (op.startsWith("cat:")) {
+        const c = (f.cats || [])[Number(op.slice(4))];
+        if (!c) return ctx.answerCbQuery("Список категорий устарел, откройте заново");
+        next.category = c;
       }
+
+      await saveListFilter(ctx.from.id, next);
+      await showList(ctx, 0);
+      await ctx.answerCbQuery();
     } catch (e) {
-      console.error("bot access check failed:", e);
-      try { await ctx.reply("Временная ошибка доступа."); } catch {}
-      return;
+      console.error("LF action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  // ===== открыть карточку =====
+  bot.action(/^OPEN:([^:]+):(\d+)$/, async (ctx) => {
+    try {
+      const id = ctx.match[1];
+      const page = Number(ctx.match[2] || 0);
+      const owner = `tg:${ctx.from.id}`;
+
+      const { rows } = await pool.query(
+        `select data from local_recipes where owner=$1 and id=$2`,
+        [owner, id]
+      );
+      // своей копии нет — глобальный рецепт (кнопки старых напоминаний плана питания), только просмотр
+      if (!rows.length) return await openGlobalCard(ctx, id, page);
+
+      const r = rows[0].data || {};
+      const isPublished = (await getPublishedSet(owner)).has(id);
+      const text = recipeCardText(r, isPublished ? "🌐 *Выложено в глобал*" : "Локально");
+
+      const like = isPublished ? await recipeLikeState(id, ctx.from.id) : null;
+      const kb = cardKeyboard(id, page, isPublished, like);
+
+      const photo = await coverForTelegram(r.cover);
+      if (photo) {
+        await ctx.replyWithPhoto(photo, {
+          caption: text,
+          parse_mode: "Markdown",
+          reply_markup: kb.reply_markup,
+        });
+      } else {
+        await ctx.editMessageText(text, { parse_mode: "Markdown", ...kb });
+      }
+    } catch (e) {
+      console.error("OPEN action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  // глобальный рецепт, даже если есть своя копия с тем же id (план питания)
+  bot.action(/^GOPEN:([^:]+):(\d+)$/, async (ctx) => {
+    try {
+      await openGlobalCard(ctx, ctx.match[1], Number(ctx.match[2] || 0));
+    } catch (e) {
+      console.error("GOPEN action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  // чужой глобальный рецепт: только лайк (GLIKE — после него клавиатура остаётся этой же)
+  function globalCardKeyboard(id, page, like) {
+    return Markup.inlineKeyboard([
+      [Markup.button.callback(`${like.liked ? "❤️" : "🤍"} ${like.likes}`, `GLIKE:${id}:${page}`)],
+      [Markup.button.callback("← К списку", `LIST:${page}`)],
+    ]);
+  }
+
+  async function openGlobalCard(ctx, id, page) {
+    const row = await loadGlobalRecipeRow(pool, id);
+    if (!row) return ctx.answerCbQuery("Не найдено");
+    await ctx.answerCbQuery();
+    const r = row.data || {};
+    const text = recipeCardText(r, "🌐 *Из глобала*");
+    const kb = globalCardKeyboard(id, page, await recipeLikeState(id, ctx.from.id));
+    const photo = await coverForTelegram(r.cover);
+    if (photo) {
+      await ctx.replyWithPhoto(photo, { caption: text, parse_mode: "Markdown", reply_markup: kb.reply_markup });
+    } else {
+      await ctx.editMessageText(text, { parse_mode: "Markdown", ...kb });
+    }
+  }
+
+  // ===== план питания: /plan [завтра], /timezone [пояс] =====
+  bot.command("plan", async (ctx) => {
+    try {
+      const owner = `tg:${ctx.from.id}`;
+      const arg = ctx.message.text.split(/\s+/)[1]?.toLowerCase();
+      const today = zonedDateParts(new Date(), await ownerTimeZone(pool, owner)).date;
+      const date = arg === "завтра" || arg === "tomorrow" ? addDays(today, 1) : today;
+      const { text, buttons } = mealPlanDayMessage(date, await loadMealPlan(pool, owner, date, date));
+      await ctx.reply(text, Markup.inlineKeyboard(buttons));
+    } catch (e) {
+      console.error("/plan failed:", e);
+      await ctx.reply("Что-то пошло не так. Попробуйте ещё раз позже.");
+    }
+  });
+
+  bot.command("timezone", async (ctx) => {
+    try {
+      const tz = ctx.message.text.split(/\s+/)[1];
+      if (!tz) {
+        const { timezone } = await getUserSettings(pool, ctx.from.id);
+        return ctx.reply(`Часовой пояс: ${timezone}\nСменить: /timezone Europe/Berlin`);
+      }
+      const { settings, error } = await updateUserSettings(pool, ctx.from.id, { timezone: tz });
+      if (error) return ctx.reply("Не знаю такого пояса. Пример: /timezone Europe/Kyiv");
+      await ctx.reply(`Часовой пояс: ${settings.timezone} ✅\nПлан на день пришлю утром по этому времени.`);
+    } catch (e) {
+      console.error("/timezone failed:", e);
+      await ctx.reply("Что-то пошло не так. Попробуйте ещё раз позже.");
     }
-    return next();
   });
 
-  // быстрая диагностика
-  bot.command("ping", (ctx) => ctx.reply("pong ✅"));
+  // ===== резервная копия: /export [json|zip|markdown|jsonld] =====
+  const BOT_EXPORT_ALIASES = { md: "markdown", "json-ld": "jsonld" };
 
-  const PAGE_SIZE = 5;
+  bot.command("export", async (ctx) => {
+    try {
+      const arg = String(ctx.message.text || "").split(/\s+/)[1]?.toLowerCase() || "json";
+      const format = BOT_EXPORT_ALIASES[arg] || arg;
+      if (!EXPORT_FORMATS.includes(format)) {
+        return ctx.reply("Форматы: /export json (резервная копия), zip (с картинками), markdown, jsonld.");
+      }
+      await ctx.sendChatAction("upload_document");
+      const baseUrl = (process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || "").replace(/\/+$/, "");
+      const file = await buildRecipesExport(`tg:${ctx.from.id}`, format, { baseUrl });
+      await ctx.replyWithDocument(
+        { source: file.body, filename: file.filename },
+        format === "json" || format === "zip"
+          ? { caption: `Резервная копия рецептов (${format}).` }
+          : {}
+      );
+    } catch (e) {
+      console.error("/export failed:", e);
+      await ctx.reply("Не получилось выгрузить рецепты. Попробуйте ещё раз позже.");
+    }
+  });
 
-  // ===== helpers =====
-  async function getPublishedSet(owner) {
-    const { rows } = await pool.query(
-      `select lr.id
-         from local_recipes lr
-         join recipes r on r.id = lr.id
-        where lr.owner = $1`,
-      [owner]
-    );
-    return new Set(rows.map(r => r.id));
+  // ===== коллекции =====
+  // COLS — список, COL:<id> — рецепты коллекции, CADD:<recipeId> — в какие коллекции
+  // входит рецепт (CTOG:<collectionId>:<recipeId> переключает), COLNEW[:<recipeId>] — новая.
+  const BOT_COLLECTION_BUTTONS = 40;
+
+  async function renderCollections(owner) {
+    const cols = await listCollections(pool, owner);
+    const rows = cols.map((c) => [
+      Markup.button.callback(`${c.isPublic ? "🌐 " : ""}${c.title} · ${c.count}`.slice(0, 60), `COL:${c.id}`),
+    ]);
+    rows.push([
+      Markup.button.callback("➕ Новая коллекция", "COLNEW"),
+      Markup.button.callback("Мои рецепты", "LIST:0"),
+    ]);
+    return {
+      text: cols.length
+        ? `📚 Коллекции: ${cols.length}`
+        : "📚 Коллекций пока нет.\nСоздайте первую и добавляйте в неё рецепты кнопкой «В коллекцию» в карточке.",
+      kb: Markup.inlineKeyboard(rows),
+    };
   }
 
-  function escapeMd(s = "") {
-    return String(s).replace(/[_*[\]()~`>#+\-=|{}.!]/g, "\\$&");
+  async function renderCollectionPicker(owner, recipeId) {
+    const cols = await listCollections(pool, owner, { recipeId });
+    const rows = cols.map((c) => [
+      Markup.button.callback(`${c.hasRecipe ? "✅" : "⬜"} ${c.title}`.slice(0, 60), `CTOG:${c.id}:${recipeId}`),
+    ]);
+    rows.push([Markup.button.callback("➕ Новая коллекция", `COLNEW:${recipeId}`)]);
+    rows.push([Markup.button.callback("← К рецепту", `OPEN:${recipeId}:0`)]);
+    return { text: "В какие коллекции добавить рецепт?", kb: Markup.inlineKeyboard(rows) };
   }
 
-  function normalizeForGlobal(rec) {
-    const base = {
-      id: rec.id,
-      title: rec.title,
-      description: rec.description || "",
-      cover: rec.cover,
-      createdAt: rec.createdAt || Date.now(),
-      favorite: !!rec.favorite,
-      categories: rec.categories || [],
-      done: !!rec.done,
-      parts: Array.isArray(rec.parts) ? rec.parts : [],
-      ingredients: [],
-      steps: [],
-    };
-    if (!Array.isArray(rec.parts) || rec.parts.length === 0) {
-      base.ingredients = Array.isArray(rec.ingredients) ? rec.ingredients : [];
-      base.steps = Array.isArray(rec.steps) ? rec.steps : [];
+  bot.action(/^COLS$/, async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      const { text, kb } = await renderCollections(`tg:${ctx.from.id}`);
+      await ctx.editMessageText(text, kb).catch(() => ctx.reply(text, kb));
+    } catch (e) {
+      console.error("COLS action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
     }
-    return base;
-  }
-
-  const badgeTitle = (title, isPublished) =>
-    (isPublished ? `${title} · 🌐` : title);
+  });
 
-  // ===== /start =====
-  bot.start(async (ctx) => {
+  bot.action(/^COL:([\w-]+)$/, async (ctx) => {
     try {
       const owner = `tg:${ctx.from.id}`;
-      const totalRow = (await pool.query(
-        `select count(*)::int as c from local_recipes where owner=$1`,
-        [owner]
-      )).rows[0] || { c: 0 };
-
-      const pubRow = (await pool.query(
-        `select count(*)::int as c
-           from local_recipes lr
-           join recipes r on r.id = lr.id
-          where lr.owner=$1`,
-        [owner]
-      )).rows[0] || { c: 0 };
-
-      const total = totalRow.c || 0;
-      const published = pubRow.c || 0;
+      const c = await loadCollection(pool, { id: ctx.match[1], owner });
+      if (!c) return ctx.answerCbQuery("Коллекция не найдена");
+      await ctx.answerCbQuery();
+      const recipes = await collectionRecipes(pool, c.id);
+      const rows = recipes
+        .slice(0, BOT_COLLECTION_BUTTONS)
+        .map((r) => [Markup.button.callback((r.title || r.id).slice(0, 60), `OPEN:${r.id}:0`)]);
+      rows.push([Markup.button.callback("← Коллекции", "COLS")]);
+      const more = recipes.length > BOT_COLLECTION_BUTTONS ? `\n(показаны первые ${BOT_COLLECTION_BUTTONS})` : "";
+      const text =
+        `📚 ${c.title}${c.is_public ? " · 🌐 публичная" : ""}\n` +
+        (c.description ? `\n${c.description}\n` : "") +
+        `\nРецептов: ${recipes.length}${more}`;
+      await ctx.editMessageText(text, Markup.inlineKeyboard(rows)).catch(() => ctx.reply(text, Markup.inlineKeyboard(rows)));
+    } catch (e) {
+      console.error("COL action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
 
-      await ctx.reply(
-        `Привет, ${escapeMd(ctx.from.first_name || "друг")}!\n` +
-        `У тебя *${total}* рецепт(ов), из них *${published}* выложено 🌐.\n` +
-        `Нажми, чтобы посмотреть список.`,
-        Markup.inlineKeyboard([[Markup.button.callback("Мои рецепты", "LIST:0")]])
-      );
+  bot.action(/^CADD:(.+)$/, async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      const { text, kb } = await renderCollectionPicker(`tg:${ctx.from.id}`, ctx.match[1]);
+      await ctx.reply(text, kb);
     } catch (e) {
-      console.error("/start failed:", e);
-      await ctx.reply("Что-то пошло не так. Попробуйте ещё раз позже.");
+      console.error("CADD action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
     }
   });
 
-  // ===== список =====
-  bot.action(/LIST:(\d+)/, async (ctx) => {
+  bot.action(/^CTOG:([\w-]+):(.+)$/, async (ctx) => {
     try {
-      const page = Number(ctx.match[1] || 0);
       const owner = `tg:${ctx.from.id}`;
+      const [, collectionId, recipeId] = ctx.match;
+      const { rowCount } = await pool.query(
+        `delete from collection_items i using collections c
+          where c.id = i.collection_id and c.id=$1 and c.owner=$2 and i.recipe_id=$3`,
+        [collectionId, owner, recipeId]
+      );
+      if (!rowCount) {
+        const result = await addToCollection(pool, owner, collectionId, [recipeId]);
+        if (result.error === "too_many") return ctx.answerCbQuery("В коллекции слишком много рецептов");
+        if (result.error || result.missing.length) return ctx.answerCbQuery("Не найдено");
+      }
+      await ctx.answerCbQuery(rowCount ? "Убран из коллекции" : "Добавлен ✅");
+      const { text, kb } = await renderCollectionPicker(owner, recipeId);
+      await ctx.editMessageText(text, kb);
+    } catch (e) {
+      console.error("CTOG action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
 
-      const { rows } = await pool.query(
-        `select id, data from local_recipes
-          where owner=$1
-          order by updated_at desc`,
-        [owner]
+  bot.action(/^COLNEW(?::(.+))?$/, async (ctx) => {
+    try {
+      if (ctx.chat?.type !== "private") return ctx.answerCbQuery("Только в личном чате с ботом");
+      await ctx.answerCbQuery();
+      await setDialog(ctx.from.id, "collection", { recipeId: ctx.match[1] || null });
+      await ctx.reply(
+        "Как назвать коллекцию?",
+        Markup.inlineKeyboard([[Markup.button.callback("Отмена", "WIZ:cancel")]])
       );
+    } catch (e) {
+      console.error("COLNEW action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  async function handleCollectionInput(ctx, state) {
+    const owner = `tg:${ctx.from.id}`;
+    const { value, errors } = validateCollection({ title: ctx.message.text });
+    if (errors.length) return ctx.reply("Нужно название текстом (до 200 символов).");
+    const { rows: cnt } = await pool.query(
+      `select count(*)::int as c, coalesce(max(position), 0) as p from collections where owner=$1`,
+      [owner]
+    );
+    if (cnt[0].c >= COLLECTIONS_MAX) {
+      await clearDialog(ctx.from.id);
+      return ctx.reply(`Коллекций уже ${COLLECTIONS_MAX} — больше нельзя.`);
+    }
+    const id = crypto.randomBytes(9).toString("base64url");
+    await pool.query(
+      `insert into collections (id, owner, title, position) values ($1,$2,$3,$4)`,
+      [id, owner, value.title, cnt[0].p + 1]
+    );
+    if (state.recipeId) await addToCollection(pool, owner, id, [state.recipeId]);
+    await clearDialog(ctx.from.id);
+    await ctx.reply(
+      `Коллекция «${value.title}» создана ✅` + (state.recipeId ? "\nРецепт добавлен в неё." : ""),
+      Markup.inlineKeyboard([
+        [Markup.button.callback("Открыть", `COL:${id}`)],
+        [Markup.button.callback("← Коллекции", "COLS")],
+      ])
+    );
+  }
 
-      const publishedSet = await getPublishedSet(owner);
-      const total = rows.length;
-      const from = page * PAGE_SIZE;
-      const slice = rows.slice(from, from + PAGE_SIZE);
+  // ===== со мной поделились: /shared =====
+  const BOT_SHARED_BUTTONS = 40;
 
-      const buttons = slice.map((r) => [
+  async function renderSharedWithMe(tgId) {
+    const shared = await sharedWithMe(pool, tgId);
+    if (!shared.length) {
+      return { text: "С вами пока никто не поделился рецептами.", kb: Markup.inlineKeyboard([]) };
+    }
+    const rows = shared
+      .slice(0, BOT_SHARED_BUTTONS)
+      .map((g) => [
         Markup.button.callback(
-          badgeTitle(r.data?.title || r.id, publishedSet.has(r.id)),
-          `OPEN:${r.id}:${page}`
+          `${g.access === "edit" ? "✏️" : "👀"} ${g.data?.title || g.recipe_id} · ${userDisplayName(g)}`.slice(0, 60),
+          `SHO:${g.id}`
         ),
       ]);
+    const more = shared.length > BOT_SHARED_BUTTONS ? `\n(показаны первые ${BOT_SHARED_BUTTONS})` : "";
+    return { text: `🤝 С вами поделились (${shared.length}):${more}`, kb: Markup.inlineKeyboard(rows) };
+  }
 
-      const nav = [];
-      if (page > 0) nav.push(Markup.button.callback("« Назад", `LIST:${page - 1}`));
-      if (from + PAGE_SIZE < total) nav.push(Markup.button.callback("Вперёд »", `LIST:${page + 1}`));
-      if (nav.length) buttons.push(nav);
+  bot.command("shared", async (ctx) => {
+    try {
+      const { text, kb } = await renderSharedWithMe(ctx.from.id);
+      await ctx.reply(text, kb);
+    } catch (e) {
+      console.error("/shared failed:", e);
+      await ctx.reply("Что-то пошло не так. Попробуйте ещё раз позже.");
+    }
+  });
 
-      const pubCount = publishedSet.size;
-      await ctx.editMessageText(
-        `Мои рецепты (стр. ${page + 1}/${Math.max(1, Math.ceil(total / PAGE_SIZE))})\n` +
-        `Выложено: ${pubCount} из ${total} 🌐`,
-        Markup.inlineKeyboard(buttons)
-      );
+  bot.action(/^SHL$/, async (ctx) => {
+    try {
+      await ctx.answerCbQuery();
+      const { text, kb } = await renderSharedWithMe(ctx.from.id);
+      await ctx.editMessageText(text, kb).catch(() => ctx.reply(text, kb));
     } catch (e) {
-      console.error("LIST action error:", e);
+      console.error("SHL action error:", e);
       try { await ctx.answerCbQuery("Ошибка"); } catch {}
     }
   });
 
-  // ===== открыть карточку =====
-  bot.action(/OPEN:([^:]+):(\d+)/, async (ctx) => {
+  // карточка чужого рецепта — только просмотр (править можно через API с доступом edit)
+  bot.action(/^SHO:(\d+)$/, async (ctx) => {
     try {
-      const id = ctx.match[1];
-      const page = Number(ctx.match[2] || 0);
-      const owner = `tg:${ctx.from.id}`;
-
-      const { rows } = await pool.query(
-        `select data from local_recipes where owner=$1 and id=$2`,
-        [owner, id]
-      );
-      if (!rows.length) return ctx.answerCbQuery("Не найдено");
+      const g = await loadSharedGrant(pool, ctx.match[1], ctx.from.id);
+      if (!g) return ctx.answerCbQuery("Доступ закрыт или рецепт удалён");
+      await ctx.answerCbQuery();
+      const r = g.data || {};
+      const status = `🤝 от ${escapeMd(userDisplayName(g))}${g.access === "edit" ? " · можно править" : ""}`;
+      const text = recipeCardText(r, status);
+      const kb = Markup.inlineKeyboard([[Markup.button.callback("← Со мной поделились", "SHL")]]);
+
+      const photo = await coverForTelegram(r.cover);
+      if (photo) {
+        await ctx.replyWithPhoto(photo, { caption: text, parse_mode: "Markdown", reply_markup: kb.reply_markup });
+      } else {
+        await ctx.editMessageText(text, { parse_mode: "Markdown", ...kb })
+          .catch(() => ctx.reply(text, { parse_mode: "Markdown", ...kb }));
+      }
+    } catch (e) {
+      console.error("SHO action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
 
-      const r = rows[0].data || {};
-      const isPublished = (await getPublishedSet(owner)).has(id);
+  // ===== список покупок =====
+  bot.command("shop", async (ctx) => {
+    try {
+      const { text, kb } = await renderShoppingList(`tg:${ctx.from.id}`);
+      await ctx.reply(text, kb);
+    } catch (e) {
+      console.error("/shop failed:", e);
+      await ctx.reply("Что-то пошло не так. Попробуйте ещё раз позже.");
+    }
+  });
 
-      const title = r.title || "Без названия";
-      const ingredients =
-        (Array.isArray(r.parts) && r.parts.length
-          ? r.parts.flatMap((p) => p.ingredients)
-          : r.ingredients) || [];
-      const steps =
-        (Array.isArray(r.parts) && r.parts.length
-          ? r.parts.flatMap((p) => p.steps)
-          : r.steps) || [];
+  bot.action(/^SHOP:(\d+)$/, async (ctx) => {
+    try {
+      const owner = `tg:${ctx.from.id}`;
+      const { rowCount } = await pool.query(
+        `update shopping_items set checked = not checked, updated_at = now() where owner=$1 and id=$2`,
+        [owner, ctx.match[1]]
+      );
+      if (!rowCount) return ctx.answerCbQuery("Не найдено");
+      const { text, kb } = await renderShoppingList(owner);
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(text, kb);
+    } catch (e) {
+      console.error("SHOP action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
 
-      const text =
-        `*${escapeMd(title)}*\n` +
-        (isPublished ? "🌐 *Выложено в глобал*\n" : "Локально\n") +
-        (r.description ? `\n${escapeMd(r.description)}\n` : "") +
-        (ingredients.length
-          ? `\n*Ингредиенты:*\n• ${escapeMd(ingredients.join("\n• "))}\n`
-          : "") +
-        (steps.length
-          ? `\n*Шаги:*\n${escapeMd(steps.map((s, i) => `${i + 1}. ${s}`).join("\n"))}\n`
-          : "");
-
-      const kbRows = [];
-      if (isPublished) {
-        kbRows.push([Markup.button.callback("🗑 Удалить из глобала", `UNPUB:${id}:${page}`)]);
-      } else {
-        kbRows.push([Markup.button.callback("📤 Выложить в глобал", `PUB:${id}:${page}`)]);
+  bot.action(/^SHOP(CLR|REF)$/, async (ctx) => {
+    try {
+      const owner = `tg:${ctx.from.id}`;
+      if (ctx.match[1] === "CLR") {
+        await pool.query(`delete from shopping_items where owner=$1 and checked`, [owner]);
       }
-      kbRows.push([Markup.button.callback("← К списку", `LIST:${page}`)]);
-      const kb = Markup.inlineKeyboard(kbRows);
+      const { text, kb } = await renderShoppingList(owner);
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(text, kb);
+    } catch (e) {
+      // "message is not modified" при обновлении без изменений — не ошибка
+      if (!/not modified/i.test(String(e?.description || e?.message))) console.error("SHOP action error:", e);
+      try { await ctx.answerCbQuery(); } catch {}
+    }
+  });
 
-      if (r.cover && /^https?:\/\//i.test(r.cover)) {
-        await ctx.replyWithPhoto(r.cover, {
-          caption: text,
-          parse_mode: "Markdown",
-          reply_markup: kb.reply_markup,
-        });
-      } else {
-        await ctx.editMessageText(text, { parse_mode: "Markdown", ...kb });
+  bot.action(/^SHOPADD:([^:]+):(\d+)$/, async (ctx) => {
+    try {
+      const owner = `tg:${ctx.from.id}`;
+      const { entries, missing } = await shoppingEntriesFromRecipes(pool, owner, [ctx.match[1]]);
+      if (missing.length) return ctx.answerCbQuery("Не найдено");
+      if (!entries.length) return ctx.answerCbQuery("В рецепте нет ингредиентов");
+      const { added, merged, skipped } = await mergeIntoShoppingList(owner, entries);
+      const full = skipped ? `, не влезло: ${skipped} (максимум ${SHOPPING_MAX_ITEMS})` : "";
+      await ctx.answerCbQuery(`🛒 Добавлено: ${added}, объединено: ${merged}${full}. Список — /shop`);
+    } catch (e) {
+      console.error("SHOPADD action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  // ===== заказы: смена статуса кнопками в чате кухни =====
+  bot.action(/^ORD:(\d+):([a-z]+)$/, async (ctx) => {
+    try {
+      const [, id, status] = ctx.match;
+      const inOrdersChat = String(ctx.chat?.id || "") === String(getOrdersChatId());
+      if (!inOrdersChat && !isAdminTgId(ctx.from.id)) return ctx.answerCbQuery("Нет доступа");
+      if (!ORDER_STATUSES[status]) return ctx.answerCbQuery("Неизвестный статус");
+
+      const result = await setOrderStatus(id, status, `tg:${ctx.from.id}`);
+      if (result.error === "not_found") return ctx.answerCbQuery("Заказ не найден");
+      if (result.error) {
+        return ctx.answerCbQuery(`Нельзя: заказ уже «${ORDER_STATUSES[result.status] || result.status}»`);
       }
+      await ctx.answerCbQuery(ORDER_STATUSES[status]);
     } catch (e) {
-      console.error("OPEN action error:", e);
+      console.error("ORD action error:", e);
       try { await ctx.answerCbQuery("Ошибка"); } catch {}
     }
   });
 
   // ===== выложить в глобал =====
-  bot.action(/PUB:([^:]+):(\d+)/, async (ctx) => {
+  bot.action(/^PUB:([^:]+):(\d+)$/, async (ctx) => {
     try {
       const id = ctx.match[1];
       const page = Number(ctx.match[2] || 0);
@@ -1227,32 +6567,144 @@ async function startBot() {
       );
       if (!rows.length) return ctx.answerCbQuery("Не найдено");
 
-      await pool.query(
-        `insert into recipes (id, data) values ($1,$2)
-         on conflict (id) do update set data=excluded.data`,
-        [id, normalizeForGlobal(rows[0].data)]
-      );
+      const { value, errors } = validateRecipe(normalizeForGlobal({ ...rows[0].data, id }));
+      if (errors.length) {
+        const fields = [...new Set(errors.map((e) => e.path))].slice(0, 5).join(", ");
+        return ctx.answerCbQuery(`Рецепт не прошёл проверку: ${fields}`, { show_alert: true });
+      }
 
-      // сброс кэша, если у тебя он есть выше; иначе просто убери эту строку
-      if (typeof invalidateRecipesCache === "function") {
-        invalidateRecipesCache();
+      const result = await upsertGlobalRecipe(pool, {
+        id,
+        data: value,
+        author: owner,
+        isAdmin: isAdminTgId(ctx.from.id),
+      });
+      if (result === "forbidden") {
+        return ctx.answerCbQuery("Рецепт с таким id уже выложен другим автором", { show_alert: true });
       }
 
       await ctx.answerCbQuery("Опубликовано ✅");
-      await ctx.editMessageReplyMarkup(
-        Markup.inlineKeyboard([
-          [Markup.button.callback("🗑 Удалить из глобала", `UNPUB:${id}:${page}`)],
-          [Markup.button.callback("← К списку", `LIST:${page}`)],
-        ]).reply_markup
-      );
+      const like = await recipeLikeState(id, ctx.from.id);
+      await ctx.editMessageReplyMarkup(cardKeyboard(id, page, true, like).reply_markup);
     } catch (e) {
       console.error("PUB action error:", e);
       try { await ctx.answerCbQuery("Ошибка публикации"); } catch {}
     }
   });
 
+  // ===== лайк выложенного рецепта =====
+  // LIKE — с карточки своего выложенного рецепта, GLIKE — с карточки из глобала
+  bot.action(/^(G?)LIKE:([^:]+):(\d+)$/, async (ctx) => {
+    try {
+      const fromGlobalCard = ctx.match[1] === "G";
+      const id = ctx.match[2];
+      const page = Number(ctx.match[3] || 0);
+      const current = await recipeLikeState(id, ctx.from.id);
+      if (!current) return ctx.answerCbQuery("Рецепт уже не в глобале");
+      const like = await setRecipeLike(pool, id, ctx.from.id, !current.liked);
+      if (!like) return ctx.answerCbQuery("Рецепт уже не в глобале");
+      await ctx.answerCbQuery(like.liked ? "❤️ Нравится" : "Лайк снят");
+      const kb = fromGlobalCard ? globalCardKeyboard(id, page, like) : cardKeyboard(id, page, true, like);
+      await ctx.editMessageReplyMarkup(kb.reply_markup);
+    } catch (e) {
+      console.error("LIKE action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  // ===== комментарии: кнопки под уведомлениями =====
+  // CMT:<hide|show>:<id> — автор рецепта (или админ) скрывает/возвращает комментарий
+  bot.action(/^CMT:(hide|show):(\d+)$/, async (ctx) => {
+    try {
+      const [, action, commentId] = ctx.match;
+      const { rows } = await pool.query(
+        `select c.id, c.hidden_by, r.id as recipe_id, r.author
+           from recipe_comments c join recipes r on r.id = c.recipe_id
+          where c.id=$1`,
+        [commentId]
+      );
+      if (!rows.length) return ctx.answerCbQuery("Комментарий не найден");
+      const admin = isAdminTgId(ctx.from.id);
+      if (!canModerateRecipe(rows[0], ctx.from.id)) return ctx.answerCbQuery("Нет доступа");
+      if (action === "show" && rows[0].hidden_by === "admin" && !admin) {
+        return ctx.answerCbQuery("Скрыт модератором", { show_alert: true });
+      }
+      await setCommentHidden(pool, commentId, action === "hide", admin ? "admin" : "author");
+      await ctx.answerCbQuery(action === "hide" ? "Скрыт 🙈" : "Снова виден");
+      const kb = ctx.callbackQuery.message?.reply_markup?.inline_keyboard || [];
+      await ctx.editMessageReplyMarkup({
+        inline_keyboard: [
+          [
+            action === "hide"
+              ? Markup.button.callback("👁 Показать", `CMT:show:${commentId}`)
+              : Markup.button.callback("🙈 Скрыть", `CMT:hide:${commentId}`),
+          ],
+          ...kb.slice(1),
+        ],
+      });
+    } catch (e) {
+      console.error("CMT action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  // CMOD:<id>:<hide|keep> — решение админа по жалобе
+  bot.action(/^CMOD:(\d+):(hide|keep)$/, async (ctx) => {
+    try {
+      if (!isAdminTgId(ctx.from.id)) return ctx.answerCbQuery("Нет доступа");
+      const comment = await moderateReportedComment(pool, ctx.match[1], ctx.match[2]);
+      if (!comment) return ctx.answerCbQuery("Комментарий не найден");
+      await ctx.answerCbQuery("Готово");
+      const text = ctx.callbackQuery.message?.text || "";
+      await ctx.editMessageText(`${text}\n\n${ctx.match[2] === "hide" ? "🙈 Скрыт" : "✅ Оставлен"}`);
+    } catch (e) {
+      console.error("CMOD action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  // кнопка-переключатель уведомлений — последняя строка клавиатуры сообщения
+  const NOTIFY_TOGGLES = {
+    comments: {
+      setting: "notifyComments",
+      on: "Уведомления о комментариях включены",
+      off: "Больше не пришлю о комментариях",
+      offButton: "🔕 Не присылать о комментариях",
+    },
+    plan: {
+      setting: "notifyMealPlan",
+      on: "Утренний план включён",
+      off: "Больше не пришлю план по утрам",
+      offButton: "🔕 Не присылать план",
+    },
+  };
+
+  bot.action(/^NOTIFY:(comments|plan):(on|off)$/, async (ctx) => {
+    try {
+      const kind = ctx.match[1];
+      const toggle = NOTIFY_TOGGLES[kind];
+      const on = ctx.match[2] === "on";
+      await updateUserSettings(pool, ctx.from.id, { [toggle.setting]: on });
+      await ctx.answerCbQuery(on ? toggle.on : toggle.off);
+      const kb = ctx.callbackQuery.message?.reply_markup?.inline_keyboard || [];
+      await ctx.editMessageReplyMarkup({
+        inline_keyboard: [
+          ...kb.slice(0, -1),
+          [
+            on
+              ? Markup.button.callback(toggle.offButton, `NOTIFY:${kind}:off`)
+              : Markup.button.callback("🔔 Снова присылать", `NOTIFY:${kind}:on`),
+          ],
+        ],
+      });
+    } catch (e) {
+      console.error("NOTIFY action error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
   // ===== удалить из глобала =====
-  bot.action(/UNPUB:([^:]+):(\d+)/, async (ctx) => {
+  bot.action(/^UNPUB:([^:]+):(\d+)$/, async (ctx) => {
     try {
       const id = ctx.match[1];
       const page = Number(ctx.match[2] || 0);
@@ -1265,26 +6717,200 @@ async function startBot() {
       );
       if (!rows.length) return ctx.answerCbQuery("Не найдено");
 
-      await pool.query(`delete from recipes where id=$1`, [id]);
-
-      if (typeof invalidateRecipesCache === "function") {
-        invalidateRecipesCache();
+      const result = await deleteGlobalRecipe(pool, {
+        id,
+        author: owner,
+        isAdmin: isAdminTgId(ctx.from.id),
+      });
+      if (result === "forbidden") {
+        return ctx.answerCbQuery("Этот рецепт в глобале выложен другим автором", { show_alert: true });
       }
 
       await ctx.answerCbQuery("Удалено из глобала ✅");
-      await ctx.editMessageReplyMarkup(
-        Markup.inlineKeyboard([
-          [Markup.button.callback("📤 Выложить в глобал", `PUB:${id}:${page}`)],
-          [Markup.button.callback("← К списку", `LIST:${page}`)],
-        ]).reply_markup
-      );
+      await ctx.editMessageReplyMarkup(cardKeyboard(id, page, false).reply_markup);
     } catch (e) {
       console.error("UNPUB action error:", e);
       try { await ctx.answerCbQuery("Ошибка удаления"); } catch {}
     }
   });
 
-  // ===== ВАЖНО: снести webhook и запустить polling =====
+  // ===== inline-режим: @bot борщ в любом чате =====
+  // Ищем по выложенным рецептам (recipes). Включается в @BotFather: /setinline.
+  const INLINE_PAGE_SIZE = 20;
+
+  // публичная ссылка на картинку (для thumbnail_url); без PUBLIC_URL медиа не покажем
+  function publicCoverUrl(cover) {
+    if (typeof cover !== "string") return null;
+    if (/^https:\/\//i.test(cover)) return cover;
+    const mediaId = parseMediaRef(cover);
+    const base = process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL;
+    return mediaId && base ? `${base.replace(/\/+$/, "")}/media/${mediaId}` : null;
+  }
+
+  function inlineResult(r) {
+    let text = recipeCardText(r, "🌐 Из общей книги рецептов");
+    if (text.length > 4000) text = text.slice(0, 4000).replace(/\\+$/, "") + "…";
+    const thumb = publicCoverUrl(r.cover);
+    const firstIngredients = recipeSections(r).ingredients.flatMap((s) => s.items).slice(0, 5).join(", ");
+    return {
+      type: "article",
+      id: crypto.createHash("sha1").update(String(r.id)).digest("hex"),
+      title: (r.title || "Без названия").slice(0, 100),
+      description: (r.description || firstIngredients || "").slice(0, 200),
+      ...(thumb ? { thumbnail_url: thumb } : {}),
+      input_message_content: { message_text: text, parse_mode: "Markdown" },
+    };
+  }
+
+  bot.on("inline_query", async (ctx) => {
+    try {
+      const q = (cleanText(ctx.inlineQuery.query) || "").slice(0, 100);
+      const offset = Math.max(0, Number.parseInt(ctx.inlineQuery.offset, 10) || 0);
+      const tsquery = toPrefixTsQuery(q);
+
+      const page = await cachedRecipes(`inline:${tsquery}:${offset}`, () =>
+        listRecipes(pool, {
+          table: "recipes",
+          params: {
+            tsquery,
+            categories: [],
+            sortName: tsquery ? "relevance" : "updated",
+            order: "desc",
+            limit: INLINE_PAGE_SIZE,
+            cursor: null,
+            offset,
+          },
+        })
+      );
+
+      await ctx.answerInlineQuery(page.items.map(inlineResult), {
+        cache_time: 60,
+        next_offset: page.next ? String(offset + INLINE_PAGE_SIZE) : "",
+      });
+    } catch (e) {
+      console.error("inline_query error:", e);
+      try { await ctx.answerInlineQuery([], { cache_time: 5 }); } catch {}
+    }
+  });
+
+  // ===== импорт: пересланный текст или .html-файл со страницей рецепта =====
+  const IMPORT_DOC_MAX_BYTES = 2 * 1024 * 1024;
+
+  function isHtmlDocument(doc) {
+    if (!doc) return false;
+    return doc.mime_type === "text/html" || /\.x?html?$/i.test(doc.file_name || "");
+  }
+
+  async function downloadImportDocument(ctx, doc) {
+    if (doc.file_size && doc.file_size > IMPORT_DOC_MAX_BYTES) return { error: "too_large" };
+    const link = await ctx.telegram.getFileLink(doc.file_id);
+    const r = await fetch(String(link));
+    if (!r.ok) throw new Error(`document download failed: ${r.status}`);
+    const buffer = Buffer.from(await r.arrayBuffer());
+    if (buffer.length > IMPORT_DOC_MAX_BYTES) return { error: "too_large" };
+    return { text: buffer.toString("utf8") };
+  }
+
+  bot.action(/^IMP:save$/, async (ctx) => {
+    try {
+      const dialog = await getDialog(ctx.from.id);
+      if (dialog?.kind !== "import") return ctx.answerCbQuery("Превью устарело — пришлите рецепт ещё раз");
+      await ctx.answerCbQuery();
+      const id = crypto.randomUUID();
+      const result = await saveBotRecipe(`tg:${ctx.from.id}`, id, {
+        ...dialog.state.recipe,
+        createdAt: Date.now(),
+      });
+      await clearDialog(ctx.from.id);
+      if (result.errors) return ctx.reply(invalidText(result.errors));
+      await ctx.reply(
+        `Рецепт «${dialog.state.recipe.title}» сохранён ✅`,
+        Markup.inlineKeyboard([
+          [Markup.button.callback("Открыть", `OPEN:${id}:0`)],
+          [Markup.button.callback("Мои рецепты", "LIST:0")],
+        ])
+      );
+    } catch (e) {
+      console.error("IMP:save error:", e);
+      try { await ctx.answerCbQuery("Ошибка"); } catch {}
+    }
+  });
+
+  // ===== ответы в диалогах (регистрируется после команд, чтобы не перехватывать их) =====
+  bot.on("message", async (ctx, next) => {
+    try {
+      if (ctx.chat?.type !== "private") return next();
+      const dialog = await getDialog(ctx.from.id);
+      if (!dialog) return next();
+      if (dialog.kind === "new") return await handleWizardInput(ctx, dialog.state);
+      if (dialog.kind === "edit") return await handleEditInput(ctx, dialog.state);
+      if (dialog.kind === "collection") return await handleCollectionInput(ctx, dialog.state);
+      return next();
+    } catch (e) {
+      console.error("dialog message error:", e);
+      try { await ctx.reply("Что-то пошло не так. Попробуйте ещё раз или /cancel."); } catch {}
+    }
+  });
+
+  // пересланное сообщение или .html-файл вне диалога -> превью импорта
+  bot.on("message", async (ctx, next) => {
+    const m = ctx.message;
+    const forwarded = Boolean(m.forward_origin || m.forward_date);
+    const doc = isHtmlDocument(m.document) ? m.document : null;
+    if (ctx.chat?.type !== "private" || (!doc && !(forwarded && (m.text || m.caption)))) return next();
+    try {
+      let input = m.text || m.caption;
+      if (doc) {
+        const file = await downloadImportDocument(ctx, doc);
+        if (file.error) return ctx.reply("Файл слишком большой (до 2 МБ).");
+        input = file.text;
+      }
+
+      const parsed = importRecipe(input);
+      if (!parsed) {
+        return ctx.reply("Не нашёл в сообщении рецепт. Нужны название, ингредиенты и шаги — или /new, чтобы ввести вручную.");
+      }
+      const { value, errors } = validateRecipe({ ...parsed.draft, id: "import", favorite: false, done: false });
+      if (errors.length) return ctx.reply(invalidText(errors));
+      const { id: _id, ...recipe } = value;
+      await setDialog(ctx.from.id, "import", { recipe });
+
+      // лимит сообщения 4096: режем по целой строке, чтобы не сломать разметку
+      let text = recipeCardText(recipe, "Превью импорта");
+      if (text.length > 4000) text = text.slice(0, text.lastIndexOf("\n", 4000)) + "\n…";
+      await ctx.reply(text, {
+        parse_mode: "Markdown",
+        ...Markup.inlineKeyboard([
+          [Markup.button.callback("💾 Сохранить", "IMP:save"), Markup.button.callback("Отмена", "WIZ:cancel")],
+        ]),
+      });
+    } catch (e) {
+      console.error("import message error:", e);
+      try { await ctx.reply("Не получилось разобрать рецепт. Попробуйте ещё раз позже."); } catch {}
+    }
+  });
+
+  // ===== webhook: апдейты придут в BOT_WEBHOOK_PATH =====
+  if (getBotMode() === "webhook") {
+    if (!getBotWebhookSecret()) {
+      throw new Error("BOT_MODE=webhook: set BOT_WEBHOOK_SECRET (1-256 chars: A-Z a-z 0-9 _ -)");
+    }
+    bot.botInfo = await bot.telegram.getMe(); // нужен для /команд@бота (launch делает это сам)
+    if (process.env.BOT_WEBHOOK_SET !== "0") {
+      const url = getBotWebhookUrl();
+      if (!url) throw new Error("BOT_MODE=webhook: set BOT_WEBHOOK_URL or PUBLIC_URL");
+      await bot.telegram.setWebhook(url, {
+        secret_token: getBotWebhookSecret(),
+        allowed_updates: BOT_ALLOWED_UPDATES,
+      });
+      console.log("Telegram webhook set:", url);
+    }
+    webhookBot = bot;
+    console.log(`Telegram bot started (webhook on ${BOT_WEBHOOK_PATH}).`);
+    return;
+  }
+
+  // ===== polling: снести webhook и слушать сами =====
   try {
     const info = await bot.telegram.getWebhookInfo();
     if (info?.url) {
@@ -1295,9 +6921,8 @@ async function startBot() {
     console.warn("deleteWebhook failed (можно игнорировать):", e?.message || e);
   }
 
-  await bot.launch({
-    polling: { allowedUpdates: ["message", "callback_query"] },
-  });
+  // telegraf 4.x берёт allowedUpdates только с верхнего уровня (polling: {...} молча игнорирует)
+  await bot.launch({ allowedUpdates: BOT_ALLOWED_UPDATES });
   console.log("Telegram bot started (polling).");
 
   process.once("SIGINT", () => bot.stop("SIGINT"));
@@ -1306,11 +6931,25 @@ async function startBot() {
 
 
 // ---------- START ----------
-app.listen(PORT, () => {
-  console.log(`API on :${PORT}`);
-});
+// сначала миграции (под advisory lock), и только потом принимаем трафик
+async function start() {
+  await runMigrations(pool);
+
+  app.listen(PORT, () => {
+    console.log(`API on :${PORT}`);
+  });
+
+  startBot().catch((e) => console.error("startBot failed:", e));
 
-startBot().catch((e) => console.error("startBot failed:", e));
+  if (process.env.JOBS_ENABLED !== "0") {
+    jobs.start().catch((e) => console.error("job scheduler failed to start:", e));
+  }
+}
+
+start().catch((e) => {
+  console.error("startup failed:", e);
+  process.exit(1);
+});
 
 
 app.use((err, req, res, next) => {
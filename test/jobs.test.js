@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCron, nextCronTime } from "../jobs.js";
+
+const next = (expr, after) => nextCronTime(parseCron(expr), new Date(after))?.toISOString() ?? null;
+
+test("несуществующая дата (31 февраля) — null, без зависания", () => {
+  assert.equal(next("0 0 31 2 *", "2026-10-19T12:00:00Z"), null);
+  assert.equal(next("0 0 30 2 *", "2026-10-19T12:00:00Z"), null);
+});
+
+test("29 февраля — ближайший високосный год", () => {
+  assert.equal(next("0 0 29 2 *", "2026-10-19T12:00:00Z"), "2028-02-29T00:00:00.000Z");
+});
+
+test("31-е число пропускает короткие месяцы", () => {
+  assert.equal(next("30 6 31 * *", "2026-04-01T00:00:00Z"), "2026-05-31T06:30:00.000Z");
+});
+
+test("строго после after, секунды отбрасываются", () => {
+  assert.equal(next("* * * * *", "2026-10-19T12:00:30Z"), "2026-10-19T12:01:00.000Z");
+  assert.equal(next("0 12 * * *", "2026-10-19T12:00:00Z"), "2026-10-20T12:00:00.000Z");
+});
+
+test("день месяца и день недели вместе — подходит любой", () => {
+  // 2026-10-19 — понедельник; ближайшая пятница 23-го раньше, чем 1-е число
+  assert.equal(next("0 0 1 * 5", "2026-10-19T12:00:00Z"), "2026-10-23T00:00:00.000Z");
+  // 7 — тоже воскресенье
+  assert.equal(next("0 0 * * 7", "2026-10-19T12:00:00Z"), "2026-10-25T00:00:00.000Z");
+});
+
+test("шаги, диапазоны и псевдонимы", () => {
+  assert.equal(next("*/15 * * * *", "2026-10-19T12:07:00Z"), "2026-10-19T12:15:00.000Z");
+  assert.equal(next("0 9-17/4 * * *", "2026-10-19T14:00:00Z"), "2026-10-19T17:00:00.000Z");
+  assert.equal(next("@monthly", "2026-12-15T00:00:00Z"), "2027-01-01T00:00:00.000Z");
+});
+
+test("некорректные выражения — ошибка", () => {
+  for (const bad of ["", "* * * *", "60 * * * *", "* 24 * * *", "0 0 0 * *", "*/0 * * * *", "5-1 * * * *", "a * * * *"]) {
+    assert.throws(() => parseCron(bad), Error, bad);
+  }
+});
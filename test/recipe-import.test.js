@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { importRecipe, htmlToText, parseSections } from "../recipe-import.js";
+
+// время на мегабайт мусора: линейный разбор укладывается с большим запасом,
+// квадратичный (откат регулярок, повторный поиск ">") — нет
+const LINEAR_LIMIT_MS = 3000;
+
+function timed(fn) {
+  const started = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - started };
+}
+
+test("<a <a <a … без > разбирается за линейное время", () => {
+  const junk = "<a ".repeat(1_000_000);
+  const { ms } = timed(() => importRecipe(junk));
+  assert.ok(ms < LINEAR_LIMIT_MS, `importRecipe took ${Math.round(ms)} ms`);
+});
+
+test("<a <a <a … с > в самом конце разбирается за линейное время", () => {
+  const junk = "<div itemscope " + "<a ".repeat(1_000_000) + ">";
+  const { ms } = timed(() => {
+    importRecipe(junk);
+    htmlToText(junk);
+  });
+  assert.ok(ms < LINEAR_LIMIT_MS, `parsing took ${Math.round(ms)} ms`);
+});
+
+test("JSON-LD рецепт из страницы", () => {
+  const html = `<html><head><script type="application/ld+json">
+    {"@context":"https://schema.org","@type":"Recipe","name":"Блины",
+     "recipeIngredient":["мука 200 г","молоко 500 мл"],
+     "recipeInstructions":[{"@type":"HowToStep","text":"Смешать"},{"@type":"HowToStep","text":"Жарить"}]}
+  </script></head><body></body></html>`;
+  const r = importRecipe(html);
+  assert.equal(r.source, "jsonld");
+  assert.equal(r.draft.title, "Блины");
+  assert.deepEqual(r.draft.ingredients, ["мука 200 г", "молоко 500 мл"]);
+  assert.deepEqual(r.draft.steps, ["Смешать", "Жарить"]);
+});
+
+test("обычный текст с разделами", () => {
+  const r = importRecipe("Омлет\n\nИнгредиенты:\n- яйца 3 шт\n- молоко\n\nПриготовление:\n1. Взбить\n2. Жарить");
+  assert.equal(r.source, "text");
+  assert.equal(r.draft.title, "Омлет");
+  assert.deepEqual(r.draft.ingredients, ["яйца 3 шт", "молоко"]);
+  assert.deepEqual(r.draft.steps, ["Взбить", "Жарить"]);
+});
+
+test("parseSections: заголовки частей", () => {
+  assert.deepEqual(parseSections("Тесто:\nмука\n# Начинка\n- вишня"), [
+    { title: "Тесто", items: ["мука"] },
+    { title: "Начинка", items: ["вишня"] },
+  ]);
+});
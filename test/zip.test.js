@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createZip, readZip, ZipError } from "../zip.js";
+
+// куски архива: локальные записи, центральный каталог, конец каталога
+function split(buf) {
+  const eocd = buf.length - 22;
+  const cd = buf.readUInt32LE(eocd + 16);
+  return { local: buf.subarray(0, cd), central: buf.subarray(cd, eocd), end: Buffer.from(buf.subarray(eocd)) };
+}
+
+test("createZip -> readZip: store и deflate", () => {
+  const text = "рецепт ".repeat(100);
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+  const entries = readZip(createZip([{ name: "backup.json", data: text }, { name: "media/a.png", data: png }]));
+  assert.deepEqual(entries.map((e) => e.name), ["backup.json", "media/a.png"]);
+  assert.equal(entries[0].data.toString("utf8"), text);
+  assert.deepEqual(entries[1].data, png);
+});
+
+test("две записи каталога на один и тот же кусок архива — ZipError", () => {
+  const { local, central, end } = split(createZip([{ name: "a.txt", data: "x".repeat(1000) }]));
+  end.writeUInt16LE(2, 8);
+  end.writeUInt16LE(2, 10);
+  end.writeUInt32LE(central.length * 2, 12);
+  const buf = Buffer.concat([local, central, central, end]);
+  assert.throws(() => readZip(buf), (e) => e instanceof ZipError && /overlaps/.test(e.message));
+});
+
+test("файл больше maxEntryBytes — ZipError", () => {
+  const buf = createZip([{ name: "a.txt", data: "x".repeat(1000) }]);
+  assert.throws(() => readZip(buf, { maxEntryBytes: 100 }), (e) => e instanceof ZipError && /too large/.test(e.message));
+});
+
+test("бюджет на все файлы вместе — ZipError", () => {
+  const buf = createZip([
+    { name: "a.txt", data: "x".repeat(600) },
+    { name: "b.txt", data: "y".repeat(600) },
+  ]);
+  assert.throws(() => readZip(buf, { maxTotalBytes: 1000 }), (e) => e instanceof ZipError);
+});
+
+test("заниженный размер в каталоге не даёт распаковать больше лимита", () => {
+  const { local, central, end } = split(createZip([{ name: "bomb.txt", data: Buffer.alloc(1_000_000) }]));
+  const cd = Buffer.from(central);
+  cd.writeUInt32LE(10, 24); // распакованный размер «10 байт»
+  const buf = Buffer.concat([local, cd, end]);
+  assert.throws(() => readZip(buf, { maxEntryBytes: 1000 }), ZipError);
+});
+
+test("не архив — ZipError", () => {
+  assert.throws(() => readZip(Buffer.from("garbage")), ZipError);
+  assert.throws(() => readZip(Buffer.alloc(100)), ZipError);
+});
@@ -0,0 +1,176 @@
+import zlib from "node:zlib";
+
+// =====================================================================
+// ================================ ZIP =================================
+// =====================================================================
+// Минимальный ZIP без зависимостей: хватает для резервной копии рецептов.
+//   createZip([{ name, data }]) -> Buffer   (deflate; картинки — store, они уже сжаты)
+//   readZip(buffer) -> [{ name, data }]     (store/deflate, без шифрования и ZIP64)
+// Бросает ZipError на битом или неподдерживаемом архиве.
+
+export class ZipError extends Error {}
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// время/дата в формате MS-DOS
+function dosDateTime(d) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const date = ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+const STORE = 0;
+const DEFLATE = 8;
+const UTF8_FLAG = 0x0800;
+const NO_DEFLATE_RE = /\.(?:jpe?g|png|gif|webp|avif|zip)$/i;
+
+export function createZip(entries, { date = new Date() } = {}) {
+  const { time, date: day } = dosDateTime(date);
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+    const method = NO_DEFLATE_RE.test(name) ? STORE : DEFLATE;
+    const body = method === DEFLATE ? zlib.deflateRawSync(raw) : raw;
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    chunks.push(local, nameBuf, body);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(UTF8_FLAG, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(day, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(body.length, 20);
+    header.writeUInt32LE(raw.length, 24);
+    header.writeUInt16LE(nameBuf.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, nameBuf);
+
+    offset += local.length + nameBuf.length + body.length;
+  }
+
+  const centralBuf = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralBuf.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...chunks, centralBuf, end]);
+}
+
+// Защита от zip-бомбы:
+//   maxEntryBytes — распакованный файл больше лимита -> ZipError
+//   maxTotalBytes — бюджет на все распакованные файлы вместе
+//   maxEntries    — записей в каталоге больше -> ZipError
+//   filter(name)  — распаковываются только файлы, для которых true (остальные пропускаются)
+// Записи, указывающие на один и тот же или перекрывающиеся куски архива, -> ZipError.
+export function readZip(
+  buf,
+  { maxEntryBytes = 50 * 1024 * 1024, maxTotalBytes = 100 * 1024 * 1024, maxEntries = 10_000, filter = null } = {}
+) {
+  if (!Buffer.isBuffer(buf) || buf.length < 22) throw new ZipError("not a zip archive");
+
+  // конец центрального каталога: с конца, с учётом комментария до 64 КБ
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new ZipError("not a zip archive");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  if (count > maxEntries) throw new ZipError(`too many entries (max ${maxEntries})`);
+  let p = buf.readUInt32LE(eocd + 16);
+
+  // сначала весь каталог: имена, размеры и где лежат данные
+  const records = [];
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== 0x02014b50) throw new ZipError("broken central directory");
+    const flags = buf.readUInt16LE(p + 8);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const rec = {
+      flags,
+      method: buf.readUInt16LE(p + 10),
+      crc: buf.readUInt32LE(p + 16),
+      compSize: buf.readUInt32LE(p + 20),
+      size: buf.readUInt32LE(p + 24),
+      localOffset: buf.readUInt32LE(p + 42),
+      name: buf.subarray(p + 46, p + 46 + nameLen).toString(flags & UTF8_FLAG ? "utf8" : "latin1"),
+    };
+    p += 46 + nameLen + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+    if (rec.name.endsWith("/")) continue; // каталог
+
+    if (rec.localOffset + 30 > buf.length || buf.readUInt32LE(rec.localOffset) !== 0x04034b50) {
+      throw new ZipError(`${rec.name}: broken local header`);
+    }
+    rec.start = rec.localOffset + 30 + buf.readUInt16LE(rec.localOffset + 26) + buf.readUInt16LE(rec.localOffset + 28);
+    rec.end = rec.start + rec.compSize;
+    if (rec.end > buf.length) throw new ZipError(`${rec.name}: truncated`);
+    records.push(rec);
+  }
+
+  // каждая запись — свой кусок архива: иначе один сжатый файл распакуется много раз
+  const byOffset = [...records].sort((a, b) => a.localOffset - b.localOffset);
+  for (let i = 1; i < byOffset.length; i++) {
+    if (byOffset[i].localOffset < byOffset[i - 1].end) {
+      throw new ZipError(`${byOffset[i].name}: overlaps ${byOffset[i - 1].name}`);
+    }
+  }
+
+  const entries = [];
+  let budget = maxTotalBytes;
+  for (const { name, flags, method, crc, size, start, end } of records) {
+    if (filter && !filter(name)) continue;
+    if (flags & 0x1) throw new ZipError(`${name}: encrypted entries are not supported`);
+    if (size > maxEntryBytes) throw new ZipError(`${name}: entry is too large`);
+    if (size > budget) throw new ZipError("archive is too large when unpacked");
+
+    const body = buf.subarray(start, end);
+    let data;
+    if (method === STORE) data = Buffer.from(body);
+    else if (method === DEFLATE) {
+      try {
+        data = zlib.inflateRawSync(body, { maxOutputLength: Math.min(maxEntryBytes, budget) });
+      } catch (e) {
+        throw new ZipError(`${name}: ${e.message}`);
+      }
+    } else throw new ZipError(`${name}: compression method ${method} is not supported`);
+
+    if (data.length !== size || crc32(data) !== crc) throw new ZipError(`${name}: checksum mismatch`);
+    budget -= data.length;
+    entries.push({ name, data });
+  }
+  return entries;
+}